@@ -0,0 +1,221 @@
+/**
+ * AudioGuidance - Synthesized hover guidance tones (Web Audio, no audio files)
+ *
+ * - Beep pitch and rate rise with distance from the mark
+ * - Stereo pan follows the lateral error relative to the selected heading (right of mark = right ear)
+ * - A distinct two-tone alert replaces the beeps outside the alert radius
+ */
+import { gpsToLocalCoordinates, toHeadingFrame } from './GeoUtils.js';
+
+export class AudioGuidance {
+    constructor(settings = {}) {
+        this.settings = {
+            soundEnabled: false,
+            audioAlertRadius: 4, // meters
+            audioDeadband: 0.5, // meters - silent inside this radius
+            audioVolume: 0.5,
+            ...settings
+        };
+
+        this.context = null;
+        this.masterGain = null;
+        this.timerId = null;
+        this.guidance = null; // Latest {distance, lateral, time}
+
+        // Guidance older than this is treated as lost and the tones stop
+        this.staleAfter = 3000;
+
+        this.unlock = this.unlock.bind(this);
+        this.tick = this.tick.bind(this);
+    }
+
+    /**
+     * Check if Web Audio is available
+     */
+    isSupported() {
+        return typeof window !== 'undefined' && !!(window.AudioContext || window.webkitAudioContext);
+    }
+
+    /**
+     * Create or resume the audio context - must run from a user gesture on mobile browsers
+     */
+    unlock() {
+        if (!this.isSupported() || !this.settings.soundEnabled) return;
+
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.context = new AudioContextClass();
+            this.masterGain = this.context.createGain();
+            this.masterGain.gain.value = this.settings.audioVolume;
+            this.masterGain.connect(this.context.destination);
+        }
+
+        if (this.context.state === 'suspended') {
+            this.context.resume().catch(error => console.warn('Failed to resume audio context:', error));
+        }
+    }
+
+    /**
+     * Start listening for the first user gesture so audio can be unlocked
+     */
+    init() {
+        document.addEventListener('pointerdown', this.unlock);
+        this.applySettings();
+    }
+
+    /**
+     * Update guidance from the latest fix
+     * @param {Object} markedPosition - Hover target
+     * @param {Object} position - Current fix
+     * @param {number} selectedHeading - Selected heading in degrees
+     */
+    update(markedPosition, position, selectedHeading) {
+        if (!markedPosition || !position) {
+            this.guidance = null;
+            return;
+        }
+
+        const offset = gpsToLocalCoordinates(markedPosition, position);
+
+        this.guidance = {
+            distance: Math.sqrt(offset.x * offset.x + offset.y * offset.y),
+            lateral: toHeadingFrame(offset.x, offset.y, selectedHeading).lateral,
+            time: Date.now()
+        };
+    }
+
+    /**
+     * Clear guidance (e.g. mark removed or GPS lost)
+     */
+    clear() {
+        this.guidance = null;
+    }
+
+    /**
+     * Play the next cue and schedule the following one
+     */
+    tick() {
+        this.timerId = null;
+        if (!this.settings.soundEnabled) return;
+
+        let delay = 500;
+        const guidance = this.guidance;
+        const isFresh = guidance && Date.now() - guidance.time < this.staleAfter;
+
+        if (isFresh && this.context && this.context.state === 'running') {
+            const pan = Math.max(-1, Math.min(1, guidance.lateral / this.settings.audioAlertRadius));
+
+            if (guidance.distance > this.settings.audioAlertRadius) {
+                this.playAlert();
+                delay = 1000;
+            } else if (guidance.distance > this.settings.audioDeadband) {
+                // 0 at the deadband edge, 1 at the alert radius
+                const ratio = (guidance.distance - this.settings.audioDeadband) /
+                    (this.settings.audioAlertRadius - this.settings.audioDeadband);
+                this.playBeep(440 + ratio * 660, pan);
+                delay = 900 - ratio * 750;
+            }
+        }
+
+        this.timerId = setTimeout(this.tick, delay);
+    }
+
+    /**
+     * Play a short guidance beep
+     */
+    playBeep(frequency, pan) {
+        this.playTone(frequency, 0.08, pan, 'sine');
+    }
+
+    /**
+     * Play the out-of-radius alert (descending two-tone)
+     */
+    playAlert() {
+        this.playTone(880, 0.15, 0, 'square');
+        this.playTone(660, 0.15, 0, 'square', 0.18);
+    }
+
+    /**
+     * Play a single enveloped tone
+     * @param {number} frequency - Hz
+     * @param {number} duration - seconds
+     * @param {number} pan - -1 (left) to 1 (right)
+     * @param {string} type - Oscillator waveform
+     * @param {number} delay - Start offset in seconds
+     */
+    playTone(frequency, duration, pan, type, delay = 0) {
+        const start = this.context.currentTime + delay;
+        const oscillator = this.context.createOscillator();
+        const envelope = this.context.createGain();
+
+        oscillator.type = type;
+        oscillator.frequency.value = frequency;
+
+        // Short attack/release avoids clicks
+        envelope.gain.setValueAtTime(0, start);
+        envelope.gain.linearRampToValueAtTime(1, start + 0.01);
+        envelope.gain.setValueAtTime(1, start + duration - 0.02);
+        envelope.gain.linearRampToValueAtTime(0, start + duration);
+
+        oscillator.connect(envelope);
+
+        // StereoPannerNode is missing in some older Safari versions - fall back to centre
+        if (this.context.createStereoPanner) {
+            const panner = this.context.createStereoPanner();
+            panner.pan.value = pan;
+            envelope.connect(panner);
+            panner.connect(this.masterGain);
+        } else {
+            envelope.connect(this.masterGain);
+        }
+
+        oscillator.start(start);
+        oscillator.stop(start + duration);
+    }
+
+    /**
+     * Start or stop the cue loop to match settings
+     */
+    applySettings() {
+        if (this.masterGain) {
+            this.masterGain.gain.value = this.settings.audioVolume;
+        }
+
+        if (this.settings.soundEnabled && this.isSupported()) {
+            if (this.timerId === null) {
+                this.tick();
+            }
+        } else if (this.timerId !== null) {
+            clearTimeout(this.timerId);
+            this.timerId = null;
+        }
+    }
+
+    /**
+     * Update audio settings
+     */
+    updateSettings(newSettings) {
+        this.settings = { ...this.settings, ...newSettings };
+        this.applySettings();
+        console.log('Audio guidance settings updated:', this.settings);
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        if (this.timerId !== null) {
+            clearTimeout(this.timerId);
+            this.timerId = null;
+        }
+
+        document.removeEventListener('pointerdown', this.unlock);
+
+        if (this.context) {
+            this.context.close();
+            this.context = null;
+        }
+
+        console.log('AudioGuidance destroyed');
+    }
+}
@@ -1,20 +1,29 @@
 /**
- * CompassController - Handles intuitive drag-based compass rotation
- * Drag direction controls compass rotation based on position relative to center
+ * CompassController - Handles drag-based compass rotation
+ * One finger (or the mouse) turns the card by the angle swept around the compass centre,
+ * two fingers twist it. The rotation model itself lives in CompassRotation.
  */
+import { CompassRotation } from './CompassRotation.js';
+
 export class CompassController {
-    constructor(canvas, onHeadingChange) {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to listen on
+     * @param {Function} onHeadingChange - Called with the heading change in degrees
+     * @param {Function} getHeading - Returns the current selected heading
+     * @param {Object} options - CompassRotation options (gain, detentWidth, ...)
+     */
+    constructor(canvas, onHeadingChange, getHeading, options = {}) {
         this.canvas = canvas;
         this.onHeadingChange = onHeadingChange; // Callback function when heading changes
+        this.getHeading = getHeading;
 
-        this.isDragging = false;
-        this.lastMouseX = 0;
-        this.lastMouseY = 0;
-        this.centerX = 0;
-        this.centerY = 0;
+        this.rotation = new CompassRotation(options);
+        this.gesture = null; // 'drag' (one finger / mouse) or 'twist' (two fingers)
+        this.flingFrame = null;
+        this.lastFlingTime = null;
 
-        // Sensitivity for rotation (degrees per pixel of movement)
-        this.sensitivity = 0.2; // Reduced from 2 to make rotation 3x slower
+        // Two-finger twist must turn this far before it rotates, so a pinch doesn't
+        this.twistThreshold = 10;
 
         // Bind event handlers
         this.handleMouseDown = this.handleMouseDown.bind(this);
@@ -23,6 +32,7 @@ export class CompassController {
         this.handleTouchStart = this.handleTouchStart.bind(this);
         this.handleTouchMove = this.handleTouchMove.bind(this);
         this.handleTouchEnd = this.handleTouchEnd.bind(this);
+        this.stepFling = this.stepFling.bind(this);
 
         this.init();
     }
@@ -40,58 +50,106 @@ export class CompassController {
         this.canvas.addEventListener('touchmove', this.handleTouchMove);
         this.canvas.addEventListener('touchend', this.handleTouchEnd);
         this.canvas.addEventListener('touchcancel', this.handleTouchEnd);
+    }
 
-        this.updateCenter();
+    /**
+     * Vector from the compass centre to a client point
+     */
+    getCenterVector(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: clientX - (rect.left + rect.width / 2),
+            y: clientY - (rect.top + rect.height / 2)
+        };
     }
 
     /**
-     * Update center coordinates
+     * Vector from the first to the second touch
      */
-    updateCenter() {
-        this.centerX = this.canvas.width / 2;
-        this.centerY = this.canvas.height / 2;
+    getTwistVector(touches) {
+        return {
+            x: touches[1].clientX - touches[0].clientX,
+            y: touches[1].clientY - touches[0].clientY
+        };
     }
 
     /**
-     * Handle mouse down event
+     * Start a gesture, cancelling any fling in progress
      */
-    handleMouseDown(event) {
-        this.isDragging = true;
-        this.lastMouseX = event.clientX;
-        this.lastMouseY = event.clientY;
-        this.updateCenter();
-        event.preventDefault();
+    beginGesture(gesture, vector, timeStamp, engageThreshold = 0) {
+        this.cancelFling();
+        this.gesture = gesture;
+        this.rotation.begin(vector.x, vector.y, this.getHeading(), timeStamp, engageThreshold);
     }
 
     /**
-     * Handle mouse move event
+     * Feed a gesture vector and apply the resulting rotation
      */
-    handleMouseMove(event) {
-        if (!this.isDragging) return;
+    moveGesture(vector, timeStamp) {
+        this.applyDelta(this.rotation.move(vector.x, vector.y, timeStamp));
+    }
+
+    /**
+     * End the gesture; a released one-finger drag may continue as a fling
+     */
+    endGesture(timeStamp) {
+        const gesture = this.gesture;
+        this.gesture = null;
 
-        const currentX = event.clientX;
-        const currentY = event.clientY;
+        if (gesture === 'drag' && this.rotation.end(timeStamp)) {
+            this.lastFlingTime = null;
+            this.flingFrame = requestAnimationFrame(this.stepFling);
+        } else {
+            this.rotation.stop();
+        }
+    }
 
-        // Calculate movement delta
-        const deltaX = currentX - this.lastMouseX;
-        const deltaY = currentY - this.lastMouseY;
+    /**
+     * Animation frame of an inertial fling
+     */
+    stepFling(time) {
+        const elapsed = this.lastFlingTime === null ? 0 : time - this.lastFlingTime;
+        this.lastFlingTime = time;
+        this.applyDelta(this.rotation.stepFling(elapsed));
 
-        // Get canvas position
-        const rect = this.canvas.getBoundingClientRect();
-        const canvasX = currentX - rect.left;
-        const canvasY = currentY - rect.top;
+        this.flingFrame = this.rotation.isFlinging ? requestAnimationFrame(this.stepFling) : null;
+    }
 
-        // Calculate rotation based on position and movement
-        const rotationDelta = this.calculateRotationDelta(canvasX, canvasY, deltaX, deltaY);
+    /**
+     * Stop a running fling
+     */
+    cancelFling() {
+        if (this.flingFrame) {
+            cancelAnimationFrame(this.flingFrame);
+            this.flingFrame = null;
+        }
+        this.rotation.stop();
+    }
 
-        if (rotationDelta !== 0 && this.onHeadingChange) {
-            this.onHeadingChange(rotationDelta);
+    /**
+     * Report a heading change
+     */
+    applyDelta(delta) {
+        if (delta !== 0 && this.onHeadingChange) {
+            this.onHeadingChange(delta);
         }
+    }
+
+    /**
+     * Handle mouse down event
+     */
+    handleMouseDown(event) {
+        this.beginGesture('drag', this.getCenterVector(event.clientX, event.clientY), event.timeStamp);
+        event.preventDefault();
+    }
 
-        // Update last position
-        this.lastMouseX = currentX;
-        this.lastMouseY = currentY;
+    /**
+     * Handle mouse move event
+     */
+    handleMouseMove(event) {
+        if (this.gesture !== 'drag') return;
 
+        this.moveGesture(this.getCenterVector(event.clientX, event.clientY), event.timeStamp);
         event.preventDefault();
     }
 
@@ -99,19 +157,25 @@ export class CompassController {
      * Handle mouse up event
      */
     handleMouseUp(event) {
-        this.isDragging = false;
+        if (this.gesture) {
+            this.endGesture(event.timeStamp);
+        }
     }
 
     /**
      * Handle touch start event
      */
     handleTouchStart(event) {
-        if (event.touches.length > 0) {
-            this.isDragging = true;
-            this.lastMouseX = event.touches[0].clientX;
-            this.lastMouseY = event.touches[0].clientY;
-            this.updateCenter();
+        if (event.touches.length === 1) {
+            const touch = event.touches[0];
+            this.beginGesture('drag', this.getCenterVector(touch.clientX, touch.clientY), event.timeStamp);
             event.preventDefault();
+        } else if (event.touches.length === 2) {
+            // Pinch and twist share two-finger gestures; PinchZoomController handles the spread
+            this.beginGesture('twist', this.getTwistVector(event.touches), event.timeStamp, this.twistThreshold);
+        } else {
+            this.gesture = null;
+            this.rotation.stop();
         }
     }
 
@@ -119,84 +183,47 @@ export class CompassController {
      * Handle touch move event
      */
     handleTouchMove(event) {
-        if (!this.isDragging || event.touches.length === 0) return;
-
-        const currentX = event.touches[0].clientX;
-        const currentY = event.touches[0].clientY;
-
-        // Calculate movement delta
-        const deltaX = currentX - this.lastMouseX;
-        const deltaY = currentY - this.lastMouseY;
-
-        // Get canvas position
-        const rect = this.canvas.getBoundingClientRect();
-        const canvasX = currentX - rect.left;
-        const canvasY = currentY - rect.top;
-
-        // Calculate rotation based on position and movement
-        const rotationDelta = this.calculateRotationDelta(canvasX, canvasY, deltaX, deltaY);
-
-        if (rotationDelta !== 0 && this.onHeadingChange) {
-            this.onHeadingChange(rotationDelta);
+        if (this.gesture === 'drag' && event.touches.length === 1) {
+            const touch = event.touches[0];
+            this.moveGesture(this.getCenterVector(touch.clientX, touch.clientY), event.timeStamp);
+            event.preventDefault();
+        } else if (this.gesture === 'twist' && event.touches.length === 2) {
+            this.moveGesture(this.getTwistVector(event.touches), event.timeStamp);
+            event.preventDefault();
         }
-
-        // Update last position
-        this.lastMouseX = currentX;
-        this.lastMouseY = currentY;
-
-        event.preventDefault();
     }
 
     /**
      * Handle touch end event
      */
     handleTouchEnd(event) {
-        this.isDragging = false;
+        // Lifting one finger of a twist ends it; the remaining finger needs a new touch to drag
+        if (this.gesture && (event.touches.length === 0 || this.gesture === 'twist')) {
+            this.endGesture(event.timeStamp);
+        }
         event.preventDefault();
     }
 
     /**
-     * Calculate rotation delta based on position and movement
-     * Returns positive for clockwise, negative for counter-clockwise
+     * Set rotation gain (degrees of heading per degree swept)
      */
-    calculateRotationDelta(canvasX, canvasY, deltaX, deltaY) {
-        // Calculate position relative to center
-        const relativeX = canvasX - this.centerX;
-        const relativeY = canvasY - this.centerY;
-
-        // Calculate which quadrant we're in and apply appropriate rotation logic
-        let rotationDelta = 0;
-
-        if (relativeY < 0) {
-            // Top half of canvas
-            rotationDelta = -deltaX * this.sensitivity; // Left = counter-clockwise, Right = clockwise
-        } else {
-            // Bottom half of canvas
-            rotationDelta = deltaX * this.sensitivity; // Left = clockwise, Right = counter-clockwise
-        }
-
-        if (relativeX < 0) {
-            // Left half of canvas
-            rotationDelta += deltaY * this.sensitivity; // Up = clockwise, Down = counter-clockwise
-        } else {
-            // Right half of canvas
-            rotationDelta += -deltaY * this.sensitivity; // Up = counter-clockwise, Down = clockwise
-        }
-
-        return rotationDelta;
+    setGain(gain) {
+        this.rotation.setOptions({ gain });
     }
 
     /**
-     * Set sensitivity for rotation control
+     * Set the cardinal detent width in degrees (0 disables)
      */
-    setSensitivity(sensitivity) {
-        this.sensitivity = sensitivity;
+    setDetentWidth(detentWidth) {
+        this.rotation.setOptions({ detentWidth });
     }
 
     /**
      * Cleanup event listeners
      */
     destroy() {
+        this.cancelFling();
+
         this.canvas.removeEventListener('mousedown', this.handleMouseDown);
         this.canvas.removeEventListener('mousemove', this.handleMouseMove);
         this.canvas.removeEventListener('mouseup', this.handleMouseUp);
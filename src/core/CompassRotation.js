@@ -0,0 +1,191 @@
+/**
+ * CompassRotation - DOM-free rotation model for compass drags
+ *
+ * A gesture is described by a vector that turns as the finger moves: centre → finger for a
+ * one-finger drag, finger → finger for a two-finger twist. The compass card turns by the angle
+ * that vector sweeps (times the gain), so rotation is consistent at any position and radius.
+ * Releasing while still turning starts an inertial fling; cardinal headings are sticky detents.
+ * Times are in milliseconds and passed in, so the model can be driven without a browser.
+ */
+
+/**
+ * Angle of a vector in screen coordinates (y down), degrees clockwise from +x
+ */
+export function vectorAngle(x, y) {
+    return Math.atan2(y, x) * 180 / Math.PI;
+}
+
+/**
+ * Signed smallest difference a - b in degrees, in (-180, 180]
+ */
+export function angleDifference(a, b) {
+    let difference = ((a - b) % 360 + 360) % 360;
+    if (difference > 180) difference -= 360;
+    return difference;
+}
+
+/**
+ * Hold headings within detentWidth of a cardinal point on the cardinal
+ * @returns {number} Heading in [0, 360)
+ */
+export function applyDetents(heading, detentWidth) {
+    const normalized = (heading % 360 + 360) % 360;
+    if (detentWidth <= 0) return normalized;
+
+    const cardinal = Math.round(normalized / 90) * 90;
+    return Math.abs(normalized - cardinal) <= detentWidth ? cardinal % 360 : normalized;
+}
+
+export class CompassRotation {
+    constructor(options = {}) {
+        this.options = {
+            gain: 1, // Degrees of heading per degree swept
+            detentWidth: 3, // Degrees either side of N/E/S/W that snap to it (0 disables)
+            deadzoneRadius: 20, // Pixels - angles this close to the pivot are too noisy to use
+            flingTimeConstant: 350, // ms for the fling speed to decay to 1/e
+            minFlingVelocity: 40, // Degrees/s needed at release to start a fling
+            stopVelocity: 5, // Degrees/s at which a fling ends
+            releaseTimeout: 100, // ms - a pause longer than this before release cancels the fling
+            ...options
+        };
+
+        this.isActive = false;
+        this.isFlinging = false;
+        this.reset();
+    }
+
+    /**
+     * Clear gesture state
+     */
+    reset() {
+        this.rawHeading = 0; // Unbounded heading before detents
+        this.outputHeading = 0; // Last heading reported through a delta
+        this.lastAngle = null;
+        this.lastTime = null;
+        this.velocity = 0; // Degrees/s of rawHeading
+        this.engageThreshold = 0;
+        this.pendingSweep = 0;
+    }
+
+    /**
+     * Start a gesture
+     * @param {number} x - Gesture vector x (pixels)
+     * @param {number} y - Gesture vector y (pixels)
+     * @param {number} heading - Current selected heading in degrees
+     * @param {number} time - Timestamp in ms
+     * @param {number} engageThreshold - Degrees to sweep before rotation starts (separates a twist from a pinch)
+     */
+    begin(x, y, heading, time, engageThreshold = 0) {
+        this.reset();
+        this.isActive = true;
+        this.isFlinging = false;
+        this.rawHeading = heading;
+        this.outputHeading = applyDetents(heading, 0);
+        this.engageThreshold = engageThreshold;
+        this.lastAngle = this.isInDeadzone(x, y) ? null : vectorAngle(x, y);
+        this.lastTime = time;
+    }
+
+    /**
+     * Move the gesture vector
+     * @returns {number} Heading change to apply in degrees
+     */
+    move(x, y, time) {
+        if (!this.isActive) return 0;
+
+        // Re-anchor instead of rotating while the vector passes close to the pivot
+        if (this.isInDeadzone(x, y)) {
+            this.lastAngle = null;
+            return 0;
+        }
+
+        const angle = vectorAngle(x, y);
+        if (this.lastAngle === null) {
+            this.lastAngle = angle;
+            this.lastTime = time;
+            return 0;
+        }
+
+        const swept = angleDifference(angle, this.lastAngle);
+        this.lastAngle = angle;
+
+        if (Math.abs(this.pendingSweep) < this.engageThreshold) {
+            this.pendingSweep += swept;
+            this.lastTime = time;
+            return 0;
+        }
+
+        // Turning the finger clockwise turns the card clockwise, which lowers the heading under the top index
+        const rotation = -swept * this.options.gain;
+        const elapsed = time - this.lastTime;
+        if (elapsed > 0) {
+            this.velocity = 0.6 * this.velocity + 0.4 * (rotation / elapsed) * 1000;
+        }
+        this.lastTime = time;
+
+        return this.rotate(rotation);
+    }
+
+    /**
+     * Finish the gesture, starting a fling if it was released while turning
+     * @returns {boolean} True if a fling started
+     */
+    end(time) {
+        if (!this.isActive) return false;
+        this.isActive = false;
+
+        const recent = this.lastTime !== null && time - this.lastTime <= this.options.releaseTimeout;
+        this.isFlinging = recent && Math.abs(this.velocity) >= this.options.minFlingVelocity;
+        return this.isFlinging;
+    }
+
+    /**
+     * Advance a fling
+     * @param {number} elapsed - ms since the previous step
+     * @returns {number} Heading change to apply in degrees
+     */
+    stepFling(elapsed) {
+        if (!this.isFlinging || elapsed <= 0) return 0;
+
+        const delta = this.rotate(this.velocity * elapsed / 1000);
+        this.velocity *= Math.exp(-elapsed / this.options.flingTimeConstant);
+        if (Math.abs(this.velocity) < this.options.stopVelocity) {
+            this.stop();
+        }
+        return delta;
+    }
+
+    /**
+     * Stop any gesture or fling immediately
+     */
+    stop() {
+        this.isActive = false;
+        this.isFlinging = false;
+        this.velocity = 0;
+    }
+
+    /**
+     * Apply a raw rotation and return the change in detented output heading
+     */
+    rotate(rotation) {
+        this.rawHeading += rotation;
+        const heading = applyDetents(this.rawHeading, this.options.detentWidth);
+        const delta = angleDifference(heading, this.outputHeading);
+        this.outputHeading = heading;
+        return delta;
+    }
+
+    /**
+     * Check whether a gesture vector is too short for a stable angle
+     */
+    isInDeadzone(x, y) {
+        return Math.sqrt(x * x + y * y) < this.options.deadzoneRadius;
+    }
+
+    /**
+     * Update options (gain, detentWidth, ...)
+     */
+    setOptions(options) {
+        this.options = { ...this.options, ...options };
+    }
+}
@@ -0,0 +1,326 @@
+/**
+ * CoordinateParser - Reads a typed position in decimal degrees, DMS / DDM, UTM or MGRS (WGS84)
+ *
+ * Accepted forms, for example:
+ *  - 50.0755, 14.4378 · -33.8568 151.2153 · 50.0755N 14.4378E
+ *  - 50°04'31.8"N 14°26'16.1"E · N50 04.530 E014 26.268 · 50 4 31.8, 14 26 16.1
+ *  - 33U 458560 5547128 (zone, latitude band, easting, northing)
+ *  - 33UVR5856047128 · 33U VR 58560 47128
+ */
+
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const E2 = WGS84_F * (2 - WGS84_F);
+const EP2 = E2 / (1 - E2);
+const K0 = 0.9996;
+
+const BANDS = 'CDEFGHJKLMNPQRSTUVWX'; // 8° latitude bands from 80°S, X spans 72°-84°N
+const MGRS_COLUMN_SETS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const MGRS_ROWS = 'ABCDEFGHJKLMNPQRSTUV';
+
+const MGRS_PATTERN = /^(\d{1,2})\s*([C-HJ-NP-X])\s*([A-HJ-NP-Z])\s*([A-HJ-NP-V])\s*(\d+)(?:\s+(\d+))?$/;
+const UTM_PATTERN = /^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d+(?:\.\d+)?)\s*(?:M?E)?[\s,;]+(\d+(?:\.\d+)?)\s*(?:M?N)?$/;
+
+/**
+ * Latitude range of a UTM/MGRS band letter
+ */
+function getBandRange(band) {
+    const index = BANDS.indexOf(band);
+    const south = -80 + index * 8;
+    return { south, north: band === 'X' ? 84 : south + 8 };
+}
+
+/**
+ * Central meridian of a UTM zone in degrees
+ */
+function getCentralMeridian(zone) {
+    return (zone - 1) * 6 - 180 + 3;
+}
+
+/**
+ * Meridional arc length from the equator in meters
+ */
+function meridionalArc(φ) {
+    const e4 = E2 * E2;
+    const e6 = e4 * E2;
+    return WGS84_A * (
+        (1 - E2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * φ -
+        (3 * E2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * φ) +
+        (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * φ) -
+        (35 * e6 / 3072) * Math.sin(6 * φ)
+    );
+}
+
+/**
+ * Convert latitude/longitude to UTM in a given zone
+ * @returns {Object} {easting, northing} in meters (northing with the southern false northing below the equator)
+ */
+export function latLonToUtm(latitude, longitude, zone) {
+    const φ = latitude * Math.PI / 180;
+    const Δλ = (longitude - getCentralMeridian(zone)) * Math.PI / 180;
+
+    const sinφ = Math.sin(φ);
+    const cosφ = Math.cos(φ);
+    const N = WGS84_A / Math.sqrt(1 - E2 * sinφ * sinφ);
+    const T = Math.tan(φ) ** 2;
+    const C = EP2 * cosφ * cosφ;
+    const A = cosφ * Δλ;
+
+    const easting = 500000 + K0 * N * (
+        A + (1 - T + C) * A ** 3 / 6 +
+        (5 - 18 * T + T * T + 72 * C - 58 * EP2) * A ** 5 / 120
+    );
+    let northing = K0 * (meridionalArc(φ) + N * Math.tan(φ) * (
+        A * A / 2 + (5 - T + 9 * C + 4 * C * C) * A ** 4 / 24 +
+        (61 - 58 * T + T * T + 600 * C - 330 * EP2) * A ** 6 / 720
+    ));
+    if (latitude < 0) {
+        northing += 10000000;
+    }
+
+    return { easting, northing };
+}
+
+/**
+ * Convert UTM to latitude/longitude
+ * @param {number} zone - UTM zone 1-60
+ * @param {boolean} isNorthern - Northern hemisphere (no false northing)
+ */
+export function utmToLatLon(zone, isNorthern, easting, northing) {
+    const x = easting - 500000;
+    const y = isNorthern ? northing : northing - 10000000;
+
+    const e1 = (1 - Math.sqrt(1 - E2)) / (1 + Math.sqrt(1 - E2));
+    const μ = y / K0 / (WGS84_A * (1 - E2 / 4 - 3 * E2 * E2 / 64 - 5 * E2 ** 3 / 256));
+    const φ1 = μ +
+        (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * μ) +
+        (21 * e1 * e1 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * μ) +
+        (151 * e1 ** 3 / 96) * Math.sin(6 * μ) +
+        (1097 * e1 ** 4 / 512) * Math.sin(8 * μ);
+
+    const sinφ1 = Math.sin(φ1);
+    const cosφ1 = Math.cos(φ1);
+    const N1 = WGS84_A / Math.sqrt(1 - E2 * sinφ1 * sinφ1);
+    const T1 = Math.tan(φ1) ** 2;
+    const C1 = EP2 * cosφ1 * cosφ1;
+    const R1 = WGS84_A * (1 - E2) / Math.pow(1 - E2 * sinφ1 * sinφ1, 1.5);
+    const D = x / (N1 * K0);
+
+    const φ = φ1 - (N1 * Math.tan(φ1) / R1) * (
+        D * D / 2 -
+        (5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * EP2) * D ** 4 / 24 +
+        (61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * EP2 - 3 * C1 * C1) * D ** 6 / 720
+    );
+    const Δλ = (
+        D - (1 + 2 * T1 + C1) * D ** 3 / 6 +
+        (5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * EP2 + 24 * T1 * T1) * D ** 5 / 120
+    ) / cosφ1;
+
+    return {
+        latitude: φ * 180 / Math.PI,
+        longitude: getCentralMeridian(zone) + Δλ * 180 / Math.PI
+    };
+}
+
+/**
+ * Reject zone numbers outside 1-60
+ */
+function checkZone(zone) {
+    if (zone < 1 || zone > 60) {
+        throw new Error(`UTM zone ${zone} is out of range (1-60)`);
+    }
+}
+
+/**
+ * Convert a zone/band UTM position to latitude/longitude, checking it lies in the band
+ */
+function bandedUtmToLatLon(zone, band, easting, northing) {
+    checkZone(zone);
+    if (easting < 100000 || easting > 900000) {
+        throw new Error(`Easting ${easting} is outside the zone (100000-900000)`);
+    }
+    if (northing < 0 || northing > 10000000) {
+        throw new Error(`Northing ${northing} is out of range (0-10000000)`);
+    }
+
+    const position = utmToLatLon(zone, band >= 'N', easting, northing);
+    const { south, north } = getBandRange(band);
+    if (position.latitude < south - 0.5 || position.latitude > north + 0.5) {
+        throw new Error(`Position is at latitude ${position.latitude.toFixed(2)}°, outside band ${band} (${south}° to ${north}°)`);
+    }
+    return position;
+}
+
+/**
+ * Convert an MGRS reference to UTM
+ * @returns {Object} {zone, band, easting, northing} - the south-west corner of the referenced square
+ */
+export function mgrsToUtm(zone, band, columnLetter, rowLetter, digits) {
+    if (digits.length % 2 !== 0 || digits.length > 10) {
+        throw new Error('MGRS easting and northing need the same number of digits (1-5 each)');
+    }
+    checkZone(zone);
+
+    const column = MGRS_COLUMN_SETS[(zone - 1) % 3].indexOf(columnLetter);
+    if (column < 0) {
+        throw new Error(`Column letter ${columnLetter} is not used in zone ${zone}`);
+    }
+
+    // Even zones start the row letters at F
+    const rowOffset = zone % 2 === 0 ? 5 : 0;
+    const row = (MGRS_ROWS.indexOf(rowLetter) - rowOffset + MGRS_ROWS.length) % MGRS_ROWS.length;
+
+    const precision = digits.length / 2;
+    const scale = Math.pow(10, 5 - precision);
+    const easting = (column + 1) * 100000 + (precision ? Number(digits.slice(0, precision)) * scale : 0);
+    let northing = row * 100000 + (precision ? Number(digits.slice(precision)) * scale : 0);
+
+    // Row letters repeat every 2000 km - lift the northing into the latitude band
+    const bandSouth = getBandRange(band).south;
+    const bandNorthing = latLonToUtm(bandSouth, getCentralMeridian(zone), zone).northing;
+    const minNorthing = Math.floor(bandNorthing / 100000) * 100000;
+    while (northing < minNorthing) {
+        northing += 2000000;
+    }
+
+    return { zone, band, easting, northing };
+}
+
+/**
+ * Convert one degrees[/minutes[/seconds]] component to decimal degrees
+ */
+function componentToDegrees(numbers, text) {
+    const [degrees, minutes = 0, seconds = 0] = numbers.map(Math.abs);
+    const isNegative = numbers[0] < 0 || Object.is(numbers[0], -0);
+
+    if (numbers.length > 3) {
+        throw new Error(`Too many numbers in "${text}"`);
+    }
+    if (numbers.length > 1 && !Number.isInteger(degrees)) {
+        throw new Error(`Degrees must be whole when minutes follow ("${text}")`);
+    }
+    if (numbers.length > 2 && !Number.isInteger(minutes)) {
+        throw new Error(`Minutes must be whole when seconds follow ("${text}")`);
+    }
+    if (minutes >= 60 || seconds >= 60) {
+        throw new Error(`Minutes and seconds must be below 60 ("${text}")`);
+    }
+
+    const value = degrees + minutes / 60 + seconds / 3600;
+    return isNegative ? -value : value;
+}
+
+/**
+ * Split latitude/longitude text into two components of numbers with optional hemisphere letters
+ */
+function splitLatLon(text) {
+    if (/[^0-9NSEW.,;+\-\s°º'"’”′″:]/.test(text)) {
+        throw new Error('Unrecognised characters - use degrees, DMS, UTM or MGRS');
+    }
+
+    const tokens = text.match(/[NSEW]|[+-]?\d+(?:\.\d+)?|[,;]/g) || [];
+    const leadingLetters = /^[NSEW]$/.test(tokens[0]);
+    const components = [];
+    let current = { numbers: [], hemisphere: null };
+
+    const close = () => {
+        if (current.numbers.length > 0) {
+            components.push(current);
+        }
+        current = { numbers: [], hemisphere: null };
+    };
+
+    for (const token of tokens) {
+        if (token === ',' || token === ';') {
+            close();
+        } else if (/^[NSEW]$/.test(token)) {
+            if (leadingLetters) {
+                close();
+                current.hemisphere = token;
+            } else {
+                current.hemisphere = token;
+                close();
+            }
+        } else {
+            current.numbers.push(Number(token)); // Keeps -0 so "-0 30" is south / west
+        }
+    }
+    close();
+
+    // Without separators or letters, split plain numbers evenly: lat lon, D M D M or D M S D M S
+    if (components.length === 1 && !components[0].hemisphere && [2, 4, 6].includes(components[0].numbers.length)) {
+        const { numbers } = components[0];
+        const half = numbers.length / 2;
+        return [{ numbers: numbers.slice(0, half), hemisphere: null }, { numbers: numbers.slice(half), hemisphere: null }];
+    }
+
+    if (components.length !== 2) {
+        throw new Error('Enter a latitude and a longitude');
+    }
+    return components;
+}
+
+/**
+ * Parse a latitude/longitude pair in decimal degrees, DMS or degrees and decimal minutes
+ */
+function parseLatLon(text) {
+    let [first, second] = splitLatLon(text);
+
+    // Hemisphere letters may put the longitude first
+    if ((first.hemisphere === 'E' || first.hemisphere === 'W') && (second.hemisphere === 'N' || second.hemisphere === 'S')) {
+        [first, second] = [second, first];
+    }
+    if ((first.hemisphere && !'NS'.includes(first.hemisphere)) || (second.hemisphere && !'EW'.includes(second.hemisphere))) {
+        throw new Error('Latitude needs N/S and longitude E/W');
+    }
+
+    const values = [first, second].map(component => {
+        if (component.hemisphere && component.numbers[0] < 0) {
+            throw new Error('Use either a minus sign or a hemisphere letter, not both');
+        }
+        const value = componentToDegrees(component.numbers, text);
+        return component.hemisphere === 'S' || component.hemisphere === 'W' ? -value : value;
+    });
+
+    const [latitude, longitude] = values;
+    if (Math.abs(latitude) > 90) {
+        throw new Error(`Latitude ${latitude.toFixed(4)}° is out of range (-90 to 90)`);
+    }
+    if (Math.abs(longitude) > 180) {
+        throw new Error(`Longitude ${longitude.toFixed(4)}° is out of range (-180 to 180)`);
+    }
+
+    const isSexagesimal = first.numbers.length > 1 || second.numbers.length > 1;
+    return { latitude, longitude, format: isSexagesimal ? 'dms' : 'dd' };
+}
+
+/**
+ * Parse a typed position
+ * @param {string} text - Decimal degrees, DMS / DDM, UTM or MGRS
+ * @returns {Object} {latitude, longitude, format} - format is 'dd', 'dms', 'utm' or 'mgrs'
+ * @throws {Error} With a message suitable for the user when the text can't be read
+ */
+export function parseCoordinate(text) {
+    const input = String(text).trim().toUpperCase();
+    if (!input) {
+        throw new Error('Enter a position');
+    }
+
+    const mgrs = input.match(MGRS_PATTERN);
+    if (mgrs) {
+        const [, zoneText, band, column, row, first, second = ''] = mgrs;
+        if (second && first.length !== second.length) {
+            throw new Error('MGRS easting and northing need the same number of digits');
+        }
+        const utm = mgrsToUtm(Number(zoneText), band, column, row, first + second);
+        return { ...bandedUtmToLatLon(utm.zone, band, utm.easting, utm.northing), format: 'mgrs' };
+    }
+
+    const utm = input.match(UTM_PATTERN);
+    if (utm) {
+        const [, zoneText, band, easting, northing] = utm;
+        return { ...bandedUtmToLatLon(Number(zoneText), band, Number(easting), Number(northing)), format: 'utm' };
+    }
+
+    return parseLatLon(input);
+}
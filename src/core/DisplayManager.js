@@ -2,21 +2,42 @@
  * DisplayManager - Handles canvas-based visualization of grid, circles, and position
  */
 import { CompassController } from './CompassController.js';
+import { PinchZoomController } from './PinchZoomController.js';
+import { PositionTrail } from './PositionTrail.js';
+import { haversineDistance, gpsToLocalCoordinates } from './GeoUtils.js';
+import { DISPLAY_RANGES } from './SettingsSchema.js';
 
 export class DisplayManager {
     constructor() {
         this.canvas = null;
         this.ctx = null;
         this.markedPosition = null;
+        this.secondaryMarks = []; // Inactive marks drawn as secondary symbols
+        this.markSampler = null; // MarkAverager while an averaged mark is sampling
+        this.fixQuality = 'none'; // GPSQualityMonitor state of the live fix stream
+
+        // Interpolation between fixes - the dot glides from where it was drawn to the new fix
+        this.interpolationFrom = null;
+        this.interpolationDuration = 0; // ms, the last fix interval
+        this.positionUpdatedAt = null;
+        this.maxInterpolationTime = 2000; // ms - longer gaps are not stretched out
         this.currentPosition = null;
+        this.velocity = null; // Estimated velocity {east, north} in m/s
+        this.trail = new PositionTrail(30);
 
         // Display settings - will be updated based on theme
         this.settings = {
-            gridSize: 5, // 5 meters
-            gridScale: 1, // 1 meter per unit
+            displayRange: 5, // Meters from the mark to the compass ring
+            autoZoom: false,
             circleCount: 5, // 5 circles
-            circleScale: 1, // 1 meter diameter increments
             dotSize: 8,
+            showRawPosition: false, // Draw the unfiltered GPS fix instead of the smoothed one
+            interpolatePosition: false, // Glide the dot between fixes instead of jumping
+            showVelocityVector: true,
+            predictionTime: 3, // Seconds ahead for the predicted position marker
+            trailLength: 30, // Seconds of position history to draw (0 disables)
+            compassGain: 1, // Degrees of heading per degree swept by a drag
+            compassDetents: true, // Cardinal headings are sticky while dragging
             gridColor: '#333',
             circleColor: '#4CAF50',
             dotColor: '#FF5722',
@@ -24,17 +45,36 @@ export class DisplayManager {
             backgroundColor: '#000',
             compassColor: '#4CAF50',
             headingColor: '#FF9800',
+            vectorColor: '#00BCD4',
+            trailColor: '#FF9800',
+            offScaleColor: '#E91E63',
+            secondaryMarkColor: '#90A4AE',
+            staleColor: '#9E9E9E',
             labelColor: '#FFF'
         };
 
         this.animationId = null;
         this.isInitialized = false;
-        this.pixelsPerMeter = 50; // Scale factor for display
+        this.eventTarget = new EventTarget();
+        this.pixelsPerMeter = 50; // Scale factor for display, eased towards targetPixelsPerMeter
+        this.targetPixelsPerMeter = 50;
+
+        // Zoom state - viewRange is the range currently shown (auto zoom may widen displayRange)
+        this.viewRange = this.settings.displayRange;
+        this.autoZoomSettledSince = null;
+        this.autoZoomSettleTime = 5000; // ms the aircraft must stay well inside a smaller range
+        this.autoZoomHeadroom = 0.8; // Expand to a range that puts the aircraft inside 80% of it
+        this.autoZoomTightenRatio = 0.6; // Tighten once inside 60% of the next smaller range
 
         // Heading selection properties
-        this.selectedHeading = 0; // Current selected heading in degrees (0 = North)
+        this.selectedHeading = 0; // Current selected heading in degrees true (0 = North)
+        this.northReference = 'true'; // 'true' or 'magnetic' - how the heading is shown
+        this.declination = 0; // Magnetic declination in degrees, east positive
         this.compassRadius = 0; // Will be calculated based on canvas size
         this.compassController = null; // Will be initialized after canvas setup
+        this.pinchZoomController = null;
+
+        this.handleResize = this.handleResize.bind(this);
     }
 
     /**
@@ -49,6 +89,20 @@ export class DisplayManager {
 
             this.ctx = this.canvas.getContext('2d');
             this.setupCanvas();
+            this.pixelsPerMeter = this.targetPixelsPerMeter; // No zoom animation on first frame
+
+            // Handle resize
+            window.addEventListener('resize', this.handleResize);
+
+            // Drag or two-finger twist rotates the compass, pinch / wheel steps the display range
+            this.compassController = new CompassController(this.canvas, (rotationDelta) => {
+                this.onHeadingChange(rotationDelta);
+            }, () => this.selectedHeading);
+            this.updateCompassControls();
+            this.pinchZoomController = new PinchZoomController(this.canvas, (step) => {
+                this.stepDisplayRange(step);
+            });
+
             this.updateThemeColors(); // Set initial theme colors
             this.updateHeadingDisplay(); // Initialize heading display
             this.startAnimation();
@@ -115,22 +169,121 @@ export class DisplayManager {
         this.canvas.style.width = `${canvasSize}px`;
         this.canvas.style.height = `${canvasSize}px`;
 
-        // Calculate pixels per meter based on canvas size
-        const minDimension = canvasSize;
-        this.pixelsPerMeter = (minDimension * 0.9) / (this.settings.gridSize * 2);
+        this.updateScale();
 
         // Setup canvas properties
         this.ctx.imageSmoothingEnabled = true;
         this.ctx.lineCap = 'round';
         this.ctx.lineJoin = 'round';
+    }
 
-        // Handle resize
-        window.addEventListener('resize', this.handleResize.bind(this));
+    /**
+     * Recalculate the target scale so the view range fills the canvas
+     */
+    updateScale() {
+        if (!this.canvas) return;
+        this.targetPixelsPerMeter = (this.canvas.width * 0.9) / (this.viewRange * 2);
+    }
 
-        // Initialize compass controller
-        this.compassController = new CompassController(this.canvas, (rotationDelta) => {
-            this.onHeadingChange(rotationDelta);
-        });
+    /**
+     * Change the range currently shown
+     * @param {number} range - Meters from the mark to the compass ring
+     */
+    setViewRange(range) {
+        if (range === this.viewRange) return;
+
+        this.viewRange = range;
+        this.updateScale();
+        console.log(`Display range: ±${range}m`);
+
+        // Zoom (manual or auto) moves the rings - let the owner follow
+        this.emit('display:view-range', { range });
+    }
+
+    /**
+     * Step the configured display range up (+1) or down (-1) one level
+     */
+    stepDisplayRange(step) {
+        const index = DISPLAY_RANGES.indexOf(this.settings.displayRange);
+        const next = DISPLAY_RANGES[Math.max(0, Math.min(DISPLAY_RANGES.length - 1, index + step))];
+        if (next === this.settings.displayRange) return;
+
+        this.settings.displayRange = next;
+        this.autoZoomSettledSince = null;
+        this.setViewRange(next);
+
+        // Let the owner persist the new range
+        this.emit('display:range-change', { range: next });
+    }
+
+    /**
+     * Widen the view when the aircraft leaves the compass ring, tighten back towards the
+     * configured range once it has stayed well inside a smaller one
+     * @param {number} distance - Distance from the mark in meters
+     */
+    updateAutoZoom(distance) {
+        const baseRange = this.settings.displayRange;
+        if (!this.settings.autoZoom) {
+            this.setViewRange(baseRange);
+            return;
+        }
+
+        const ranges = DISPLAY_RANGES.filter(range => range >= baseRange);
+
+        if (distance > this.viewRange) {
+            const range = ranges.find(candidate => distance <= candidate * this.autoZoomHeadroom) ??
+                ranges[ranges.length - 1];
+            this.autoZoomSettledSince = null;
+            this.setViewRange(range);
+            return;
+        }
+
+        const smaller = ranges.filter(range => range < this.viewRange).pop();
+        if (smaller !== undefined && distance < smaller * this.autoZoomTightenRatio) {
+            const now = Date.now();
+            this.autoZoomSettledSince ??= now;
+            if (now - this.autoZoomSettledSince >= this.autoZoomSettleTime) {
+                this.autoZoomSettledSince = null;
+                this.setViewRange(smaller);
+            }
+        } else {
+            this.autoZoomSettledSince = null;
+        }
+    }
+
+    /**
+     * Get the range currently shown in meters
+     */
+    getViewRange() {
+        return this.viewRange;
+    }
+
+    /**
+     * Spacing (meters) for grid lines and rings - a 1/2/5 step giving about circleCount rings
+     */
+    getRingSpacing() {
+        const rough = this.viewRange / this.settings.circleCount;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const fraction = rough / magnitude;
+        const nice = fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10;
+        return nice * magnitude;
+    }
+
+    /**
+     * Radii (meters) of the rings as drawn, innermost first - the last one is the compass ring
+     */
+    getRingRadii() {
+        const spacing = this.getRingSpacing();
+        const ringCount = Math.ceil(this.viewRange / spacing - 1e-6);
+        const inner = Array.from({ length: ringCount - 1 }, (_, index) => (index + 1) * spacing);
+        return [...inner, this.viewRange];
+    }
+
+    /**
+     * Format a ring distance label
+     */
+    formatRangeLabel(meters) {
+        return Number.isInteger(meters) ? `${meters}m` : `${meters.toFixed(1)}m`;
     }
 
     /**
@@ -174,35 +327,51 @@ export class DisplayManager {
         const centerX = this.canvas.width / 2;
         const centerY = this.canvas.height / 2;
 
+        // Ease towards the target scale so zoom changes are animated
+        const scaleDelta = this.targetPixelsPerMeter - this.pixelsPerMeter;
+        this.pixelsPerMeter = Math.abs(scaleDelta) < 0.01 ?
+            this.targetPixelsPerMeter :
+            this.pixelsPerMeter + scaleDelta * 0.2;
+
         // Always draw grid and compass for testing
         this.drawGrid(centerX, centerY);
         this.drawCircles(centerX, centerY);
         this.drawCenterPoint(centerX, centerY);
 
-        // Draw position dot only if we have both marked and current positions
+        if (this.markedPosition) {
+            this.drawSecondaryMarks(centerX, centerY);
+        }
+
+        // Draw trail and position dot only if we have both marked and current positions
         if (this.markedPosition && this.currentPosition) {
+            this.drawTrail(centerX, centerY);
             this.drawPositionDot(centerX, centerY);
         }
 
-        // Show instructions if no position is marked
-        if (!this.markedPosition) {
+        this.drawRangeLabel();
+
+        if (this.markSampler) {
+            this.drawMarkProgress(centerX, centerY);
+        } else if (!this.markedPosition) {
+            // Show instructions if no position is marked
             this.drawInstructions();
         }
     }
 
     /**
-     * Draw grid (1 meter scale, 5 meters length)
+     * Draw grid (ring spacing, out to the display range)
      */
     drawGrid(centerX, centerY) {
         this.ctx.strokeStyle = this.settings.gridColor;
         this.ctx.lineWidth = 1;
         this.ctx.globalAlpha = 0.6;
 
-        const gridExtent = this.settings.gridSize * this.pixelsPerMeter;
-        const meterStep = this.pixelsPerMeter;
+        const gridExtent = this.viewRange * this.pixelsPerMeter;
+        const meterStep = this.getRingSpacing() * this.pixelsPerMeter;
+        const lineCount = Math.floor(this.viewRange / this.getRingSpacing() + 1e-6);
 
         // Draw vertical lines
-        for (let i = -this.settings.gridSize; i <= this.settings.gridSize; i++) {
+        for (let i = -lineCount; i <= lineCount; i++) {
             const x = centerX + (i * meterStep);
             this.ctx.beginPath();
             this.ctx.moveTo(x, centerY - gridExtent);
@@ -211,7 +380,7 @@ export class DisplayManager {
         }
 
         // Draw horizontal lines
-        for (let i = -this.settings.gridSize; i <= this.settings.gridSize; i++) {
+        for (let i = -lineCount; i <= lineCount; i++) {
             const y = centerY + (i * meterStep);
             this.ctx.beginPath();
             this.ctx.moveTo(centerX - gridExtent, y);
@@ -223,16 +392,19 @@ export class DisplayManager {
     }
 
     /**
-     * Draw concentric circles (1 meter diameter increments, 4 circles + compass)
+     * Draw concentric circles at the ring spacing inside the compass ring
      */
     drawCircles(centerX, centerY) {
         this.ctx.strokeStyle = this.settings.circleColor;
         this.ctx.lineWidth = 2;
         this.ctx.globalAlpha = 0.8;
 
-        // Draw inner circles (1m to 4m)
-        for (let i = 1; i < this.settings.circleCount; i++) {
-            const radius = i * this.settings.circleScale * this.pixelsPerMeter;
+        const spacing = this.getRingSpacing();
+        const ringCount = Math.ceil(this.viewRange / spacing - 1e-6);
+
+        // Inner circles - the outermost one is the compass ring itself
+        for (let i = 1; i < ringCount; i++) {
+            const radius = i * spacing * this.pixelsPerMeter;
 
             this.ctx.beginPath();
             this.ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
@@ -242,16 +414,34 @@ export class DisplayManager {
             this.ctx.fillStyle = this.settings.circleColor;
             this.ctx.font = '12px Arial';
             this.ctx.textAlign = 'center';
-            this.ctx.fillText(`${i}m`, centerX, centerY - radius - 5);
+            this.ctx.fillText(this.formatRangeLabel(i * spacing), centerX, centerY - radius - 5);
         }
 
         this.ctx.globalAlpha = 1;
 
-        // Draw compass ring at 5m radius
-        this.compassRadius = this.settings.circleCount * this.settings.circleScale * this.pixelsPerMeter;
+        // Draw compass ring at the display range
+        this.compassRadius = this.viewRange * this.pixelsPerMeter;
         this.drawCompassRing(centerX, centerY);
     }
 
+    /**
+     * Draw the current display range in the top-left corner
+     */
+    drawRangeLabel() {
+        const isAutoZoomed = this.settings.autoZoom && this.viewRange !== this.settings.displayRange;
+
+        this.ctx.save();
+        this.ctx.fillStyle = isAutoZoomed ? this.settings.headingColor : this.settings.circleColor;
+        this.ctx.font = 'bold 14px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillText(
+            `±${this.viewRange}m${this.settings.autoZoom ? ' AUTO' : ''}`,
+            10, 10
+        );
+        this.ctx.restore();
+    }
+
     /**
      * Draw center point (marked position)
      */
@@ -272,35 +462,79 @@ export class DisplayManager {
         this.ctx.stroke();
     }
 
+    /**
+     * Draw inactive marks inside the compass ring as hollow diamonds with their names
+     */
+    drawSecondaryMarks(centerX, centerY) {
+        this.ctx.save();
+        this.ctx.strokeStyle = this.settings.secondaryMarkColor;
+        this.ctx.fillStyle = this.settings.secondaryMarkColor;
+        this.ctx.lineWidth = 2;
+        this.ctx.font = '12px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+
+        for (const mark of this.secondaryMarks) {
+            const local = this.gpsToLocalCoordinates(this.markedPosition, mark);
+            const { x, y } = this.localToCanvas(local.x, local.y, centerX, centerY);
+            if (Math.hypot(x - centerX, y - centerY) > this.compassRadius) continue;
+
+            const size = 7;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, y - size);
+            this.ctx.lineTo(x + size, y);
+            this.ctx.lineTo(x, y + size);
+            this.ctx.lineTo(x - size, y);
+            this.ctx.closePath();
+            this.ctx.stroke();
+            this.ctx.fillText(mark.name, x + size + 4, y);
+        }
+
+        this.ctx.restore();
+    }
+
     /**
      * Draw current position dot
      */
     drawPositionDot(centerX, centerY) {
         if (!this.markedPosition || !this.currentPosition) return;
 
+        const position = this.getRenderedPosition(Date.now());
+
         // Use Haversine-based coordinate conversion for improved accuracy
-        const localCoords = this.gpsToLocalCoordinates(this.markedPosition, this.currentPosition);
+        const localCoords = this.gpsToLocalCoordinates(this.markedPosition, position);
+        const { x: pixelX, y: pixelY } = this.localToCanvas(localCoords.x, localCoords.y, centerX, centerY);
+
+        // Outside the compass ring the dot would be clipped or off the canvas - pin a chevron to the ring instead
+        const offsetX = pixelX - centerX;
+        const offsetY = pixelY - centerY;
+        if (Math.sqrt(offsetX * offsetX + offsetY * offsetY) > this.compassRadius) {
+            const distance = Math.sqrt(localCoords.x * localCoords.x + localCoords.y * localCoords.y);
+            this.drawOffScaleIndicator(centerX, centerY, Math.atan2(offsetY, offsetX), distance);
+            return;
+        }
 
-        // Apply coordinate system transformation: East=X, North=Y
-        let offsetX = localCoords.x;  // East offset in meters
-        let offsetY = localCoords.y;  // North offset in meters
+        // A frozen dot must not look alive - no pulse, no velocity vector
+        if (this.fixQuality === 'stale') {
+            this.drawStaleDot(pixelX, pixelY);
+            return;
+        }
 
-        // Rotate coordinates based on selected heading (negative to rotate world opposite to compass)
-        const headingRad = -this.selectedHeading * Math.PI / 180; // Convert to radians and invert
-        const rotatedX = offsetX * Math.cos(headingRad) - offsetY * Math.sin(headingRad);
-        const rotatedY = offsetX * Math.sin(headingRad) + offsetY * Math.cos(headingRad);
+        if (this.settings.showVelocityVector && this.velocity) {
+            this.drawVelocityVector(localCoords, pixelX, pixelY, centerX, centerY);
+        }
 
-        // Convert to pixels (note: canvas Y increases downward, so we negate Y)
-        const pixelX = centerX + (rotatedX * this.pixelsPerMeter);
-        const pixelY = centerY - (rotatedY * this.pixelsPerMeter); // Negative for canvas coordinate system
+        if (this.fixQuality === 'degraded' || this.fixQuality === 'jump') {
+            this.drawQualityRing(pixelX, pixelY);
+        }
 
         // Draw position dot with pulsing effect
         const time = Date.now() * 0.003;
         const pulseSize = this.settings.dotSize + Math.sin(time) * 2;
 
         // Get color based on GPS accuracy
-        const dotColor = this.currentPosition.accuracy ?
-            this.getAccuracyColor(this.currentPosition.accuracy) :
+        const dotColor = position.accuracy ?
+            this.getAccuracyColor(position.accuracy) :
             this.settings.dotColor;
 
         // Draw outer glow
@@ -321,6 +555,248 @@ export class DisplayManager {
         this.ctx.fill();
     }
 
+    /**
+     * Draw a stale fix as a grey crossed-out dot labelled STALE
+     */
+    drawStaleDot(pixelX, pixelY) {
+        const size = this.settings.dotSize;
+
+        this.ctx.save();
+        this.ctx.strokeStyle = this.settings.staleColor;
+        this.ctx.fillStyle = this.settings.staleColor;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(pixelX, pixelY, size, 0, 2 * Math.PI);
+        this.ctx.stroke();
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(pixelX - size, pixelY - size);
+        this.ctx.lineTo(pixelX + size, pixelY + size);
+        this.ctx.moveTo(pixelX + size, pixelY - size);
+        this.ctx.lineTo(pixelX - size, pixelY + size);
+        this.ctx.stroke();
+
+        this.ctx.font = 'bold 12px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText('STALE', pixelX + size + 6, pixelY);
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw a dashed warning ring around the dot for a degraded fix or a position jump
+     */
+    drawQualityRing(pixelX, pixelY) {
+        const isJump = this.fixQuality === 'jump';
+        const radius = this.settings.dotSize + 8;
+
+        this.ctx.save();
+        this.ctx.strokeStyle = isJump ? this.settings.offScaleColor : this.settings.headingColor;
+        this.ctx.fillStyle = this.ctx.strokeStyle;
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([4, 4]);
+        this.ctx.beginPath();
+        this.ctx.arc(pixelX, pixelY, radius, 0, 2 * Math.PI);
+        this.ctx.stroke();
+
+        this.ctx.font = 'bold 12px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(isJump ? 'JUMP' : 'DEGRADED', pixelX + radius + 4, pixelY);
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw an edge-pinned chevron on the compass ring pointing towards an off-scale position
+     * @param {number} angle - Canvas angle (radians) from the center towards the position
+     * @param {number} distance - Distance from the mark in meters
+     */
+    drawOffScaleIndicator(centerX, centerY, angle, distance) {
+        const radius = this.compassRadius;
+        const pointAt = (r, sideways = 0) => ({
+            x: centerX + Math.cos(angle) * r - Math.sin(angle) * sideways,
+            y: centerY + Math.sin(angle) * r + Math.cos(angle) * sideways
+        });
+
+        const tip = pointAt(radius + 8);
+        const left = pointAt(radius - 14, -13);
+        const notch = pointAt(radius - 6);
+        const right = pointAt(radius - 14, 13);
+
+        // Blink so an off-scale aircraft can't be mistaken for a normal on-scale dot -
+        // unless the fix is stale, which is drawn grey and still like the stale dot
+        const isStale = this.fixQuality === 'stale';
+        const color = isStale ? this.settings.staleColor : this.settings.offScaleColor;
+        const pulse = isStale ? 0.6 : 0.65 + 0.35 * Math.sin(Date.now() * 0.008);
+
+        this.ctx.save();
+        this.ctx.globalAlpha = pulse;
+        this.ctx.fillStyle = color;
+        this.ctx.strokeStyle = '#FFFFFF';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(tip.x, tip.y);
+        this.ctx.lineTo(left.x, left.y);
+        this.ctx.lineTo(notch.x, notch.y);
+        this.ctx.lineTo(right.x, right.y);
+        this.ctx.closePath();
+        this.ctx.fill();
+        this.ctx.stroke();
+
+        // Distance label just inside the ring
+        const label = pointAt(radius - 30);
+        const meters = distance < 100 ? `${distance.toFixed(1)}m` : `${Math.round(distance)}m`;
+        const text = isStale ? `${meters} STALE` : meters;
+        this.ctx.globalAlpha = 1;
+        this.ctx.font = 'bold 14px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.strokeStyle = '#000000';
+        this.ctx.lineWidth = 3;
+        this.ctx.strokeText(text, label.x, label.y);
+        this.ctx.fillStyle = color;
+        this.ctx.fillText(text, label.x, label.y);
+        this.ctx.restore();
+    }
+
+    /**
+     * Rotate an East/North offset into the selected-heading frame and convert to canvas pixels
+     * @param {number} offsetX - East offset in meters
+     * @param {number} offsetY - North offset in meters
+     * @returns {Object} Canvas coordinates {x, y}
+     */
+    localToCanvas(offsetX, offsetY, centerX, centerY) {
+        // Rotate coordinates based on selected heading (negative to rotate world opposite to compass)
+        const headingRad = -this.selectedHeading * Math.PI / 180; // Convert to radians and invert
+        const rotatedX = offsetX * Math.cos(headingRad) - offsetY * Math.sin(headingRad);
+        const rotatedY = offsetX * Math.sin(headingRad) + offsetY * Math.cos(headingRad);
+
+        // Convert to pixels (note: canvas Y increases downward, so we negate Y)
+        return {
+            x: centerX + (rotatedX * this.pixelsPerMeter),
+            y: centerY - (rotatedY * this.pixelsPerMeter) // Negative for canvas coordinate system
+        };
+    }
+
+    /**
+     * Draw fading breadcrumb trail of recent positions
+     */
+    drawTrail(centerX, centerY) {
+        if (this.settings.trailLength <= 0) return;
+
+        // Age points against the newest fix rather than the wall clock, so 2x/4x replay shows the same span
+        const points = this.trail.getPoints(this.trail.getNewestTimestamp());
+        if (points.length === 0) return;
+
+        this.ctx.fillStyle = this.settings.trailColor;
+        this.ctx.strokeStyle = this.settings.trailColor;
+        this.ctx.lineWidth = 2;
+
+        let previous = null;
+        for (const point of points) {
+            const pixel = this.localToCanvas(point.x, point.y, centerX, centerY);
+            const alpha = 0.7 * (1 - point.ageRatio);
+
+            // Connect breadcrumbs so the wander path stays readable
+            if (previous) {
+                this.ctx.globalAlpha = alpha * 0.5;
+                this.ctx.beginPath();
+                this.ctx.moveTo(previous.x, previous.y);
+                this.ctx.lineTo(pixel.x, pixel.y);
+                this.ctx.stroke();
+            }
+
+            this.ctx.globalAlpha = alpha;
+            this.ctx.beginPath();
+            this.ctx.arc(pixel.x, pixel.y, 2.5, 0, 2 * Math.PI);
+            this.ctx.fill();
+
+            previous = pixel;
+        }
+
+        this.ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Draw velocity arrow from the position dot to the predicted position
+     */
+    drawVelocityVector(localCoords, pixelX, pixelY, centerX, centerY) {
+        const predictionTime = this.settings.predictionTime;
+        const predicted = this.localToCanvas(
+            localCoords.x + this.velocity.east * predictionTime,
+            localCoords.y + this.velocity.north * predictionTime,
+            centerX, centerY
+        );
+
+        const dx = predicted.x - pixelX;
+        const dy = predicted.y - pixelY;
+        const length = Math.sqrt(dx * dx + dy * dy);
+
+        // Too short to be meaningful - aircraft is effectively stationary
+        if (length < 2) return;
+
+        this.ctx.strokeStyle = this.settings.vectorColor;
+        this.ctx.fillStyle = this.settings.vectorColor;
+        this.ctx.lineWidth = 3;
+        this.ctx.globalAlpha = 0.9;
+
+        // Arrow shaft
+        this.ctx.beginPath();
+        this.ctx.moveTo(pixelX, pixelY);
+        this.ctx.lineTo(predicted.x, predicted.y);
+        this.ctx.stroke();
+
+        // Arrow head
+        const angle = Math.atan2(dy, dx);
+        const headSize = 10;
+        this.ctx.beginPath();
+        this.ctx.moveTo(predicted.x, predicted.y);
+        this.ctx.lineTo(
+            predicted.x - headSize * Math.cos(angle - Math.PI / 6),
+            predicted.y - headSize * Math.sin(angle - Math.PI / 6)
+        );
+        this.ctx.lineTo(
+            predicted.x - headSize * Math.cos(angle + Math.PI / 6),
+            predicted.y - headSize * Math.sin(angle + Math.PI / 6)
+        );
+        this.ctx.closePath();
+        this.ctx.fill();
+
+        // Predicted position ghost marker
+        this.ctx.lineWidth = 2;
+        this.ctx.globalAlpha = 0.5;
+        this.ctx.beginPath();
+        this.ctx.arc(predicted.x, predicted.y, this.settings.dotSize, 0, 2 * Math.PI);
+        this.ctx.stroke();
+
+        this.ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Estimate velocity (m/s East/North) for the latest fix
+     * Prefers filter velocity, then GPS speed/heading, then the difference between successive fixes
+     * @returns {Object|null} Velocity {east, north} or null if unknown
+     */
+    estimateVelocity(previousPosition, currentPosition) {
+        if (typeof currentPosition.velocityEast === 'number' && typeof currentPosition.velocityNorth === 'number') {
+            return { east: currentPosition.velocityEast, north: currentPosition.velocityNorth };
+        }
+
+        const { speed, heading } = currentPosition;
+        if (typeof speed === 'number' && typeof heading === 'number' && !isNaN(heading)) {
+            const headingRad = heading * Math.PI / 180;
+            return { east: speed * Math.sin(headingRad), north: speed * Math.cos(headingRad) };
+        }
+
+        if (previousPosition && currentPosition.timestamp > previousPosition.timestamp) {
+            const dt = (currentPosition.timestamp - previousPosition.timestamp) / 1000;
+            const delta = this.gpsToLocalCoordinates(previousPosition, currentPosition);
+            return { east: delta.x / dt, north: delta.y / dt };
+        }
+
+        return null;
+    }
+
     /**
      * Draw instructions when no position is marked
      */
@@ -335,6 +811,36 @@ export class DisplayManager {
         );
     }
 
+    /**
+     * Draw the sampling progress of an averaged mark as a ring around the centre
+     */
+    drawMarkProgress(centerX, centerY) {
+        const { fraction, label } = this.markSampler.getProgress(Date.now());
+        const radius = 40;
+        const start = -Math.PI / 2;
+
+        this.ctx.save();
+        this.ctx.lineWidth = 6;
+        this.ctx.strokeStyle = this.settings.gridColor;
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+        this.ctx.stroke();
+
+        this.ctx.strokeStyle = this.settings.headingColor;
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, radius, start, start + fraction * 2 * Math.PI);
+        this.ctx.stroke();
+
+        this.ctx.fillStyle = this.settings.labelColor;
+        this.ctx.font = 'bold 14px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillText('Averaging mark', centerX, centerY + radius + 10);
+        this.ctx.font = '12px Arial';
+        this.ctx.fillText(label, centerX, centerY + radius + 28);
+        this.ctx.restore();
+    }
+
     /**
      * Draw compass ring
      */
@@ -403,10 +909,28 @@ export class DisplayManager {
     updateHeadingDisplay() {
         const headingElement = document.getElementById('heading-value');
         if (headingElement) {
-            headingElement.textContent = `${Math.round(this.selectedHeading)}°`;
+            const isMagnetic = this.northReference === 'magnetic';
+            const heading = isMagnetic ? this.selectedHeading - this.declination : this.selectedHeading;
+            const rounded = Math.round((heading + 360) % 360) % 360;
+            headingElement.textContent = `${rounded}°${isMagnetic ? 'M' : 'T'}${this.declinationWarning ? '!' : ''}`;
+            headingElement.classList.toggle('declination-warning', Boolean(this.declinationWarning));
+            headingElement.title = this.declinationWarning ? `${this.declinationWarning} - tap to set heading` : 'Set heading';
         }
     }
 
+    /**
+     * Set how the heading readout is referenced
+     * @param {string} reference - 'true' or 'magnetic'
+     * @param {number} declination - Magnetic declination in degrees, east positive
+     * @param {string|null} warning - Shown on the readout while the declination is unreliable (e.g. model expired)
+     */
+    setNorthReference(reference, declination, warning = null) {
+        this.northReference = reference;
+        this.declination = declination;
+        this.declinationWarning = warning;
+        this.updateHeadingDisplay();
+    }
+
     /**
      * Get selected heading
      */
@@ -427,15 +951,86 @@ export class DisplayManager {
      */
     setMarkedPosition(position) {
         this.markedPosition = position;
+        this.trail.clear(); // Offsets are relative to the mark, so old ones no longer apply
         console.log('Display: Marked position set', position);
     }
 
+    /**
+     * Set the inactive marks to draw as secondary symbols
+     */
+    setSecondaryMarks(marks) {
+        this.secondaryMarks = marks;
+    }
+
+    /**
+     * Set the live fix quality ('none', 'good', 'degraded', 'jump' or 'stale')
+     */
+    setFixQuality(state) {
+        this.fixQuality = state;
+    }
+
+    /**
+     * Show (or with null, hide) the progress of an averaged mark
+     * @param {MarkAverager|null} sampler - Queried for progress on every frame
+     */
+    setMarkSampler(sampler) {
+        this.markSampler = sampler;
+    }
+
     /**
      * Update current position
      */
     updatePosition(markedPosition, currentPosition) {
+        const now = Date.now();
+        this.interpolationFrom = this.currentPosition ? this.getRenderedPosition(now) : null;
+        this.interpolationDuration = this.positionUpdatedAt === null ? 0 :
+            Math.min(now - this.positionUpdatedAt, this.maxInterpolationTime);
+        this.positionUpdatedAt = now;
+
+        this.velocity = this.estimateVelocity(this.currentPosition, currentPosition);
         this.markedPosition = markedPosition;
         this.currentPosition = currentPosition;
+
+        if (markedPosition) {
+            const offset = this.gpsToLocalCoordinates(markedPosition, this.getDisplayedPosition());
+            this.trail.push(offset.x, offset.y, currentPosition.timestamp ?? Date.now());
+            this.updateAutoZoom(Math.sqrt(offset.x * offset.x + offset.y * offset.y));
+        }
+    }
+
+    /**
+     * Get the position to draw - filtered by default, raw fix if configured
+     */
+    getDisplayedPosition() {
+        if (this.settings.showRawPosition && this.currentPosition.raw) {
+            return this.currentPosition.raw;
+        }
+        return this.currentPosition;
+    }
+
+    /**
+     * Get the position to draw this frame - with interpolation on, part way from the
+     * previously drawn position to the latest fix
+     */
+    getRenderedPosition(now) {
+        const target = this.getDisplayedPosition();
+        if (!this.settings.interpolatePosition || !this.interpolationFrom || this.interpolationDuration <= 0) {
+            return target;
+        }
+
+        const t = Math.min(1, (now - this.positionUpdatedAt) / this.interpolationDuration);
+        return {
+            ...target,
+            latitude: this.interpolationFrom.latitude + (target.latitude - this.interpolationFrom.latitude) * t,
+            longitude: this.interpolationFrom.longitude + (target.longitude - this.interpolationFrom.longitude) * t
+        };
+    }
+
+    /**
+     * Clear the position history trail
+     */
+    clearTrail() {
+        this.trail.clear();
     }
 
     /**
@@ -444,6 +1039,12 @@ export class DisplayManager {
     reset() {
         this.markedPosition = null;
         this.currentPosition = null;
+        this.velocity = null;
+        this.interpolationFrom = null;
+        this.positionUpdatedAt = null;
+        this.trail.clear();
+        this.autoZoomSettledSince = null;
+        this.setViewRange(this.settings.displayRange);
         console.log('Display: Reset');
     }
 
@@ -452,9 +1053,27 @@ export class DisplayManager {
      */
     updateSettings(newSettings) {
         this.settings = { ...this.settings, ...newSettings };
+        this.trail.setDuration(this.settings.trailLength);
+        this.updateCompassControls();
+
+        // A new configured range (or auto zoom switched off) takes effect immediately
+        if (!this.settings.autoZoom || this.viewRange < this.settings.displayRange) {
+            this.autoZoomSettledSince = null;
+            this.setViewRange(this.settings.displayRange);
+        }
+
         console.log('Display settings updated:', this.settings);
     }
 
+    /**
+     * Apply drag gain and detent settings to the compass controller
+     */
+    updateCompassControls() {
+        if (!this.compassController) return;
+        this.compassController.setGain(this.settings.compassGain);
+        this.compassController.setDetentWidth(this.settings.compassDetents ? 3 : 0);
+    }
+
     /**
      * Get display bounds in meters
      */
@@ -504,38 +1123,10 @@ export class DisplayManager {
 
     /**
      * Calculate distance between two GPS coordinates using Haversine formula
-     * @param {number} lat1 - First latitude in decimal degrees
-     * @param {number} lon1 - First longitude in decimal degrees
-     * @param {number} lat2 - Second latitude in decimal degrees
-     * @param {number} lon2 - Second longitude in decimal degrees
      * @returns {number} Distance in meters
      */
     haversineDistance(lat1, lon1, lat2, lon2) {
-        // Use WGS84 Earth radius for better accuracy
-        const R = 6378137.0; // WGS84 equatorial radius in meters
-
-        // Convert to radians with higher precision
-        const φ1 = lat1 * (Math.PI / 180.0);
-        const φ2 = lat2 * (Math.PI / 180.0);
-        const Δφ = (lat2 - lat1) * (Math.PI / 180.0);
-        const Δλ = (lon2 - lon1) * (Math.PI / 180.0);
-
-        // For very small distances, use linear approximation to avoid precision loss
-        if (Math.abs(Δφ) < 1e-8 && Math.abs(Δλ) < 1e-8) {
-            // Linear approximation for distances < ~1 meter
-            const avgLat = (φ1 + φ2) / 2.0;
-            const x = Δλ * Math.cos(avgLat);
-            const y = Δφ;
-            return R * Math.sqrt(x * x + y * y);
-        }
-
-        // Standard Haversine for larger distances
-        const a = Math.sin(Δφ / 2.0) * Math.sin(Δφ / 2.0) +
-            Math.cos(φ1) * Math.cos(φ2) *
-            Math.sin(Δλ / 2.0) * Math.sin(Δλ / 2.0);
-        const c = 2.0 * Math.atan2(Math.sqrt(a), Math.sqrt(1.0 - a));
-
-        return R * c;
+        return haversineDistance(lat1, lon1, lat2, lon2);
     }
 
     /**
@@ -560,64 +1151,31 @@ export class DisplayManager {
 
     /**
      * Convert GPS coordinates to local Cartesian coordinates (East/North offsets)
-     * Uses Local Tangent Plane (LTP) projection for improved accuracy at short distances
-     * @param {Object} referencePos - Reference position {latitude, longitude}
-     * @param {Object} currentPos - Current position {latitude, longitude}
      * @returns {Object} Local coordinates {x: eastOffset, y: northOffset} in meters
      */
     gpsToLocalCoordinates(referencePos, currentPos) {
-        // Use WGS84 parameters for higher accuracy
-        const a = 6378137.0; // WGS84 semi-major axis (equatorial radius)
-        const f = 1.0 / 298.257223563; // WGS84 flattening
-        const e2 = 2.0 * f - f * f; // First eccentricity squared
-
-        // Convert to radians with explicit precision
-        const φ0 = referencePos.latitude * (Math.PI / 180.0); // Reference latitude
-        const λ0 = referencePos.longitude * (Math.PI / 180.0); // Reference longitude
-        const φ = currentPos.latitude * (Math.PI / 180.0); // Current latitude
-        const λ = currentPos.longitude * (Math.PI / 180.0); // Current longitude
-
-        // Calculate differences
-        const Δφ = φ - φ0;
-        const Δλ = λ - λ0;
-
-        // For very small distances (< 100m), use simplified local tangent plane
-        if (Math.abs(Δφ) < 0.001 && Math.abs(Δλ) < 0.001) {
-            // Radius of curvature in the meridian
-            const M = a * (1.0 - e2) / Math.pow(1.0 - e2 * Math.sin(φ0) * Math.sin(φ0), 1.5);
-
-            // Radius of curvature in the prime vertical
-            const N = a / Math.sqrt(1.0 - e2 * Math.sin(φ0) * Math.sin(φ0));
-
-            // Local tangent plane coordinates
-            const northOffset = M * Δφ;
-            const eastOffset = N * Math.cos(φ0) * Δλ;
-
-            return {
-                x: eastOffset,  // East is positive X
-                y: northOffset // North is positive Y
-            };
-        }
+        return gpsToLocalCoordinates(referencePos, currentPos);
+    }
 
-        // For larger distances, fall back to Haversine-based calculation
-        // Calculate East offset using Haversine at reference latitude
-        const eastDistance = this.haversineDistance(
-            referencePos.latitude, referencePos.longitude,
-            referencePos.latitude, currentPos.longitude
-        );
-        const eastOffset = currentPos.longitude > referencePos.longitude ? eastDistance : -eastDistance;
+    /**
+     * Add event listener
+     */
+    addEventListener(event, callback) {
+        this.eventTarget.addEventListener(event, callback);
+    }
 
-        // Calculate North offset using Haversine
-        const northDistance = this.haversineDistance(
-            referencePos.latitude, referencePos.longitude,
-            currentPos.latitude, referencePos.longitude
-        );
-        const northOffset = currentPos.latitude > referencePos.latitude ? northDistance : -northDistance;
+    /**
+     * Remove event listener
+     */
+    removeEventListener(event, callback) {
+        this.eventTarget.removeEventListener(event, callback);
+    }
 
-        return {
-            x: eastOffset,  // East is positive X
-            y: northOffset // North is positive Y
-        };
+    /**
+     * Emit event
+     */
+    emit(event, data) {
+        this.eventTarget.dispatchEvent(new CustomEvent(event, { detail: data }));
     }
 
     /**
@@ -631,12 +1189,18 @@ export class DisplayManager {
             this.compassController = null;
         }
 
+        if (this.pinchZoomController) {
+            this.pinchZoomController.destroy();
+            this.pinchZoomController = null;
+        }
+
         if (this.canvas) {
-            window.removeEventListener('resize', this.handleResize.bind(this));
+            window.removeEventListener('resize', this.handleResize);
         }
 
         this.canvas = null;
         this.ctx = null;
+        this.eventTarget = null;
         this.isInitialized = false;
 
         console.log('DisplayManager destroyed');
@@ -1,19 +1,50 @@
 /**
  * GPSManager - Handles geolocation with maximum precision and refresh rate
  */
+import { NoopFilter, createPositionFilter } from './PositionFilter.js';
+import { createLocationProvider } from './LocationProvider.js';
+import { GPSQualityMonitor } from './GPSQualityMonitor.js';
+
 export class GPSManager {
-    constructor(settings = {}) {
+    /**
+     * @param {Object} settings - GPS settings
+     * @param {Object} provider - Position source, built from settings if null
+     * @param {Object} overrides - Settings that win over every later update (e.g. ?provider=simulated from the URL)
+     */
+    constructor(settings = {}, provider = null, overrides = {}) {
+        this.overrides = overrides;
         this.settings = {
             enableHighAccuracy: true,
             timeout: 10000,
             maximumAge: 0,
-            ...settings
+            updateInterval: 1000, // ms - fixes arriving faster are filtered but not forwarded
+            ...settings,
+            ...overrides
         };
+
+        // Position source - browser geolocation by default, swappable for simulation
+        this.provider = provider || createLocationProvider(this.settings);
         
         this.watchId = null;
         this.isTracking = false;
         this.lastPosition = null;
+        this.lastRawPosition = null;
+        this.filter = new NoopFilter(); // Smoothing stage between raw fixes and 'position' events
         this.eventTarget = new EventTarget();
+
+        // Judges the raw fix stream; re-checked on a timer so a stream that stops goes stale
+        this.qualityMonitor = new GPSQualityMonitor(this.getQualityOptions());
+        this.qualityTimer = null;
+        this.qualityCheckInterval = 1000;
+
+        // Rate control and timing statistics
+        this.intervalTolerance = 0.25; // Forward a fix up to 25% of updateInterval early, so arrival jitter doesn't halve the rate
+        this.nextForwardAt = null; // Scheduled time of the next forwarded fix
+        this.lastFixReceivedAt = null;
+        this.timingSamples = []; // [{interval, latency}] in ms for the most recent fixes
+        this.maxTimingSamples = 60;
+        this.forwardedCount = 0;
+        this.droppedCount = 0;
         
         this.onPositionSuccess = this.onPositionSuccess.bind(this);
         this.onPositionError = this.onPositionError.bind(this);
@@ -23,7 +54,7 @@ export class GPSManager {
      * Check if geolocation is supported
      */
     isSupported() {
-        return 'geolocation' in navigator;
+        return this.provider.isSupported();
     }
 
     /**
@@ -37,7 +68,7 @@ export class GPSManager {
         try {
             // Try to get current position to trigger permission request
             const position = await new Promise((resolve, reject) => {
-                navigator.geolocation.getCurrentPosition(
+                this.provider.getCurrentPosition(
                     resolve,
                     reject,
                     {
@@ -80,17 +111,23 @@ export class GPSManager {
                 throw new Error(permissionResult.error || 'Location permission denied');
             }
 
+            // Start each tracking session with a fresh filter and quality state
+            this.filter.reset();
+            this.qualityMonitor.reset();
+            this.resetTiming();
+
             // Start watching position
-            this.watchId = navigator.geolocation.watchPosition(
+            this.watchId = this.provider.watchPosition(
                 this.onPositionSuccess,
                 this.onPositionError,
                 this.settings
             );
 
             this.isTracking = true;
+            this.qualityTimer = setInterval(() => this.emitQuality(), this.qualityCheckInterval);
             this.emit('connected', { accuracy: permissionResult.position?.accuracy });
             
-            console.log('GPS tracking started with settings:', this.settings);
+            console.log(`GPS tracking started (${this.provider.name}) with settings:`, this.settings);
         } catch (error) {
             console.error('Failed to start GPS tracking:', error);
             this.emit('error', error);
@@ -103,10 +140,17 @@ export class GPSManager {
      */
     stop() {
         if (this.watchId !== null) {
-            navigator.geolocation.clearWatch(this.watchId);
+            this.provider.clearWatch(this.watchId);
             this.watchId = null;
         }
-        
+
+        if (this.qualityTimer) {
+            clearInterval(this.qualityTimer);
+            this.qualityTimer = null;
+        }
+        this.qualityMonitor.reset();
+        this.emitQuality();
+
         this.isTracking = false;
         this.emit('disconnected');
         console.log('GPS tracking stopped');
@@ -116,11 +160,123 @@ export class GPSManager {
      * Handle successful position update
      */
     onPositionSuccess(position) {
-        const parsedPosition = this.parsePosition(position);
-        this.lastPosition = parsedPosition;
-        
-        console.log('GPS position update:', parsedPosition);
-        this.emit('position', parsedPosition);
+        const now = Date.now();
+        const rawPosition = this.parsePosition(position);
+        this.recordTiming(rawPosition, now);
+        this.qualityMonitor.addFix(rawPosition, now);
+
+        // Every fix feeds the filter and goes out as 'fix' (recording, mark averaging);
+        // only one per updateInterval is forwarded as 'position' for display and guidance
+        const filteredPosition = {
+            ...this.filter.filter(rawPosition),
+            raw: rawPosition
+        };
+        this.lastRawPosition = rawPosition;
+        this.emit('fix', filteredPosition);
+
+        if (this.shouldForward(now)) {
+            this.forwardedCount++;
+            this.lastPosition = filteredPosition;
+
+            console.log('GPS position update:', filteredPosition);
+            this.emit('position', filteredPosition);
+        } else {
+            this.droppedCount++;
+        }
+        this.emitQuality();
+    }
+
+    /**
+     * Check whether a fix is due and schedule the next one
+     * The schedule advances by whole intervals, so early fixes accepted within the tolerance
+     * don't raise the average rate above 1 / updateInterval
+     */
+    shouldForward(now) {
+        const interval = this.settings.updateInterval || 0;
+        if (this.nextForwardAt !== null && now < this.nextForwardAt - interval * this.intervalTolerance) {
+            return false;
+        }
+
+        // Restart the schedule after a gap instead of forwarding a burst to catch up
+        const onSchedule = this.nextForwardAt !== null && now - this.nextForwardAt <= interval;
+        this.nextForwardAt = (onSchedule ? this.nextForwardAt : now) + interval;
+        return true;
+    }
+
+    /**
+     * Record the arrival interval and latency (arrival - fix timestamp) of a raw fix
+     */
+    recordTiming(rawPosition, now) {
+        if (this.lastFixReceivedAt !== null) {
+            this.timingSamples.push({
+                interval: now - this.lastFixReceivedAt,
+                latency: typeof rawPosition.timestamp === 'number' ? now - rawPosition.timestamp : null
+            });
+            if (this.timingSamples.length > this.maxTimingSamples) {
+                this.timingSamples.shift();
+            }
+        }
+        this.lastFixReceivedAt = now;
+    }
+
+    /**
+     * Forget timing statistics (e.g. tracking restarted)
+     */
+    resetTiming() {
+        this.nextForwardAt = null;
+        this.lastFixReceivedAt = null;
+        this.timingSamples = [];
+        this.forwardedCount = 0;
+        this.droppedCount = 0;
+    }
+
+    /**
+     * Measured fix timing over the most recent fixes, for comparing devices
+     * @returns {Object} {targetInterval, interval, latency, forwarded, dropped} where interval and
+     *   latency are {mean, min, max, jitter} in ms (null until measured); latency includes any
+     *   offset between the device clock and the fix timestamps
+     */
+    getTimingStats() {
+        const summarize = (values) => {
+            if (values.length === 0) return null;
+
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const variance = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / values.length;
+            return {
+                mean,
+                min: Math.min(...values),
+                max: Math.max(...values),
+                jitter: Math.sqrt(variance)
+            };
+        };
+
+        return {
+            targetInterval: this.settings.updateInterval,
+            interval: summarize(this.timingSamples.map(sample => sample.interval)),
+            latency: summarize(this.timingSamples.map(sample => sample.latency).filter(latency => latency !== null)),
+            forwarded: this.forwardedCount,
+            dropped: this.droppedCount
+        };
+    }
+
+    /**
+     * Re-check fix quality and announce it
+     */
+    emitQuality() {
+        const now = Date.now();
+        this.qualityMonitor.check(now);
+        this.emit('quality', this.qualityMonitor.getStatus(now));
+    }
+
+    /**
+     * Quality monitor thresholds from GPS settings
+     */
+    getQualityOptions() {
+        const options = {};
+        if (this.settings.staleTimeout !== undefined) options.staleTimeout = this.settings.staleTimeout;
+        if (this.settings.degradedAccuracy !== undefined) options.degradedAccuracy = this.settings.degradedAccuracy;
+        if (this.settings.jumpSpeed !== undefined) options.jumpSpeed = this.settings.jumpSpeed;
+        return options;
     }
 
     /**
@@ -163,19 +319,85 @@ export class GPSManager {
 
     /**
      * Update GPS settings
+     * Tracking is only restarted when the watch options or the position source change;
+     * thresholds and marking options apply to the running stream.
      */
     updateSettings(newSettings) {
-        this.settings = { ...this.settings, ...newSettings };
-        
-        // If tracking is active, restart with new settings
-        if (this.isTracking) {
-            this.stop();
-            setTimeout(() => this.start(), 100);
+        const previousSettings = this.settings;
+        this.settings = { ...this.settings, ...newSettings, ...this.overrides };
+        this.qualityMonitor.setOptions(this.getQualityOptions());
+
+        const changed = keys => keys.some(key => previousSettings[key] !== this.settings[key]);
+        // The simulated provider generates fixes at updateInterval; for geolocation the interval
+        // only paces forwarding (shouldForward reads it live), so the stream keeps running
+        const providerKeys = ['provider', 'simulationPattern', 'simulationNoise', 'simulationAccuracy'];
+        if (this.settings.provider === 'simulated') {
+            providerKeys.push('updateInterval');
+        }
+        const providerChanged = changed(providerKeys);
+        const watchChanged = changed(['enableHighAccuracy', 'timeout', 'maximumAge']);
+
+        if (providerChanged || watchChanged) {
+            // If tracking is active, restart with new settings
+            const wasTracking = this.isTracking;
+            if (wasTracking) {
+                this.stop();
+            }
+
+            // Rebuild the provider when the source or simulation parameters change
+            if (providerChanged) {
+                this.provider = createLocationProvider(this.settings);
+            }
+
+            if (wasTracking) {
+                setTimeout(() => this.start(), 100);
+            }
         }
         
         console.log('GPS settings updated:', this.settings);
     }
 
+    /**
+     * Set the smoothing filter applied to position updates
+     * @param {Object} filter - Filter exposing filter(position) and reset()
+     */
+    setFilter(filter) {
+        this.filter = filter || new NoopFilter();
+        console.log('GPS position filter set:', this.filter.constructor.name);
+    }
+
+    /**
+     * Replace the position source (restarts tracking if active)
+     * @param {Object} provider - Object implementing the LocationProvider interface
+     */
+    setProvider(provider) {
+        const wasTracking = this.isTracking;
+        if (wasTracking) {
+            this.stop();
+        }
+
+        this.provider = provider;
+        console.log('GPS provider set:', provider.name);
+
+        if (wasTracking) {
+            this.start();
+        }
+    }
+
+    /**
+     * Get the name of the active position source
+     */
+    getProviderName() {
+        return this.provider.name;
+    }
+
+    /**
+     * Build the smoothing filter from advanced settings
+     */
+    configureFilter(advancedSettings) {
+        this.setFilter(createPositionFilter(advancedSettings));
+    }
+
     /**
      * Get current position (one-time request)
      */
@@ -185,7 +407,7 @@ export class GPSManager {
         }
 
         return new Promise((resolve, reject) => {
-            navigator.geolocation.getCurrentPosition(
+            this.provider.getCurrentPosition(
                 (position) => resolve(this.parsePosition(position)),
                 reject,
                 this.settings
@@ -200,6 +422,13 @@ export class GPSManager {
         return this.lastPosition;
     }
 
+    /**
+     * Get last unfiltered position
+     */
+    getLastRawPosition() {
+        return this.lastRawPosition;
+    }
+
     /**
      * Check if GPS is currently tracking
      */
@@ -248,6 +477,7 @@ export class GPSManager {
         this.stop();
         this.eventTarget = null;
         this.lastPosition = null;
+        this.lastRawPosition = null;
         console.log('GPSManager destroyed');
     }
 }
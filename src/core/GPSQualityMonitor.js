@@ -0,0 +1,207 @@
+/**
+ * GPSQualityMonitor - Judges whether the fix stream can be trusted
+ *
+ * Tracks update rate, fix age (against each fix's timestamp), accuracy trend and implausible
+ * position steps, and reduces them to one state:
+ *   'none'     - no fix yet
+ *   'good'     - fresh fixes with acceptable accuracy
+ *   'degraded' - accuracy worse than the limit, or several times worse than it was recently
+ *   'jump'     - the last fixes stepped farther than the aircraft could have moved
+ *   'stale'    - no new fix for a while, or fixes keep arriving with old timestamps (frozen stream)
+ * Times are in milliseconds and passed in, so the model can be driven without a browser.
+ */
+
+const EARTH_RADIUS = 6371000; // meters
+
+export class GPSQualityMonitor {
+    constructor(options = {}) {
+        this.options = {
+            staleTimeout: 5000, // ms without a fresh fix before the stream is stale
+            degradedAccuracy: 15, // meters - worse accuracy is degraded
+            degradeRatio: 3, // Accuracy this many times worse than the recent best is degraded
+            recoveryRatio: 0.8, // Degraded clears once back under 80% of the limit
+            jumpSpeed: 40, // m/s - steps implying more than this (beyond the accuracies) are jumps
+            jumpHoldTime: 3000, // ms the jump state is held after a jump
+            window: 30000, // ms of fixes kept for rate and trend
+            ...options
+        };
+
+        this.reset();
+    }
+
+    /**
+     * Forget all fixes (e.g. tracking restarted)
+     */
+    reset() {
+        this.fixes = []; // [{receivedAt, timestamp, latitude, longitude, accuracy}] within the window
+        this.lastFreshAt = null; // Receipt time of the last fix whose timestamp advanced
+        this.clockOffset = null; // Smallest receipt - timestamp seen, so device clock skew isn't age
+        this.lastJumpAt = null;
+        this.jumpDistance = null;
+        this.isDegraded = false;
+        this.state = 'none';
+    }
+
+    /**
+     * Record a fix
+     * @param {Object} fix - Raw fix with latitude, longitude, accuracy, timestamp
+     * @param {number} now - Receipt time
+     * @returns {string} Resulting state
+     */
+    addFix(fix, now) {
+        const timestamp = typeof fix.timestamp === 'number' ? fix.timestamp : now;
+        const previous = this.fixes[this.fixes.length - 1];
+
+        if (!previous || timestamp > previous.timestamp) {
+            this.lastFreshAt = now;
+        }
+        this.clockOffset = this.clockOffset === null ? now - timestamp : Math.min(this.clockOffset, now - timestamp);
+
+        const entry = {
+            receivedAt: now,
+            timestamp,
+            latitude: fix.latitude,
+            longitude: fix.longitude,
+            accuracy: typeof fix.accuracy === 'number' ? fix.accuracy : null
+        };
+
+        if (previous && timestamp > previous.timestamp && this.isJump(previous, entry)) {
+            this.lastJumpAt = now;
+            this.jumpDistance = this.distance(previous, entry);
+        }
+
+        this.fixes.push(entry);
+        this.fixes = this.fixes.filter(other => now - other.receivedAt <= this.options.window);
+
+        return this.check(now);
+    }
+
+    /**
+     * Check whether a step between two fixes is farther than the aircraft could have moved
+     */
+    isJump(from, to) {
+        const elapsed = (to.timestamp - from.timestamp) / 1000;
+        const allowance = (from.accuracy || 0) + (to.accuracy || 0) + this.options.jumpSpeed * elapsed;
+        return this.distance(from, to) > allowance;
+    }
+
+    /**
+     * Distance between two fixes in meters (flat approximation, fine for consecutive fixes)
+     */
+    distance(from, to) {
+        const metersPerDegree = EARTH_RADIUS * Math.PI / 180;
+        const east = (to.longitude - from.longitude) * metersPerDegree * Math.cos(from.latitude * Math.PI / 180);
+        const north = (to.latitude - from.latitude) * metersPerDegree;
+        return Math.sqrt(east * east + north * north);
+    }
+
+    /**
+     * Re-evaluate the state - call periodically so a stream that stops is noticed
+     * @returns {string} Current state
+     */
+    check(now) {
+        if (this.fixes.length === 0) {
+            this.state = 'none';
+            return this.state;
+        }
+
+        this.updateDegraded();
+
+        if (this.getFixAge(now) > this.options.staleTimeout || now - this.lastFreshAt > this.options.staleTimeout) {
+            this.state = 'stale';
+        } else if (this.lastJumpAt !== null && now - this.lastJumpAt <= this.options.jumpHoldTime) {
+            this.state = 'jump';
+        } else if (this.isDegraded) {
+            this.state = 'degraded';
+        } else {
+            this.state = 'good';
+        }
+        return this.state;
+    }
+
+    /**
+     * Update the degraded flag from the recent accuracy, with hysteresis
+     */
+    updateDegraded() {
+        const recent = this.getRecentAccuracy();
+        if (recent === null) return;
+
+        const best = Math.min(...this.fixes.filter(fix => fix.accuracy !== null).map(fix => fix.accuracy));
+        const limit = Math.min(this.options.degradedAccuracy, best * this.options.degradeRatio);
+
+        if (!this.isDegraded && recent > limit) {
+            this.isDegraded = true;
+        } else if (this.isDegraded && recent < limit * this.options.recoveryRatio) {
+            this.isDegraded = false;
+        }
+    }
+
+    /**
+     * Median accuracy of the last three fixes, so one poor fix doesn't flip the state
+     */
+    getRecentAccuracy() {
+        const recent = this.fixes.slice(-3).map(fix => fix.accuracy).filter(accuracy => accuracy !== null);
+        if (recent.length === 0) return null;
+
+        recent.sort((a, b) => a - b);
+        return recent[Math.floor(recent.length / 2)];
+    }
+
+    /**
+     * Age of the newest fix, corrected for a constant device clock offset
+     */
+    getFixAge(now) {
+        const last = this.fixes[this.fixes.length - 1];
+        if (!last) return Infinity;
+        return Math.max(0, now - last.timestamp - this.clockOffset);
+    }
+
+    /**
+     * Fixes per second over the window
+     */
+    getUpdateRate(now) {
+        const recent = this.fixes.filter(fix => now - fix.receivedAt <= this.options.window);
+        if (recent.length < 2) return null;
+
+        const span = (recent[recent.length - 1].receivedAt - recent[0].receivedAt) / 1000;
+        return span > 0 ? (recent.length - 1) / span : null;
+    }
+
+    /**
+     * Accuracy trend: compares the last three fixes with the three before them
+     * @returns {string|null} 'improving', 'steady' or 'worsening'
+     */
+    getAccuracyTrend() {
+        const accuracies = this.fixes.map(fix => fix.accuracy).filter(accuracy => accuracy !== null);
+        if (accuracies.length < 6) return null;
+
+        const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const older = mean(accuracies.slice(-6, -3));
+        const recent = mean(accuracies.slice(-3));
+        if (recent > older * 1.25 && recent - older >= 1) return 'worsening';
+        if (recent < older * 0.8 && older - recent >= 1) return 'improving';
+        return 'steady';
+    }
+
+    /**
+     * Snapshot for the status bar and display
+     * @returns {Object} {state, updateRate, fixAge, accuracy, accuracyTrend, jumpDistance}
+     */
+    getStatus(now) {
+        return {
+            state: this.state,
+            updateRate: this.getUpdateRate(now),
+            fixAge: this.fixes.length > 0 ? this.getFixAge(now) : null,
+            accuracy: this.getRecentAccuracy(),
+            accuracyTrend: this.getAccuracyTrend(),
+            jumpDistance: this.state === 'jump' ? this.jumpDistance : null
+        };
+    }
+
+    /**
+     * Update thresholds
+     */
+    setOptions(options) {
+        this.options = { ...this.options, ...options };
+    }
+}
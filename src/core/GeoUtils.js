@@ -0,0 +1,118 @@
+/**
+ * GeoUtils - Shared geodesic helpers for converting GPS fixes to local hover offsets
+ */
+
+const WGS84_A = 6378137.0; // WGS84 semi-major axis (equatorial radius) in meters
+const WGS84_F = 1.0 / 298.257223563; // WGS84 flattening
+
+/**
+ * Calculate distance between two GPS coordinates using Haversine formula
+ * @param {number} lat1 - First latitude in decimal degrees
+ * @param {number} lon1 - First longitude in decimal degrees
+ * @param {number} lat2 - Second latitude in decimal degrees
+ * @param {number} lon2 - Second longitude in decimal degrees
+ * @returns {number} Distance in meters
+ */
+export function haversineDistance(lat1, lon1, lat2, lon2) {
+    // Use WGS84 Earth radius for better accuracy
+    const R = WGS84_A;
+
+    // Convert to radians with higher precision
+    const φ1 = lat1 * (Math.PI / 180.0);
+    const φ2 = lat2 * (Math.PI / 180.0);
+    const Δφ = (lat2 - lat1) * (Math.PI / 180.0);
+    const Δλ = (lon2 - lon1) * (Math.PI / 180.0);
+
+    // For very small distances, use linear approximation to avoid precision loss
+    if (Math.abs(Δφ) < 1e-8 && Math.abs(Δλ) < 1e-8) {
+        // Linear approximation for distances < ~1 meter
+        const avgLat = (φ1 + φ2) / 2.0;
+        const x = Δλ * Math.cos(avgLat);
+        const y = Δφ;
+        return R * Math.sqrt(x * x + y * y);
+    }
+
+    // Standard Haversine for larger distances
+    const a = Math.sin(Δφ / 2.0) * Math.sin(Δφ / 2.0) +
+        Math.cos(φ1) * Math.cos(φ2) *
+        Math.sin(Δλ / 2.0) * Math.sin(Δλ / 2.0);
+    const c = 2.0 * Math.atan2(Math.sqrt(a), Math.sqrt(1.0 - a));
+
+    return R * c;
+}
+
+/**
+ * Convert GPS coordinates to local Cartesian coordinates (East/North offsets)
+ * Uses Local Tangent Plane (LTP) projection for improved accuracy at short distances
+ * @param {Object} referencePos - Reference position {latitude, longitude}
+ * @param {Object} currentPos - Current position {latitude, longitude}
+ * @returns {Object} Local coordinates {x: eastOffset, y: northOffset} in meters
+ */
+export function gpsToLocalCoordinates(referencePos, currentPos) {
+    const a = WGS84_A;
+    const f = WGS84_F;
+    const e2 = 2.0 * f - f * f; // First eccentricity squared
+
+    // Convert to radians with explicit precision
+    const φ0 = referencePos.latitude * (Math.PI / 180.0); // Reference latitude
+    const λ0 = referencePos.longitude * (Math.PI / 180.0); // Reference longitude
+    const φ = currentPos.latitude * (Math.PI / 180.0); // Current latitude
+    const λ = currentPos.longitude * (Math.PI / 180.0); // Current longitude
+
+    // Calculate differences
+    const Δφ = φ - φ0;
+    const Δλ = λ - λ0;
+
+    // For very small distances (< 100m), use simplified local tangent plane
+    if (Math.abs(Δφ) < 0.001 && Math.abs(Δλ) < 0.001) {
+        // Radius of curvature in the meridian
+        const M = a * (1.0 - e2) / Math.pow(1.0 - e2 * Math.sin(φ0) * Math.sin(φ0), 1.5);
+
+        // Radius of curvature in the prime vertical
+        const N = a / Math.sqrt(1.0 - e2 * Math.sin(φ0) * Math.sin(φ0));
+
+        // Local tangent plane coordinates
+        const northOffset = M * Δφ;
+        const eastOffset = N * Math.cos(φ0) * Δλ;
+
+        return {
+            x: eastOffset,  // East is positive X
+            y: northOffset // North is positive Y
+        };
+    }
+
+    // For larger distances, fall back to Haversine-based calculation
+    // Calculate East offset using Haversine at reference latitude
+    const eastDistance = haversineDistance(
+        referencePos.latitude, referencePos.longitude,
+        referencePos.latitude, currentPos.longitude
+    );
+    const eastOffset = currentPos.longitude > referencePos.longitude ? eastDistance : -eastDistance;
+
+    // Calculate North offset using Haversine
+    const northDistance = haversineDistance(
+        referencePos.latitude, referencePos.longitude,
+        currentPos.latitude, referencePos.longitude
+    );
+    const northOffset = currentPos.latitude > referencePos.latitude ? northDistance : -northDistance;
+
+    return {
+        x: eastOffset,  // East is positive X
+        y: northOffset // North is positive Y
+    };
+}
+
+/**
+ * Decompose an East/North offset into components relative to a heading
+ * @param {number} east - East offset in meters
+ * @param {number} north - North offset in meters
+ * @param {number} heading - Heading in degrees (0 = North)
+ * @returns {Object} {longitudinal: meters ahead (+) / behind (-), lateral: meters right (+) / left (-)}
+ */
+export function toHeadingFrame(east, north, heading) {
+    const headingRad = heading * Math.PI / 180;
+    return {
+        longitudinal: east * Math.sin(headingRad) + north * Math.cos(headingRad),
+        lateral: east * Math.cos(headingRad) - north * Math.sin(headingRad)
+    };
+}
@@ -0,0 +1,166 @@
+/**
+ * HapticFeedback - Vibration cues for ring crossings, GPS accuracy degradation and GPS loss
+ */
+export class HapticFeedback {
+    constructor(settings = {}) {
+        this.settings = {
+            vibrationEnabled: true,
+            vibrationAccuracyThreshold: 10, // meters
+            ...settings
+        };
+
+        this.ringRadii = [1, 2, 3, 4];
+        this.ringIndex = 0; // Number of rings the aircraft is currently outside of
+        this.lastDistance = null; // Meters from the mark at the last update
+        this.accuracyDegraded = false;
+
+        // Distance/accuracy margins that prevent repeated cues when hovering on a boundary
+        this.ringHysteresis = 0.2; // meters
+        this.accuracyRecoveryRatio = 0.8;
+
+        this.patterns = {
+            disconnect: [1000, 200, 1000],
+            accuracyDegraded: [400, 150, 100, 150, 400]
+        };
+    }
+
+    /**
+     * Check if the Vibration API is available
+     */
+    isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function';
+    }
+
+    /**
+     * Set ring radii (meters) to watch for outward crossings
+     * Rings move with zoom, so the position among the new rings is taken over without a buzz.
+     */
+    setRingRadii(ringRadii) {
+        if (ringRadii.length === this.ringRadii.length &&
+            ringRadii.every((radius, index) => radius === this.ringRadii[index])) return;
+
+        this.ringRadii = ringRadii;
+        this.ringIndex = this.lastDistance === null ? 0 : ringRadii.filter(radius => this.lastDistance > radius).length;
+    }
+
+    /**
+     * Process a position update
+     * @param {number|null} distance - Distance from the mark in meters (null when nothing is marked)
+     * @param {number} accuracy - Reported GPS accuracy in meters
+     */
+    update(distance, accuracy) {
+        if (distance !== null) {
+            this.checkRings(distance);
+        }
+        this.lastDistance = distance;
+
+        if (typeof accuracy === 'number') {
+            this.checkAccuracy(accuracy);
+        }
+    }
+
+    /**
+     * Vibrate when crossing outward through a ring - one pulse per ring number
+     */
+    checkRings(distance) {
+        // First distance after a reset or a lost fix: take the ring position without a buzz
+        if (this.lastDistance === null) {
+            this.ringIndex = this.ringRadii.filter(radius => distance > radius).length;
+            return;
+        }
+
+        let ringIndex = this.ringIndex;
+
+        // Moving outward: count every ring now behind us
+        while (ringIndex < this.ringRadii.length && distance > this.ringRadii[ringIndex]) {
+            ringIndex++;
+        }
+
+        // Moving inward: only step back once clearly inside
+        while (ringIndex > 0 && distance < this.ringRadii[ringIndex - 1] - this.ringHysteresis) {
+            ringIndex--;
+        }
+
+        if (ringIndex > this.ringIndex) {
+            this.vibrate(this.getRingPattern(ringIndex));
+        }
+
+        this.ringIndex = ringIndex;
+    }
+
+    /**
+     * Pattern for crossing ring n: n short pulses
+     */
+    getRingPattern(ringNumber) {
+        const pattern = [];
+        for (let i = 0; i < ringNumber; i++) {
+            if (i > 0) pattern.push(80);
+            pattern.push(100);
+        }
+        return pattern;
+    }
+
+    /**
+     * Vibrate once when accuracy degrades past the threshold
+     */
+    checkAccuracy(accuracy) {
+        const threshold = this.settings.vibrationAccuracyThreshold;
+
+        if (!this.accuracyDegraded && accuracy > threshold) {
+            this.accuracyDegraded = true;
+            this.vibrate(this.patterns.accuracyDegraded);
+        } else if (this.accuracyDegraded && accuracy < threshold * this.accuracyRecoveryRatio) {
+            this.accuracyDegraded = false;
+        }
+    }
+
+    /**
+     * Vibrate on GPS disconnect
+     * The ring position is re-taken from the first fix back, so fixes resuming outside
+     * a ring don't read as a crossing; the accuracy state is kept so it doesn't buzz again.
+     */
+    onDisconnect() {
+        this.vibrate(this.patterns.disconnect);
+        this.lastDistance = null;
+    }
+
+    /**
+     * Forget ring and accuracy state (e.g. new mark)
+     */
+    reset() {
+        this.ringIndex = 0;
+        this.lastDistance = null;
+        this.accuracyDegraded = false;
+    }
+
+    /**
+     * Vibrate if enabled and supported
+     */
+    vibrate(pattern) {
+        if (!this.settings.vibrationEnabled || !this.isSupported()) return;
+
+        try {
+            navigator.vibrate(pattern);
+        } catch (error) {
+            console.warn('Vibration failed:', error);
+        }
+    }
+
+    /**
+     * Update haptic settings
+     */
+    updateSettings(newSettings) {
+        this.settings = { ...this.settings, ...newSettings };
+        console.log('Haptic settings updated:', this.settings);
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        if (this.isSupported()) {
+            navigator.vibrate(0);
+        }
+        console.log('HapticFeedback destroyed');
+    }
+}
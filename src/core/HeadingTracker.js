@@ -0,0 +1,228 @@
+/**
+ * HeadingTracker - Drives the selected heading from the device compass or the GPS course
+ *
+ * Modes:
+ * - 'manual': heading is only set by dragging the compass (tracker is idle)
+ * - 'device': DeviceOrientation compass (webkitCompassHeading on iOS, absolute alpha elsewhere),
+ *   corrected from magnetic to true with the declination from setDeclination()
+ * - 'course': GPS course over ground while moving faster than courseMinSpeed
+ *
+ * Output is smoothed on the circle and can be locked to stop the display from swimming.
+ */
+export class HeadingTracker {
+    constructor(settings = {}) {
+        this.settings = {
+            headingMode: 'manual',
+            headingSmoothing: 0.8, // 0 = raw, towards 1 = heavier smoothing
+            courseMinSpeed: 2, // m/s - GPS course is unreliable below this
+            ...settings
+        };
+
+        this.eventTarget = new EventTarget();
+        this.heading = null; // Smoothed true heading in degrees
+        this.declination = 0; // Degrees, east positive (true = magnetic + declination)
+        this.isLocked = false;
+        this.orientationEvent = null; // DeviceOrientation event currently listened to
+
+        this.handleOrientation = this.handleOrientation.bind(this);
+    }
+
+    /**
+     * Check if the device can report a compass heading
+     */
+    isOrientationSupported() {
+        return typeof window !== 'undefined' &&
+            ('ondeviceorientationabsolute' in window || 'DeviceOrientationEvent' in window);
+    }
+
+    /**
+     * Start or stop sources to match the current mode
+     */
+    async start() {
+        this.stopOrientation();
+        this.heading = null;
+
+        if (this.settings.headingMode === 'device') {
+            await this.startOrientation();
+        }
+    }
+
+    /**
+     * Listen for compass updates - iOS 13+ needs permission from a user gesture
+     */
+    async startOrientation() {
+        if (!this.isOrientationSupported()) {
+            console.warn('Device orientation not supported - heading stays manual');
+            return;
+        }
+
+        if (typeof DeviceOrientationEvent !== 'undefined' &&
+            typeof DeviceOrientationEvent.requestPermission === 'function') {
+            try {
+                const permission = await DeviceOrientationEvent.requestPermission();
+                if (permission !== 'granted') {
+                    console.warn('Device orientation permission denied');
+                    return;
+                }
+            } catch (error) {
+                console.warn('Device orientation permission request failed:', error);
+                return;
+            }
+        }
+
+        // Chrome/Android report a north-referenced alpha only on the absolute event
+        this.orientationEvent = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+        window.addEventListener(this.orientationEvent, this.handleOrientation);
+        console.log('Heading tracking from device compass via', this.orientationEvent);
+    }
+
+    /**
+     * Stop listening for compass updates
+     */
+    stopOrientation() {
+        if (this.orientationEvent) {
+            window.removeEventListener(this.orientationEvent, this.handleOrientation);
+            this.orientationEvent = null;
+        }
+    }
+
+    /**
+     * Handle a DeviceOrientation event
+     */
+    handleOrientation(event) {
+        let magneticHeading;
+
+        if (typeof event.webkitCompassHeading === 'number') {
+            // iOS: degrees clockwise from magnetic north, negative accuracy means uncalibrated
+            if (event.webkitCompassAccuracy < 0) return;
+            magneticHeading = event.webkitCompassHeading;
+        } else if (event.absolute && typeof event.alpha === 'number') {
+            // alpha is counter-clockwise
+            magneticHeading = 360 - event.alpha;
+        } else {
+            return;
+        }
+
+        // Both are relative to the device's natural (portrait) orientation
+        const screenAngle = window.screen?.orientation?.angle ?? window.orientation ?? 0;
+        this.addReading(magneticHeading + screenAngle + this.declination);
+    }
+
+    /**
+     * Feed a position update - used in 'course' mode
+     * @param {Object} position - Position with heading (degrees true) and speed (m/s)
+     */
+    updatePosition(position) {
+        if (this.settings.headingMode !== 'course') return;
+
+        const course = this.getCourse(position);
+        if (course !== null) {
+            this.addReading(course);
+        }
+    }
+
+    /**
+     * GPS course over ground of a fix, if it is moving fast enough for the course to be meaningful
+     * @returns {number|null} Degrees true
+     */
+    getCourse(position) {
+        if (!position) return null;
+
+        const source = position.raw || position;
+        const { heading, speed } = source;
+        if (typeof heading !== 'number' || isNaN(heading)) return null;
+        if (typeof speed !== 'number' || speed < this.settings.courseMinSpeed) return null;
+
+        return heading;
+    }
+
+    /**
+     * Smooth a true heading reading and emit the result
+     */
+    addReading(heading) {
+        if (this.isLocked) return;
+
+        const normalized = ((heading % 360) + 360) % 360;
+
+        if (this.heading === null) {
+            this.heading = normalized;
+        } else {
+            // Average on the unit circle so 359° and 1° don't average to 180°
+            const alpha = this.settings.headingSmoothing;
+            const previousRad = this.heading * Math.PI / 180;
+            const readingRad = normalized * Math.PI / 180;
+            const sin = alpha * Math.sin(previousRad) + (1 - alpha) * Math.sin(readingRad);
+            const cos = alpha * Math.cos(previousRad) + (1 - alpha) * Math.cos(readingRad);
+            this.heading = (Math.atan2(sin, cos) * 180 / Math.PI + 360) % 360;
+        }
+
+        this.emit('heading', { heading: this.heading, mode: this.settings.headingMode });
+    }
+
+    /**
+     * Set the magnetic declination used to correct the device compass
+     */
+    setDeclination(declination) {
+        this.declination = declination;
+    }
+
+    /**
+     * Check if the heading follows a source
+     */
+    isActive() {
+        return this.settings.headingMode !== 'manual';
+    }
+
+    /**
+     * Hold or release the current heading
+     */
+    setLocked(locked) {
+        this.isLocked = locked;
+        this.emit('lock', { locked });
+    }
+
+    /**
+     * Update heading settings, restarting sources when the mode changes
+     */
+    updateSettings(newSettings) {
+        const previousMode = this.settings.headingMode;
+        this.settings = { ...this.settings, ...newSettings };
+
+        if (this.settings.headingMode !== previousMode) {
+            this.setLocked(false);
+            this.start();
+        }
+
+        console.log('Heading tracker settings updated:', this.settings);
+    }
+
+    /**
+     * Add event listener
+     */
+    addEventListener(event, callback) {
+        this.eventTarget.addEventListener(event, callback);
+    }
+
+    /**
+     * Remove event listener
+     */
+    removeEventListener(event, callback) {
+        this.eventTarget.removeEventListener(event, callback);
+    }
+
+    /**
+     * Emit event
+     */
+    emit(event, data) {
+        this.eventTarget.dispatchEvent(new CustomEvent(event, { detail: data }));
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this.stopOrientation();
+        this.eventTarget = null;
+        console.log('HeadingTracker destroyed');
+    }
+}
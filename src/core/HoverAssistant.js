@@ -9,10 +9,32 @@ export class HoverAssistant {
         this.uiManager = null;
         this.settingsManager = null;
         this.themeManager = null;
+        this.sessionStore = null;
+        this.sessionRecorder = null;
+        this.sessionReplayer = null;
+        this.statistics = null;
+        this.audioGuidance = null;
+        this.hapticFeedback = null;
+        this.voiceCallouts = null;
+        this.headingTracker = null;
+        this.magneticModel = null;
+        this.modelDeclination = null; // WMM declination at the mark (or first fix), degrees east
+        this.lastStatisticsUpdate = 0;
+        this.lastTimingUpdate = 0;
 
         this.markedPosition = null;
         this.currentPosition = null;
         this.isTracking = false;
+        this.isReplaying = false;
+        this.liveState = null; // Live heading/tracking saved while a replay is running (marks stay in MarkManager)
+        this.hoverStateStore = null;
+        this.stateSaveTimer = null;
+        this.pendingTargetCheck = false; // Check a restored target against the next live fix
+        this.trackingBeforePause = false;
+        this.gpsQualityState = 'none';
+        this.markAverager = null;
+        this.markAverageCommit = null; // Adds or re-marks with the averaged position
+        this.markAverageTimer = null;
 
         this.eventListeners = new Map();
 
@@ -29,14 +51,58 @@ export class HoverAssistant {
             const { DisplayManager } = await import('./DisplayManager.js');
             const { UIManager } = await import('./UIManager.js');
             const { SettingsManager } = await import('./SettingsManager.js');
+            const { MarkManager } = await import('./MarkManager.js');
             const { ThemeManager } = await import('./ThemeManager.js');
+            const { getProviderOverridesFromURL } = await import('./LocationProvider.js');
+            const { SessionStore } = await import('./SessionStore.js');
+            const { SessionRecorder } = await import('./SessionRecorder.js');
+            const { SessionReplayer } = await import('./SessionReplayer.js');
+            const { HoverStatistics } = await import('./HoverStatistics.js');
+            const { AudioGuidance } = await import('./AudioGuidance.js');
+            const { HapticFeedback } = await import('./HapticFeedback.js');
+            const { VoiceCallouts } = await import('./VoiceCallouts.js');
+            const { HeadingTracker } = await import('./HeadingTracker.js');
+            const { HoverStateStore } = await import('./HoverStateStore.js');
+            const { MarkAverager } = await import('./MarkAverager.js');
+            this.sessionExporter = await import('./SessionExporter.js');
+            this.coordinateParser = await import('./CoordinateParser.js');
+            this.magneticModel = await import('./MagneticModel.js');
 
             // Initialize managers
             this.settingsManager = new SettingsManager();
+            this.markManager = new MarkManager();
+            this.hoverStateStore = new HoverStateStore();
+            this.markAverager = new MarkAverager();
             this.themeManager = new ThemeManager();
-            this.gpsManager = new GPSManager(this.settingsManager.getGPSSettings());
+
+            // The theme toggle persists its own preference - keep ui.theme in step with it
+            if (this.settingsManager.getSetting('ui', 'theme') !== this.themeManager.getCurrentTheme()) {
+                this.settingsManager.updateSetting('ui', 'theme', this.themeManager.getCurrentTheme());
+            }
+
+            this.gpsManager = new GPSManager(
+                this.settingsManager.getGPSSettings(),
+                null,
+                getProviderOverridesFromURL() // e.g. ?provider=simulated for ground testing, kept across settings changes
+            );
+            this.gpsManager.configureFilter(this.settingsManager.getAdvancedSettings());
             this.displayManager = new DisplayManager();
             this.uiManager = new UIManager();
+            this.sessionStore = new SessionStore();
+            this.sessionRecorder = new SessionRecorder(this.sessionStore, () => ({
+                markedPosition: this.markedPosition,
+                selectedHeading: this.displayManager.getSelectedHeading()
+            }));
+            this.sessionRecorder.attach(this.gpsManager);
+            this.sessionReplayer = new SessionReplayer();
+            this.statistics = new HoverStatistics({
+                ringRadii: this.displayManager.getRingRadii()
+            });
+            this.audioGuidance = new AudioGuidance(this.settingsManager.getUISettings());
+            this.hapticFeedback = new HapticFeedback(this.settingsManager.getUISettings());
+            this.hapticFeedback.setRingRadii(this.displayManager.getRingRadii());
+            this.voiceCallouts = new VoiceCallouts(this.settingsManager.getUISettings());
+            this.headingTracker = new HeadingTracker(this.settingsManager.getDisplaySettings());
 
             // Setup event listeners
             this.setupEventListeners();
@@ -44,6 +110,22 @@ export class HoverAssistant {
             // Initialize UI and Display
             await this.uiManager.init();
             await this.displayManager.init();
+            this.displayManager.updateSettings(this.settingsManager.getDisplaySettings());
+            this.updateRingRadii();
+            this.updateStatisticsPanel(true);
+            this.uiManager.updateTimingStats(this.gpsManager.getTimingStats());
+            this.audioGuidance.init();
+            this.voiceCallouts.init();
+            this.uiManager.setHeadingLockState(this.headingTracker.isActive(), false);
+            this.uiManager.setMarkHold(this.settingsManager.getSetting('ui', 'markHold'));
+            this.applyActiveMark();
+            this.updateDeclination();
+            if (!this.magneticModel.isModelValid()) {
+                console.warn(this.getModelWarning());
+            }
+            this.headingTracker.start();
+            this.pendingTargetCheck = this.markedPosition !== null;
+            this.offerResume();
 
             console.log('HoverAssistant initialized successfully');
         } catch (error) {
@@ -69,15 +151,138 @@ export class HoverAssistant {
             this.onPositionUpdate(event.detail);
         });
 
+        this.gpsManager.addEventListener('fix', (event) => {
+            this.onFix(event.detail);
+        });
+
         this.gpsManager.addEventListener('error', (event) => {
             this.onGPSError(event.detail);
         });
 
+        this.gpsManager.addEventListener('quality', (event) => {
+            this.onGPSQuality(event.detail);
+        });
+
         // UI Manager events
         this.uiManager.addEventListener('ui:mark', () => {
             this.onMarkPosition();
         });
 
+        this.uiManager.addEventListener('ui:target-open', () => {
+            this.onTargetOpen();
+        });
+
+        this.uiManager.addEventListener('ui:remark', () => {
+            this.onRemark();
+        });
+
+        this.uiManager.addEventListener('ui:mark-undo', () => {
+            this.onMarkUndo();
+        });
+
+        this.uiManager.addEventListener('ui:target-clear', () => {
+            this.onTargetClear();
+        });
+
+        this.uiManager.addEventListener('ui:record-toggle', () => {
+            this.onRecordToggle();
+        });
+
+        this.uiManager.addEventListener('ui:marks-open', () => {
+            this.onMarksOpen();
+        });
+
+        this.uiManager.addEventListener('ui:mark-activate', (event) => {
+            this.markManager.setActive(event.detail.markId);
+            this.uiManager.hideMarksModal();
+        });
+
+        this.uiManager.addEventListener('ui:mark-rename', (event) => {
+            this.markManager.renameMark(event.detail.markId, event.detail.name);
+        });
+
+        this.uiManager.addEventListener('ui:mark-delete', (event) => {
+            this.markManager.deleteMark(event.detail.markId);
+        });
+
+        this.uiManager.addEventListener('ui:coordinate-entry', (event) => {
+            this.onCoordinateEntry(event.detail);
+        });
+
+        this.uiManager.addEventListener('ui:marks-export', () => {
+            this.onMarksExport();
+        });
+
+        this.uiManager.addEventListener('ui:marks-import', (event) => {
+            this.onMarksImport(event.detail);
+        });
+
+        // Mark Manager events - live state follows the active mark (applied after a replay ends)
+        this.markManager.addEventListener('marks:changed', () => {
+            if (!this.isReplaying) {
+                this.applyActiveMark();
+            }
+            if (this.uiManager.isMarksModalOpen()) {
+                this.uiManager.renderMarkList(this.getMarkListEntries(), this.markManager.activeId);
+            }
+        });
+
+        this.uiManager.addEventListener('ui:sessions-open', () => {
+            this.onSessionsOpen();
+        });
+
+        this.uiManager.addEventListener('ui:session-export', (event) => {
+            this.onSessionExport(event.detail);
+        });
+
+        this.uiManager.addEventListener('ui:session-delete', (event) => {
+            this.onSessionDelete(event.detail);
+        });
+
+        this.uiManager.addEventListener('ui:settings-open', () => {
+            this.onSettingsOpen();
+        });
+
+        this.uiManager.addEventListener('ui:setting-change', (event) => {
+            this.onSettingChange(event.detail);
+        });
+
+        this.uiManager.addEventListener('ui:settings-reset', (event) => {
+            this.onSettingsReset(event.detail);
+        });
+
+        this.uiManager.addEventListener('ui:settings-export', () => {
+            this.onSettingsExport();
+        });
+
+        this.uiManager.addEventListener('ui:settings-import', (event) => {
+            this.onSettingsImport(event.detail);
+        });
+
+        this.uiManager.addEventListener('ui:replay-start', (event) => {
+            this.onReplayStart(event.detail);
+        });
+
+        this.uiManager.addEventListener('ui:replay-toggle', () => {
+            if (this.sessionReplayer.isPlaying) {
+                this.sessionReplayer.pause();
+            } else {
+                this.sessionReplayer.play();
+            }
+        });
+
+        this.uiManager.addEventListener('ui:replay-seek', (event) => {
+            this.sessionReplayer.seek(event.detail.fraction);
+        });
+
+        this.uiManager.addEventListener('ui:replay-speed', (event) => {
+            this.sessionReplayer.setSpeed(event.detail.speed);
+        });
+
+        this.uiManager.addEventListener('ui:replay-exit', () => {
+            this.onReplayExit();
+        });
+
         this.uiManager.addEventListener('ui:permission-granted', () => {
             this.onPermissionGranted();
         });
@@ -86,11 +291,107 @@ export class HoverAssistant {
             this.onPermissionDenied();
         });
 
+        // Session Recorder events
+        this.sessionRecorder.addEventListener('recording:started', () => {
+            this.uiManager.setRecordingState(true);
+        });
+
+        this.sessionRecorder.addEventListener('recording:stopped', () => {
+            this.uiManager.setRecordingState(false);
+        });
+
+        // Session Replayer events - replayed fixes take the same path as live GPS
+        this.sessionReplayer.addEventListener('position', (event) => {
+            this.onPositionUpdate(event.detail);
+        });
+
+        this.sessionReplayer.addEventListener('mark', (event) => {
+            this.onReplayMark(event.detail);
+        });
+
+        this.sessionReplayer.addEventListener('heading', (event) => {
+            this.displayManager.setSelectedHeading(event.detail);
+        });
+
+        this.sessionReplayer.addEventListener('seeked', () => {
+            this.displayManager.clearTrail();
+        });
+
+        this.sessionReplayer.addEventListener('progress', (event) => {
+            this.uiManager.updateReplayProgress(event.detail);
+        });
+
+        // Display Manager events - pinch / wheel zoom persists as the configured range
+        this.displayManager.addEventListener('display:range-change', (event) => {
+            this.settingsManager.updateSetting('display', 'displayRange', event.detail.range);
+        });
+
+        this.displayManager.addEventListener('display:view-range', () => {
+            this.updateRingRadii();
+        });
+
+        // Target changes - save the snapshot now rather than on the next tick, so a crash can't lose them
+        const onTargetChange = () => {
+            if (this.stateSaveTimer) {
+                this.saveHoverState();
+            }
+        };
+        this.addEventListener('target:changed', onTargetChange);
+        this.addEventListener('target:cleared', onTargetChange);
+
+        // Heading Tracker events - device compass / GPS course drive the selected heading
+        this.headingTracker.addEventListener('heading', (event) => {
+            if (this.isReplaying) return;
+            this.displayManager.setSelectedHeading(event.detail.heading);
+        });
+
+        this.headingTracker.addEventListener('lock', (event) => {
+            this.uiManager.setHeadingLockState(this.headingTracker.isActive(), event.detail.locked);
+        });
+
+        this.uiManager.addEventListener('ui:heading-lock-toggle', () => {
+            this.headingTracker.setLocked(!this.headingTracker.isLocked);
+        });
+
+        // Heading entry keypad, nudges and presets
+        this.uiManager.addEventListener('ui:heading-entry-open', () => {
+            const display = this.settingsManager.getDisplaySettings();
+            this.uiManager.showHeadingEntry(this.toDisplayedBearing(this.displayManager.getSelectedHeading()),
+                this.getNorthReferenceSuffix(), display.headingSnap);
+        });
+
+        this.uiManager.addEventListener('ui:heading-set', (event) => {
+            this.setDisplayedHeading(event.detail.heading, this.settingsManager.getSetting('display', 'headingSnap'));
+            this.uiManager.hideHeadingModal();
+        });
+
+        this.uiManager.addEventListener('ui:heading-nudge', (event) => {
+            const heading = this.toDisplayedBearing(this.displayManager.getSelectedHeading());
+            this.setDisplayedHeading(heading + event.detail.delta, false);
+            this.uiManager.setHeadingEntryValue(this.toDisplayedBearing(this.displayManager.getSelectedHeading()));
+        });
+
+        this.uiManager.addEventListener('ui:heading-preset', (event) => {
+            this.onHeadingPreset(event.detail.preset);
+        });
+
         // Settings Manager events
         this.settingsManager.addEventListener('settings:changed', (event) => {
             this.onSettingsChanged(event.detail);
         });
 
+        // Reset and import replace whole categories - push them through the same path
+        this.settingsManager.addEventListener('settings:reset', (event) => {
+            const { category } = event.detail;
+            this.onSettingsChanged(category ?
+                { [category]: this.settingsManager.getSettings(category) } :
+                this.settingsManager.getAllSettings());
+        });
+
+        this.settingsManager.addEventListener('settings:imported', () => {
+            this.onSettingsChanged(this.settingsManager.getAllSettings());
+        });
+
         // Theme Manager events
         this.themeManager.addEventListener('themeChanged', (data) => {
             this.onThemeChanged(data);
@@ -107,6 +408,16 @@ export class HoverAssistant {
         this.eventListeners.get(event).push(callback);
     }
 
+    /**
+     * Remove event listener
+     */
+    removeEventListener(event, callback) {
+        const callbacks = this.eventListeners.get(event);
+        if (callbacks) {
+            this.eventListeners.set(event, callbacks.filter(listener => listener !== callback));
+        }
+    }
+
     /**
      * Emit event
      */
@@ -167,6 +478,39 @@ export class HoverAssistant {
         console.log('GPS disconnected');
         this.uiManager.updateGPSStatus('disconnected');
         this.uiManager.disableMarkButton();
+        this.audioGuidance.clear();
+        this.hapticFeedback.reset(); // Stopped on purpose - the GPS loss buzz is for onGPSError and stale fixes
+    }
+
+    /**
+     * Handle a fix quality update - a stale fix silences guidance until fixes resume
+     */
+    onGPSQuality(quality) {
+        const previousState = this.gpsQualityState;
+        this.gpsQualityState = quality.state;
+
+        this.uiManager.setGPSQuality(quality);
+        this.displayManager.setFixQuality(quality.state);
+        this.updateTimingPanel();
+        if (quality.state === previousState) return;
+
+        if (quality.state === 'stale') {
+            console.warn('GPS fix is stale');
+            this.audioGuidance.clear();
+            this.hapticFeedback.onDisconnect();
+        } else if (quality.state === 'degraded' || quality.state === 'jump') {
+            console.warn(`GPS quality: ${quality.state}`, quality);
+        }
+    }
+
+    /**
+     * Handle every live fix, including those not forwarded for display
+     */
+    onFix(position) {
+        if (this.markAverager.isActive) {
+            this.markAverager.add(position.raw || position); // Smoothing would only add lag
+            this.checkMarkAveraging();
+        }
     }
 
     /**
@@ -175,16 +519,186 @@ export class HoverAssistant {
     onPositionUpdate(position) {
         this.currentPosition = position;
 
+        if (!position.replay) {
+            this.headingTracker.updatePosition(position);
+
+            if (this.pendingTargetCheck) {
+                this.pendingTargetCheck = false;
+                this.checkRestoredTarget(position);
+            }
+        }
+
+        // Without a mark, take the declination from the first fix
+        if (this.modelDeclination === null) {
+            this.updateDeclination();
+        }
+
         if (this.markedPosition) {
             const distance = this.calculateDistance(this.markedPosition, position);
-            const bearing = this.calculateBearing(position, this.markedPosition);
+            const bearing = this.toDisplayedBearing(this.calculateBearing(position, this.markedPosition));
 
             // Update display
             this.displayManager.updatePosition(this.markedPosition, position);
-            this.uiManager.updateCoordinates(distance, bearing);
+            this.uiManager.updateCoordinates(distance, bearing, this.getNorthReferenceSuffix());
+
+            const selectedHeading = this.displayManager.getSelectedHeading();
+            this.statistics.addPosition(this.markedPosition, position, selectedHeading);
+            this.updateStatisticsPanel();
+            this.audioGuidance.update(this.markedPosition, position, selectedHeading);
+            this.hapticFeedback.update(distance, position.accuracy);
+            this.voiceCallouts.update(this.markedPosition, position, selectedHeading);
+        } else {
+            this.hapticFeedback.update(null, position.accuracy);
         }
 
-        this.uiManager.updateGPSStatus('connected', position.accuracy);
+        this.uiManager.updateGPSStatus(position.replay ? 'replay' : 'connected', position.accuracy);
+    }
+
+    /**
+     * Refresh the statistics panel, at most once per second
+     */
+    updateStatisticsPanel(force = false) {
+        const now = Date.now();
+        if (!force && now - this.lastStatisticsUpdate < 1000) return;
+
+        this.lastStatisticsUpdate = now;
+        this.uiManager.updateStatistics(
+            this.statistics.getRollingStats(),
+            this.statistics.getSessionStats(),
+            this.statistics.windowSeconds
+        );
+    }
+
+    /**
+     * Refresh the GPS timing panel, at most once per second
+     */
+    updateTimingPanel() {
+        const now = Date.now();
+        if (now - this.lastTimingUpdate < 1000) return;
+
+        this.lastTimingUpdate = now;
+        this.uiManager.updateTimingStats(this.gpsManager.getTimingStats());
+    }
+
+    /**
+     * Reset per-mark state (declination, statistics, haptic ring tracking, voice callouts) when the reference point changes
+     */
+    resetMarkTracking() {
+        this.updateDeclination();
+        this.statistics.reset();
+        this.hapticFeedback.reset();
+        this.voiceCallouts.reset();
+        this.updateStatisticsPanel(true);
+    }
+
+    /**
+     * Give statistics and haptics the rings as drawn, so cues match what the pilot sees
+     */
+    updateRingRadii() {
+        const ringRadii = this.displayManager.getRingRadii();
+        this.statistics.setRingRadii(ringRadii);
+        this.hapticFeedback.setRingRadii(ringRadii);
+    }
+
+    /**
+     * Recompute declination at the mark (or the current fix) and apply it to heading and bearing
+     */
+    updateDeclination() {
+        const reference = this.markedPosition || this.currentPosition;
+        if (reference) {
+            this.modelDeclination = this.magneticModel.getDeclination(
+                reference.latitude,
+                reference.longitude,
+                (reference.altitude || 0) / 1000
+            );
+        }
+
+        const declination = this.getDeclination();
+        const usesModel = this.settingsManager.getSetting('display', 'declinationSource') === 'model' && this.modelDeclination !== null;
+        const warning = usesModel && !this.magneticModel.isModelValid() ? this.getModelWarning() : null;
+
+        this.headingTracker.setDeclination(declination);
+        this.displayManager.setNorthReference(this.settingsManager.getSetting('display', 'northReference'), declination, warning);
+    }
+
+    /**
+     * Message for a magnetic model used outside its validity window
+     */
+    getModelWarning() {
+        const { name, validFrom, validUntil } = this.magneticModel.getModelInfo();
+        return `${name} is valid ${validFrom}-${validUntil} - declination is extrapolated`;
+    }
+
+    /**
+     * Declination in use - model value once a position is known, otherwise the manual setting
+     * @returns {number} Degrees, east positive
+     */
+    getDeclination() {
+        const display = this.settingsManager.getDisplaySettings();
+        if (display.declinationSource === 'model' && this.modelDeclination !== null) {
+            return this.modelDeclination;
+        }
+        return display.magneticDeclination;
+    }
+
+    /**
+     * Convert a true bearing for display in the configured north reference
+     */
+    toDisplayedBearing(trueBearing) {
+        if (this.settingsManager.getSetting('display', 'northReference') !== 'magnetic') {
+            return trueBearing;
+        }
+        return (trueBearing - this.getDeclination() + 360) % 360;
+    }
+
+    /**
+     * Convert a bearing in the configured north reference back to true
+     */
+    toTrueBearing(displayedBearing) {
+        if (this.settingsManager.getSetting('display', 'northReference') !== 'magnetic') {
+            return displayedBearing;
+        }
+        return (displayedBearing + this.getDeclination() + 360) % 360;
+    }
+
+    /**
+     * Set the selected heading from a value in the configured north reference.
+     * An automatic heading source is locked so it doesn't immediately overwrite the entry.
+     * @param {number} heading - Heading in degrees (T or M as displayed)
+     * @param {boolean} snap - Round to the nearest 5°
+     */
+    setDisplayedHeading(heading, snap) {
+        const displayed = snap ? Math.round(heading / 5) * 5 : heading;
+
+        if (this.headingTracker.isActive() && !this.headingTracker.isLocked) {
+            this.headingTracker.setLocked(true);
+        }
+        this.displayManager.setSelectedHeading(this.toTrueBearing((displayed % 360 + 360) % 360));
+    }
+
+    /**
+     * Apply a heading preset: 'wind' (nose into the configured wind) or 'track' (GPS course)
+     */
+    onHeadingPreset(preset) {
+        const display = this.settingsManager.getDisplaySettings();
+        const heading = preset === 'wind' ?
+            display.windDirection :
+            this.headingTracker.getCourse(this.currentPosition);
+
+        if (heading === null) {
+            this.uiManager.showHeadingMessage(`No GPS track below ${display.courseMinSpeed} m/s`, true);
+            return;
+        }
+
+        this.setDisplayedHeading(this.toDisplayedBearing(heading), display.headingSnap);
+        this.uiManager.hideHeadingModal();
+    }
+
+    /**
+     * T or M suffix for the configured north reference
+     */
+    getNorthReferenceSuffix() {
+        return this.settingsManager.getSetting('display', 'northReference') === 'magnetic' ? 'M' : 'T';
     }
 
     /**
@@ -194,24 +708,596 @@ export class HoverAssistant {
         console.error('GPS error:', error);
         this.uiManager.updateGPSStatus('error');
         this.handleError('GPS Error', error);
+
+        // Buzz once when a live fix stream is lost, not on every repeated error
+        if (this.gpsQualityState !== 'none' && this.gpsQualityState !== 'stale') {
+            this.hapticFeedback.onDisconnect();
+        }
     }
 
     /**
      * Handle mark position
      */
     onMarkPosition() {
+        // While averaging, the mark button cancels
+        if (this.markAverager.isActive) {
+            this.stopMarkAveraging();
+            console.log('Mark averaging cancelled');
+            return;
+        }
+
         if (this.currentPosition) {
-            this.markedPosition = { ...this.currentPosition };
-            this.displayManager.setMarkedPosition(this.markedPosition);
-            console.log('Position marked:', this.markedPosition);
+            this.markPosition(position => this.markManager.addMark(position));
+        }
+    }
+
+    /**
+     * Mark from the current fix, or start averaging fixes if mark averaging is on
+     * @param {Function} commit - Adds or re-marks with the position, returns the mark
+     */
+    markPosition(commit) {
+        const mode = this.settingsManager.getSetting('gps', 'markAveraging');
+        if (mode === 'off') {
+            console.log('Position marked:', commit(this.currentPosition));
+            return;
+        }
+
+        this.stopMarkAveraging();
+        this.markAverager.start(Date.now(), {
+            mode,
+            time: this.settingsManager.getSetting('gps', 'markAverageTime'),
+            count: this.settingsManager.getSetting('gps', 'markAverageCount'),
+            maxAccuracy: this.settingsManager.getSetting('gps', 'markMaxAccuracy')
+        });
+        this.markAverageCommit = commit;
+        this.displayManager.setMarkSampler(this.markAverager);
+        this.uiManager.setMarkSampling(true);
+
+        // A time window has to end even if fixes stop arriving
+        this.markAverageTimer = setInterval(() => this.checkMarkAveraging(), 250);
+        console.log(`Averaging mark (${mode})`);
+    }
+
+    /**
+     * Set the averaged mark once the window or fix count is reached
+     */
+    checkMarkAveraging() {
+        if (!this.markAverager.isComplete(Date.now())) return;
+
+        const result = this.markAverager.finish();
+        const commit = this.markAverageCommit;
+        this.stopMarkAveraging();
+
+        if (!result) {
+            const limit = this.settingsManager.getSetting('gps', 'markMaxAccuracy');
+            this.handleError('Mark not set', `No fix better than ${limit} m arrived while averaging`);
+            return;
+        }
+
+        const mark = commit(result);
+        console.log(`Averaged mark from ${result.samples} fixes (${result.rejected} rejected), ±${result.accuracy.toFixed(1)} m:`, mark);
+    }
+
+    /**
+     * End mark averaging without setting a mark
+     */
+    stopMarkAveraging() {
+        if (this.markAverageTimer) {
+            clearInterval(this.markAverageTimer);
+            this.markAverageTimer = null;
+        }
+        this.markAverager.cancel();
+        this.markAverageCommit = null;
+        this.displayManager.setMarkSampler(null);
+        this.uiManager.setMarkSampling(false);
+    }
+
+    /**
+     * Show the target actions available right now
+     */
+    onTargetOpen() {
+        const active = this.markManager.getActiveMark();
+        this.uiManager.showTargetActions({
+            targetName: active ? active.name : null,
+            canRemark: !this.isReplaying && this.currentPosition !== null,
+            canUndo: !this.isReplaying && this.markManager.canUndo(),
+            canClear: !this.isReplaying && active !== null
+        });
+    }
+
+    /**
+     * Move the target to the current position, keeping the old mark in the list
+     */
+    onRemark() {
+        if (this.isReplaying || !this.currentPosition) return;
+
+        this.markPosition(position => this.markManager.remark(position));
+    }
+
+    /**
+     * Undo the last mark and return to the previous target
+     */
+    onMarkUndo() {
+        if (this.isReplaying) return;
+
+        const mark = this.markManager.undoLastMark();
+        if (mark) {
+            console.log('Mark undone:', mark.name);
+        }
+    }
+
+    /**
+     * Clear the hover target; saved marks stay in the list
+     */
+    onTargetClear() {
+        if (this.isReplaying) return;
+
+        this.markManager.setActive(null);
+        console.log('Target cleared');
+    }
+
+    /**
+     * Make the active mark the hover target and show the others as secondary marks
+     * @param {boolean} force - Re-apply even if the active mark is unchanged (e.g. after a replay)
+     */
+    applyActiveMark(force = false) {
+        const mark = this.markManager.getActiveMark();
+        const previous = this.markedPosition;
+        const targetChanged = (mark?.id ?? null) !== (previous?.id ?? null);
+
+        this.markedPosition = mark;
+        this.displayManager.setSecondaryMarks(this.markManager.getInactiveMarks());
+        if (targetChanged) {
+            // Mark, re-mark, undo, clear and picking from the list all end up here
+            this.emit(mark ? 'target:changed' : 'target:cleared', { mark, previous });
+        }
+        if (!force && !targetChanged) return;
+
+        if (mark) {
+            this.displayManager.setMarkedPosition(mark);
+        } else {
+            this.displayManager.reset();
+            this.uiManager.resetCoordinates();
+        }
+        this.resetMarkTracking();
+    }
+
+    /**
+     * Marks with their distance from the current fix, for the marks list
+     */
+    getMarkListEntries() {
+        const position = this.isReplaying ? null : this.currentPosition;
+        return this.markManager.getMarks().map(mark => ({
+            ...mark,
+            distance: position ? this.calculateDistance(mark, position) : null
+        }));
+    }
+
+    /**
+     * Open the marks list
+     */
+    onMarksOpen() {
+        this.uiManager.showMarks(this.getMarkListEntries(), this.markManager.activeId);
+    }
+
+    /**
+     * Add a typed coordinate as a new mark and make it the hover target
+     */
+    onCoordinateEntry({ text, name }) {
+        try {
+            const { latitude, longitude, format } = this.coordinateParser.parseCoordinate(text);
+            const mark = this.markManager.addMark({ latitude, longitude }, name);
+            this.uiManager.setCoordinateEntryResult(true);
+            this.uiManager.showMarksMessage(
+                `${mark.name} set from ${format.toUpperCase()}: ${latitude.toFixed(6)}, ${longitude.toFixed(6)}`
+            );
+            console.log('Target entered:', mark);
+        } catch (error) {
+            this.uiManager.setCoordinateEntryResult(false);
+            this.uiManager.showMarksMessage(error.message, true);
+        }
+    }
+
+    /**
+     * Export all marks as GPX waypoints
+     */
+    onMarksExport() {
+        const { toWaypointsGPX, downloadFile, EXPORT_FORMATS } = this.sessionExporter;
+        const marks = this.markManager.getMarks();
+        if (marks.length === 0) {
+            this.uiManager.showMarksMessage('No marks to export', true);
+            return;
+        }
+
+        downloadFile('hover-assistant-marks.gpx', toWaypointsGPX(marks), EXPORT_FORMATS.gpx.mimeType);
+        this.uiManager.showMarksMessage(`Exported ${marks.length} marks`);
+    }
+
+    /**
+     * Add marks from GPX waypoints
+     */
+    onMarksImport({ text }) {
+        try {
+            const { waypoints, skipped } = this.sessionExporter.parseWaypointsGPX(text);
+            const count = this.markManager.importMarks(waypoints);
+            const invalid = skipped + waypoints.length - count; // Missing or out-of-range coordinates
+            const note = invalid > 0 ? ` (${invalid} invalid ${invalid === 1 ? 'waypoint' : 'waypoints'} skipped)` : '';
+
+            if (count > 0) {
+                this.uiManager.showMarksMessage(`Imported ${count} marks${note}`, false);
+            } else {
+                this.uiManager.showMarksMessage(invalid > 0 ? `No valid waypoints found${note}` : 'No waypoints found', true);
+            }
+        } catch (error) {
+            this.uiManager.showMarksMessage(`Import failed: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Handle record button - start or stop session recording
+     */
+    async onRecordToggle() {
+        try {
+            if (this.sessionRecorder.isRecording) {
+                await this.sessionRecorder.stop();
+            } else {
+                await this.sessionRecorder.start();
+            }
+        } catch (error) {
+            console.error('Failed to toggle recording:', error);
+            this.handleError('Recording Error', error);
+        }
+    }
+
+    /**
+     * Handle sessions button - list stored sessions
+     */
+    async onSessionsOpen() {
+        try {
+            const sessions = await this.sessionStore.getSessions();
+            this.uiManager.showSessions(sessions);
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+            this.handleError('Session Error', error);
         }
     }
 
+    /**
+     * Export a stored session to a file
+     */
+    async onSessionExport({ sessionId, format }) {
+        try {
+            const session = await this.sessionStore.getSession(sessionId);
+            const fixes = await this.sessionStore.getFixes(sessionId);
+            const { exportSession, downloadFile, getExportFilename, EXPORT_FORMATS } = this.sessionExporter;
+
+            const content = exportSession(session, fixes, format);
+            downloadFile(getExportFilename(session, format), content, EXPORT_FORMATS[format].mimeType);
+        } catch (error) {
+            console.error('Failed to export session:', error);
+            this.handleError('Export Error', error);
+        }
+    }
+
+    /**
+     * Delete a stored session
+     */
+    async onSessionDelete({ sessionId }) {
+        try {
+            if (sessionId === this.sessionRecorder.sessionId) {
+                throw new Error('Stop recording before deleting the active session');
+            }
+            await this.sessionStore.deleteSession(sessionId);
+            await this.onSessionsOpen();
+        } catch (error) {
+            console.error('Failed to delete session:', error);
+            this.handleError('Session Error', error);
+        }
+    }
+
+    /**
+     * Open the settings panel
+     */
+    onSettingsOpen() {
+        this.uiManager.showSettings(this.settingsManager.getSchema(), this.settingsManager.getAllSettings());
+    }
+
+    /**
+     * Apply a single setting edited in the settings panel
+     */
+    onSettingChange({ category, key, value }) {
+        try {
+            this.settingsManager.updateSetting(category, key, value);
+        } catch (error) {
+            console.warn('Rejected setting change:', error);
+            const fieldError = error.fieldErrors?.find(e => e.field === key);
+            this.uiManager.showSettingError(category, key, fieldError ? fieldError.message : error.message);
+        }
+    }
+
+    /**
+     * Reset one settings category to defaults
+     */
+    onSettingsReset({ category }) {
+        this.settingsManager.resetSettings(category);
+        this.uiManager.updateSettingsForm(this.settingsManager.getAllSettings());
+        this.uiManager.showSettingsMessage(`${this.settingsManager.getSchema()[category].label} settings reset to defaults`);
+    }
+
+    /**
+     * Download all settings as JSON
+     */
+    onSettingsExport() {
+        this.sessionExporter.downloadFile(
+            'hover-assistant-settings.json',
+            this.settingsManager.exportSettings(),
+            'application/json'
+        );
+    }
+
+    /**
+     * Replace settings with an imported JSON file
+     */
+    onSettingsImport({ json }) {
+        try {
+            this.settingsManager.importSettings(json);
+            this.uiManager.updateSettingsForm(this.settingsManager.getAllSettings());
+            this.uiManager.showSettingsMessage('Settings imported');
+        } catch (error) {
+            this.uiManager.showSettingsMessage(`Import failed: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Start replaying a recorded session through the live display pipeline
+     */
+    async onReplayStart({ sessionId }) {
+        try {
+            const session = await this.sessionStore.getSession(sessionId);
+            const fixes = await this.sessionStore.getFixes(sessionId);
+
+            if (!this.isReplaying) {
+                this.stopMarkAveraging();
+                if (this.sessionRecorder.isRecording) {
+                    await this.sessionRecorder.stop();
+                }
+
+                this.liveState = {
+                    selectedHeading: this.displayManager.getSelectedHeading(),
+                    wasTracking: this.isTracking
+                };
+                this.stopTracking();
+            }
+
+            this.isReplaying = true;
+            this.markedPosition = null;
+            this.displayManager.reset();
+            this.displayManager.setSecondaryMarks([]);
+            this.uiManager.resetCoordinates();
+            this.uiManager.disableMarkButton();
+            this.uiManager.showReplayControls();
+
+            this.sessionReplayer.load(session, fixes);
+            this.sessionReplayer.play();
+            console.log('Replay started:', session.name);
+        } catch (error) {
+            console.error('Failed to start replay:', error);
+            this.handleError('Replay Error', error);
+        }
+    }
+
+    /**
+     * Handle marked position change in a replayed session
+     */
+    onReplayMark(mark) {
+        this.markedPosition = mark;
+        this.resetMarkTracking();
+
+        if (mark) {
+            this.displayManager.setMarkedPosition(mark);
+        } else {
+            this.displayManager.reset();
+            this.uiManager.resetCoordinates();
+        }
+    }
+
+    /**
+     * Leave replay mode and restore the live hover state
+     */
+    async onReplayExit() {
+        if (!this.isReplaying) return;
+
+        this.sessionReplayer.unload();
+        this.isReplaying = false;
+        this.uiManager.hideReplayControls();
+
+        const { selectedHeading, wasTracking } = this.liveState;
+        this.liveState = null;
+
+        this.currentPosition = null;
+        this.displayManager.reset();
+        this.displayManager.setSelectedHeading(selectedHeading);
+        this.applyActiveMark(true);
+        this.uiManager.resetCoordinates();
+        this.uiManager.updateGPSStatus('disconnected');
+
+        if (wasTracking) {
+            await this.startTracking();
+        }
+        console.log('Replay ended, live state restored');
+    }
+
     /**
      * Handle permission granted
      */
     async onPermissionGranted() {
         console.log('Location permission granted');
+
+        // Still inside the tap, so iOS can show its compass permission prompt
+        this.headingTracker.start();
+        await this.startTracking();
+    }
+
+    /**
+     * Offer to resume the hover saved before a reload or crash, then start saving this one
+     */
+    offerResume() {
+        const state = this.hoverStateStore.load();
+        if (!this.hoverStateStore.isResumable(state)) {
+            this.finalizeInterruptedRecording(state);
+            this.startStateSaving();
+            return;
+        }
+
+        const mark = this.markManager.getMark(state.activeMarkId);
+        const details = [
+            mark ? mark.name : 'No target',
+            `HDG ${String(Math.round(this.toDisplayedBearing(state.selectedHeading))).padStart(3, '0')}°${this.getNorthReferenceSuffix()}`,
+            `±${state.viewRange} m`
+        ];
+        if (state.recordingSessionId !== null) {
+            details.push('recording');
+        }
+        const minutes = Math.round((Date.now() - state.savedAt) / 60000);
+
+        // The confirm replaces the permission prompt; either answer starts from inside the tap
+        this.uiManager.hidePermissionModal();
+        this.uiManager.showConfirm({
+            title: 'Resume previous hover?',
+            message: `${details.join(' · ')} - saved ${minutes < 1 ? 'just now' : `${minutes} min ago`}`,
+            confirmLabel: 'Resume',
+            cancelLabel: 'Start fresh',
+            onConfirm: () => this.resumeHover(state),
+            onCancel: () => this.startFresh(state)
+        });
+    }
+
+    /**
+     * Restore a saved hover: target, heading, zoom, tracking and recording
+     */
+    resumeHover(state) {
+        this.markManager.setActive(state.activeMarkId);
+        this.displayManager.setSelectedHeading(state.selectedHeading);
+        if (typeof state.viewRange === 'number') {
+            this.displayManager.setViewRange(state.viewRange);
+        }
+        if (state.headingLocked && this.headingTracker.isActive()) {
+            this.headingTracker.setLocked(true);
+        }
+
+        this.pendingTargetCheck = this.markedPosition !== null;
+        if (state.isTracking) {
+            this.onPermissionGranted();
+        } else {
+            this.uiManager.showPermissionModal();
+        }
+        if (state.recordingSessionId !== null) {
+            this.sessionRecorder.resume(state.recordingSessionId).catch(error => {
+                console.warn('Failed to resume recording:', error);
+            });
+        }
+
+        this.startStateSaving();
+        console.log('Previous hover resumed');
+    }
+
+    /**
+     * Discard the saved hover and start from the permission prompt without a target
+     */
+    startFresh(state) {
+        this.finalizeInterruptedRecording(state);
+        this.hoverStateStore.clear();
+        this.markManager.setActive(null);
+        this.pendingTargetCheck = false;
+        this.uiManager.showPermissionModal();
+        this.startStateSaving();
+    }
+
+    /**
+     * Close the recording a saved hover was writing to when it won't be resumed
+     */
+    finalizeInterruptedRecording(state) {
+        if (!state || state.recordingSessionId == null) return;
+
+        this.sessionRecorder.finalize(state.recordingSessionId).catch(error => {
+            console.warn('Failed to close interrupted recording:', error);
+        });
+    }
+
+    /**
+     * Ask whether to keep a restored target that is far from the first live fix
+     */
+    checkRestoredTarget(position) {
+        const mark = this.markManager.getActiveMark();
+        if (!mark) return;
+
+        // Give the benefit of the doubt to a poor first fix
+        const distance = this.calculateDistance(mark, position);
+        if (distance - (position.accuracy || 0) <= this.settingsManager.getSetting('gps', 'targetCheckDistance')) return;
+
+        this.uiManager.showConfirm({
+            title: 'Check restored target',
+            message: `"${mark.name}" is ${this.uiManager.formatMarkDistance(distance)} - it may be stale or wrong.`,
+            confirmLabel: 'Keep target',
+            cancelLabel: 'Clear target',
+            onCancel: () => this.markManager.setActive(null)
+        });
+    }
+
+    /**
+     * Snapshot of the live hover for crash recovery
+     */
+    getHoverState() {
+        return {
+            activeMarkId: this.markManager.activeId,
+            selectedHeading: this.liveState ? this.liveState.selectedHeading : this.displayManager.getSelectedHeading(),
+            headingLocked: this.headingTracker.isLocked,
+            viewRange: this.displayManager.getViewRange(),
+            isTracking: this.liveState ? this.liveState.wasTracking : this.isTracking || this.trackingBeforePause,
+            recordingSessionId: this.sessionRecorder.isRecording ? this.sessionRecorder.sessionId : null
+        };
+    }
+
+    /**
+     * Save the live hover snapshot
+     */
+    saveHoverState() {
+        if (this.hoverStateStore && this.markManager) {
+            this.hoverStateStore.save(this.getHoverState());
+        }
+    }
+
+    /**
+     * Save the snapshot every few seconds - a crash gives no chance to save on the way out
+     */
+    startStateSaving() {
+        if (this.stateSaveTimer) return;
+
+        this.saveHoverState();
+        this.stateSaveTimer = setInterval(() => this.saveHoverState(), 2000);
+    }
+
+    /**
+     * Pause GPS while the app is hidden, saving the hover in case it is not brought back
+     */
+    pause() {
+        if (this.isReplaying) return;
+
+        this.trackingBeforePause = this.trackingBeforePause || this.isTracking;
+        this.stopTracking();
+        if (this.stateSaveTimer) {
+            this.saveHoverState();
+        }
+    }
+
+    /**
+     * Restart GPS after a pause and re-check the target against the new first fix
+     */
+    async resume() {
+        if (this.isReplaying || !this.trackingBeforePause) return;
+
+        this.trackingBeforePause = false;
+        this.pendingTargetCheck = this.markedPosition !== null;
         await this.startTracking();
     }
 
@@ -233,9 +1319,40 @@ export class HoverAssistant {
             this.gpsManager.updateSettings(settings.gps);
         }
 
-        if (settings.display && this.displayManager) {
+        if (settings.display && this.displayManager && this.isRangeOnlyChange(settings)) {
+            // Pinch / wheel zoom - the rings follow through display:view-range, nothing else depends on the range
+            this.displayManager.updateSettings(settings.display);
+        } else if (settings.display && this.displayManager) {
             this.displayManager.updateSettings(settings.display);
+            this.updateRingRadii();
+            this.headingTracker.updateSettings(settings.display);
+            this.updateDeclination();
+            this.uiManager.setHeadingLockState(this.headingTracker.isActive(), this.headingTracker.isLocked);
         }
+
+        if (settings.ui && this.audioGuidance) {
+            if (settings.ui.theme !== this.themeManager.getCurrentTheme()) {
+                this.themeManager.setTheme(settings.ui.theme);
+            }
+            this.audioGuidance.updateSettings(settings.ui);
+            this.hapticFeedback.updateSettings(settings.ui);
+            this.voiceCallouts.updateSettings(settings.ui);
+            this.uiManager.setMarkHold(settings.ui.markHold);
+        }
+
+        if (settings.advanced && this.gpsManager) {
+            this.gpsManager.configureFilter(settings.advanced);
+        }
+    }
+
+    /**
+     * Check whether a settings change only touched the display range
+     */
+    isRangeOnlyChange(settings) {
+        if (settings.category !== 'display' || !settings.oldSettings) return false;
+
+        const changed = Object.keys(settings.display).filter(key => settings.display[key] !== settings.oldSettings[key]);
+        return changed.length === 1 && changed[0] === 'displayRange';
     }
 
     /**
@@ -244,6 +1361,11 @@ export class HoverAssistant {
     onThemeChanged(data) {
         console.log('Theme changed from', data.previousTheme, 'to', data.newTheme);
 
+        // Keep ui.theme in step with the toolbar toggle
+        if (this.settingsManager.getSetting('ui', 'theme') !== data.newTheme) {
+            this.settingsManager.updateSetting('ui', 'theme', data.newTheme);
+        }
+
         // Update display manager colors
         if (this.displayManager) {
             this.displayManager.onThemeChange();
@@ -296,8 +1418,42 @@ export class HoverAssistant {
      * Cleanup application resources
      */
     destroy() {
+        // Stop saving first - shutting down is not a state worth resuming
+        if (this.stateSaveTimer) {
+            clearInterval(this.stateSaveTimer);
+            this.stateSaveTimer = null;
+        }
+
         this.stopTracking();
 
+        if (this.markAverager?.isActive) {
+            this.stopMarkAveraging();
+        }
+
+        if (this.sessionRecorder) {
+            this.sessionRecorder.destroy();
+        }
+
+        if (this.sessionReplayer) {
+            this.sessionReplayer.destroy();
+        }
+
+        if (this.audioGuidance) {
+            this.audioGuidance.destroy();
+        }
+
+        if (this.hapticFeedback) {
+            this.hapticFeedback.destroy();
+        }
+
+        if (this.voiceCallouts) {
+            this.voiceCallouts.destroy();
+        }
+
+        if (this.headingTracker) {
+            this.headingTracker.destroy();
+        }
+
         if (this.gpsManager) {
             this.gpsManager.destroy();
         }
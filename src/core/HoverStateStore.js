@@ -0,0 +1,58 @@
+/**
+ * HoverStateStore - Snapshot of the live hover (target, heading, zoom, tracking, recording) in localStorage
+ *
+ * Saved continuously so a reload, killed tab or crash can offer to resume where the pilot left off.
+ * Marks themselves live in MarkManager; the snapshot only refers to the active one by id.
+ */
+export class HoverStateStore {
+    constructor() {
+        this.storageKey = 'helicopter-hover-assistant-state';
+        this.maxAge = 12 * 60 * 60 * 1000; // Older snapshots are not offered for resume
+    }
+
+    /**
+     * Load the last snapshot
+     * @returns {Object|null} {savedAt, activeMarkId, selectedHeading, headingLocked, viewRange, isTracking, recordingSessionId}
+     */
+    load() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.warn('Failed to load hover state:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save a snapshot, stamped with the current time
+     */
+    save(state) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ ...state, savedAt: Date.now() }));
+        } catch (error) {
+            console.warn('Failed to save hover state:', error);
+        }
+    }
+
+    /**
+     * Forget the snapshot
+     */
+    clear() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('Failed to clear hover state:', error);
+        }
+    }
+
+    /**
+     * Check if a snapshot is recent and has something worth resuming
+     */
+    isResumable(state) {
+        if (!state || typeof state.savedAt !== 'number' || Date.now() - state.savedAt > this.maxAge) {
+            return false;
+        }
+        return state.activeMarkId !== null || state.isTracking || state.recordingSessionId !== null;
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * HoverStatistics - Rolling and whole-session hover precision metrics relative to the marked position
+ */
+import { gpsToLocalCoordinates, toHeadingFrame } from './GeoUtils.js';
+
+export class HoverStatistics {
+    /**
+     * @param {Object} options
+     * @param {number} options.windowSeconds - Length of the rolling window in seconds
+     * @param {Array<number>} options.ringRadii - Ring radii in meters for time-in-circle percentages
+     * @param {number} options.maxSampleGap - Longest time (ms) a single sample is credited with
+     */
+    constructor(options = {}) {
+        this.windowSeconds = options.windowSeconds ?? 60;
+        this.ringRadii = options.ringRadii ?? [1, 2, 3, 4];
+        this.maxSampleGap = options.maxSampleGap ?? 5000;
+        this.samples = [];
+    }
+
+    /**
+     * Add a fix relative to the marked position
+     * @param {Object} markedPosition - {latitude, longitude}
+     * @param {Object} position - Current fix {latitude, longitude, timestamp}
+     * @param {number} selectedHeading - Selected heading in degrees
+     */
+    addPosition(markedPosition, position, selectedHeading) {
+        const offset = gpsToLocalCoordinates(markedPosition, position);
+        this.addSample(offset.x, offset.y, selectedHeading, position.timestamp ?? Date.now());
+    }
+
+    /**
+     * Add an East/North offset sample
+     */
+    addSample(east, north, selectedHeading, timestamp) {
+        const { longitudinal, lateral } = toHeadingFrame(east, north, selectedHeading);
+
+        // Credit the previous sample with the time until this one
+        const previous = this.samples[this.samples.length - 1];
+        if (previous && timestamp > previous.timestamp) {
+            previous.duration = Math.min(timestamp - previous.timestamp, this.maxSampleGap);
+        }
+
+        this.samples.push({
+            timestamp,
+            distance: Math.sqrt(east * east + north * north),
+            longitudinal, // Positive = ahead of the mark along the selected heading
+            lateral, // Positive = right of the mark relative to the selected heading
+            duration: 0
+        });
+    }
+
+    /**
+     * Statistics over the rolling window ending at the latest sample
+     */
+    getRollingStats() {
+        if (this.samples.length === 0) {
+            return this.computeStats([]);
+        }
+
+        const latest = this.samples[this.samples.length - 1].timestamp;
+        const windowStart = latest - this.windowSeconds * 1000;
+        const firstIndex = this.samples.findIndex(sample => sample.timestamp >= windowStart);
+        return this.computeStats(this.samples.slice(firstIndex));
+    }
+
+    /**
+     * Statistics over every sample since the last reset
+     */
+    getSessionStats() {
+        return this.computeStats(this.samples);
+    }
+
+    /**
+     * Compute metrics for a set of samples
+     */
+    computeStats(samples) {
+        const count = samples.length;
+        if (count === 0) {
+            return {
+                count: 0,
+                duration: 0,
+                cep50: null,
+                cep95: null,
+                rms: null,
+                maxExcursion: null,
+                rings: this.ringRadii.map(radius => ({ radius, percent: null })),
+                longitudinal: { mean: null, rms: null },
+                lateral: { mean: null, rms: null }
+            };
+        }
+
+        const distances = samples.map(sample => sample.distance).sort((a, b) => a - b);
+
+        let sumSquares = 0;
+        let longSum = 0;
+        let longSquares = 0;
+        let latSum = 0;
+        let latSquares = 0;
+        for (const sample of samples) {
+            sumSquares += sample.distance * sample.distance;
+            longSum += sample.longitudinal;
+            longSquares += sample.longitudinal * sample.longitudinal;
+            latSum += sample.lateral;
+            latSquares += sample.lateral * sample.lateral;
+        }
+
+        // Time in circle is time-weighted; fall back to sample counts before any time has accrued
+        const duration = samples.reduce((total, sample) => total + sample.duration, 0);
+        const rings = this.ringRadii.map(radius => {
+            const inside = samples.filter(sample => sample.distance <= radius);
+            const percent = duration > 0 ?
+                inside.reduce((total, sample) => total + sample.duration, 0) / duration * 100 :
+                inside.length / count * 100;
+            return { radius, percent };
+        });
+
+        return {
+            count,
+            duration,
+            cep50: this.percentile(distances, 0.5),
+            cep95: this.percentile(distances, 0.95),
+            rms: Math.sqrt(sumSquares / count),
+            maxExcursion: distances[count - 1],
+            rings,
+            longitudinal: { mean: longSum / count, rms: Math.sqrt(longSquares / count) },
+            lateral: { mean: latSum / count, rms: Math.sqrt(latSquares / count) }
+        };
+    }
+
+    /**
+     * Linear-interpolated percentile of a sorted array
+     */
+    percentile(sorted, fraction) {
+        if (sorted.length === 1) return sorted[0];
+
+        const position = fraction * (sorted.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * Set ring radii used for time-in-circle percentages
+     */
+    setRingRadii(ringRadii) {
+        this.ringRadii = ringRadii;
+    }
+
+    /**
+     * Clear all samples (e.g. when a new position is marked)
+     */
+    reset() {
+        this.samples = [];
+    }
+}
@@ -0,0 +1,253 @@
+/**
+ * LocationProvider - Swappable position sources for GPSManager
+ *
+ * Providers mirror the navigator.geolocation API (getCurrentPosition / watchPosition / clearWatch)
+ * and deliver positions in the same {coords, timestamp} shape, so GPSManager can parse them unchanged.
+ */
+
+const METERS_PER_DEGREE_LAT = 111320; // Approximate meters per degree of latitude
+
+/**
+ * Provider backed by the browser Geolocation API
+ */
+export class GeolocationProvider {
+    constructor() {
+        this.name = 'geolocation';
+    }
+
+    isSupported() {
+        return typeof navigator !== 'undefined' && 'geolocation' in navigator;
+    }
+
+    getCurrentPosition(onSuccess, onError, options) {
+        navigator.geolocation.getCurrentPosition(onSuccess, onError, options);
+    }
+
+    watchPosition(onSuccess, onError, options) {
+        return navigator.geolocation.watchPosition(onSuccess, onError, options);
+    }
+
+    clearWatch(watchId) {
+        navigator.geolocation.clearWatch(watchId);
+    }
+}
+
+/**
+ * Synthetic provider generating hover wander around an origin for ground and automated testing
+ */
+export class SimulatedProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.pattern - 'random-walk', 'circular' or 'step'
+     * @param {number} options.latitude - Origin latitude
+     * @param {number} options.longitude - Origin longitude
+     * @param {number} options.noise - Measurement noise standard deviation in meters
+     * @param {number} options.accuracy - Reported accuracy in meters
+     * @param {number} options.interval - Time between fixes in ms
+     * @param {number} options.radius - Circular drift radius / random walk spread in meters
+     * @param {number} options.period - Circular drift period in seconds
+     * @param {Object} options.stepOffset - Step offset {east, north} in meters
+     * @param {number} options.stepAfter - Seconds before the step offset is applied
+     * @param {Function} options.random - Random source returning [0, 1), injectable for deterministic tests
+     */
+    constructor(options = {}) {
+        this.name = 'simulated';
+        this.options = {
+            pattern: 'random-walk',
+            latitude: 50.0755,
+            longitude: 14.4378,
+            noise: 0.5,
+            accuracy: 3,
+            interval: 1000,
+            radius: 2,
+            period: 30,
+            stepOffset: { east: 3, north: 0 },
+            stepAfter: 10,
+            random: Math.random,
+            ...options
+        };
+
+        this.watches = new Map();
+        this.nextWatchId = 1;
+        this.startTime = null;
+        this.offset = { x: 0, y: 0 }; // True (noise-free) offset from origin in meters
+        this.lastOffset = null;
+        this.lastTime = null;
+    }
+
+    isSupported() {
+        return true;
+    }
+
+    getCurrentPosition(onSuccess, onError, options) {
+        setTimeout(() => onSuccess(this.generatePosition()), 0);
+    }
+
+    watchPosition(onSuccess, onError, options) {
+        const watchId = this.nextWatchId++;
+        const intervalId = setInterval(() => {
+            onSuccess(this.generatePosition());
+        }, this.options.interval);
+
+        this.watches.set(watchId, { intervalId, onError });
+        return watchId;
+    }
+
+    clearWatch(watchId) {
+        const watch = this.watches.get(watchId);
+        if (watch) {
+            clearInterval(watch.intervalId);
+            this.watches.delete(watchId);
+        }
+    }
+
+    /**
+     * Deliver an error to all active watches, as the Geolocation API would
+     * @param {number} code - 1 = PERMISSION_DENIED, 2 = POSITION_UNAVAILABLE, 3 = TIMEOUT
+     */
+    simulateError(code = 2, message = 'Simulated position error') {
+        const error = { code, message, PERMISSION_DENIED: 1, POSITION_UNAVAILABLE: 2, TIMEOUT: 3 };
+        this.watches.forEach(watch => watch.onError(error));
+    }
+
+    /**
+     * Generate the next simulated fix in Geolocation API format
+     */
+    generatePosition(now = Date.now()) {
+        if (this.startTime === null) {
+            this.startTime = now;
+        }
+
+        const elapsed = (now - this.startTime) / 1000;
+        this.offset = this.computeOffset(elapsed);
+
+        // Speed and course from true motion since the previous fix
+        let speed = null;
+        let heading = null;
+        if (this.lastOffset && now > this.lastTime) {
+            const dt = (now - this.lastTime) / 1000;
+            const dx = this.offset.x - this.lastOffset.x;
+            const dy = this.offset.y - this.lastOffset.y;
+            speed = Math.sqrt(dx * dx + dy * dy) / dt;
+            heading = speed > 0 ? (Math.atan2(dx, dy) * 180 / Math.PI + 360) % 360 : NaN;
+        }
+        this.lastOffset = { ...this.offset };
+        this.lastTime = now;
+
+        const measuredX = this.offset.x + this.gaussian() * this.options.noise;
+        const measuredY = this.offset.y + this.gaussian() * this.options.noise;
+        const { latitude, longitude } = this.offsetToGeographic(measuredX, measuredY);
+
+        return {
+            coords: {
+                latitude,
+                longitude,
+                accuracy: this.options.accuracy,
+                altitude: null,
+                altitudeAccuracy: null,
+                heading,
+                speed
+            },
+            timestamp: now
+        };
+    }
+
+    /**
+     * True offset from origin for the configured pattern
+     */
+    computeOffset(elapsed) {
+        const { pattern, radius, period, stepOffset, stepAfter } = this.options;
+
+        switch (pattern) {
+            case 'circular': {
+                const angle = 2 * Math.PI * elapsed / period;
+                return { x: radius * Math.sin(angle), y: radius * Math.cos(angle) };
+            }
+            case 'step':
+                return elapsed >= stepAfter ?
+                    { x: stepOffset.east, y: stepOffset.north } :
+                    { x: 0, y: 0 };
+            case 'random-walk':
+            default: {
+                // Mean-reverting walk keeps the simulated aircraft wandering around the origin
+                const reversion = 0.1;
+                const stepSize = radius * 0.3;
+                return {
+                    x: this.offset.x * (1 - reversion) + this.gaussian() * stepSize,
+                    y: this.offset.y * (1 - reversion) + this.gaussian() * stepSize
+                };
+            }
+        }
+    }
+
+    /**
+     * Convert an East/North offset from the origin to latitude/longitude
+     */
+    offsetToGeographic(x, y) {
+        const { latitude, longitude } = this.options;
+        return {
+            latitude: latitude + y / METERS_PER_DEGREE_LAT,
+            longitude: longitude + x / (METERS_PER_DEGREE_LAT * Math.cos(latitude * Math.PI / 180))
+        };
+    }
+
+    /**
+     * Standard normal random value (Box-Muller)
+     */
+    gaussian() {
+        const u1 = Math.max(this.options.random(), Number.EPSILON);
+        const u2 = this.options.random();
+        return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    }
+}
+
+/**
+ * Create a location provider from GPS settings
+ * @param {Object} settings - GPS settings (provider, simulationPattern, simulationNoise, simulationAccuracy, ...)
+ */
+export function createLocationProvider(settings = {}) {
+    if (settings.provider === 'simulated') {
+        const options = {
+            pattern: settings.simulationPattern,
+            noise: settings.simulationNoise,
+            accuracy: settings.simulationAccuracy,
+            interval: settings.updateInterval,
+            latitude: settings.simulationLatitude,
+            longitude: settings.simulationLongitude
+        };
+
+        // Only pass options that are set, so the provider defaults apply otherwise
+        const defined = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+        return new SimulatedProvider(defined);
+    }
+
+    return new GeolocationProvider();
+}
+
+/**
+ * Read provider overrides from URL parameters
+ * e.g. ?provider=simulated&pattern=circular&noise=0.8&accuracy=4&lat=50.1&lon=14.4
+ * @returns {Object} GPS settings overrides
+ */
+export function getProviderOverridesFromURL(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const overrides = {};
+
+    if (params.has('provider')) overrides.provider = params.get('provider');
+    if (params.has('pattern')) overrides.simulationPattern = params.get('pattern');
+
+    const numeric = {
+        noise: 'simulationNoise',
+        accuracy: 'simulationAccuracy',
+        lat: 'simulationLatitude',
+        lon: 'simulationLongitude'
+    };
+    for (const [param, key] of Object.entries(numeric)) {
+        const value = parseFloat(params.get(param));
+        if (!Number.isNaN(value)) {
+            overrides[key] = value;
+        }
+    }
+
+    return overrides;
+}
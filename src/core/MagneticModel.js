@@ -0,0 +1,252 @@
+/**
+ * MagneticModel - Offline World Magnetic Model (WMM) declination calculation
+ *
+ * Coefficients are embedded in the NOAA WMM.COF layout (n, m, g, h, g-dot, h-dot), so a newer
+ * model release can be dropped in by replacing WMM_COF. Secular variation extrapolates linearly
+ * from the epoch; accuracy degrades slowly outside the model's five-year validity window.
+ */
+
+export const WMM_COF = `
+    2025.0            WMM-2025        11/13/2024
+  1  0  -29351.8       0.0       12.0        0.0
+  1  1   -1410.8    4545.4        9.7      -21.5
+  2  0   -2556.6       0.0      -11.6        0.0
+  2  1    2951.1   -3133.6       -5.2      -27.7
+  2  2    1649.3    -815.1       -8.0      -12.1
+  3  0    1361.0       0.0       -1.3        0.0
+  3  1   -2404.1     -56.6       -4.2        4.0
+  3  2    1243.8     237.5        0.4       -0.3
+  3  3     453.6    -549.5      -15.6       -4.1
+  4  0     895.0       0.0       -1.6        0.0
+  4  1     799.5     278.6       -2.4       -1.1
+  4  2      55.7    -133.9       -6.0        4.1
+  4  3    -281.1     212.0        5.6        1.6
+  4  4      12.1    -375.6       -7.0       -4.4
+  5  0    -233.2       0.0        0.6        0.0
+  5  1     368.9      45.4        1.4       -0.5
+  5  2     187.2     220.2        0.0        2.2
+  5  3    -138.7    -122.9        0.6        0.4
+  5  4    -142.0      43.0        2.2        1.7
+  5  5      20.9     106.1        0.9        1.9
+  6  0      64.4       0.0       -0.2        0.0
+  6  1      63.8     -18.4       -0.4        0.3
+  6  2      76.9      16.8        0.9       -1.6
+  6  3    -115.7      48.8        1.2       -0.4
+  6  4     -40.9     -59.8       -0.9        0.9
+  6  5      14.9      10.9        0.3        0.7
+  6  6     -60.7      72.7        0.9        0.9
+  7  0      79.5       0.0        0.0        0.0
+  7  1     -77.0     -48.9       -0.1        0.6
+  7  2      -8.8     -14.4       -0.1        0.5
+  7  3      59.3      -1.0        0.5       -0.8
+  7  4      15.8      23.4       -0.1        0.0
+  7  5       2.5      -7.4       -0.8       -1.0
+  7  6     -11.1     -25.1       -0.8        0.6
+  7  7      14.2      -2.3        0.8       -0.2
+  8  0      23.2       0.0       -0.1        0.0
+  8  1      10.8       7.1        0.2       -0.2
+  8  2     -17.5     -12.6        0.0        0.5
+  8  3       2.0      11.4        0.5       -0.4
+  8  4     -21.7      -9.7       -0.1        0.4
+  8  5      16.9      12.7        0.3       -0.5
+  8  6      15.0       0.7        0.2       -0.6
+  8  7     -16.8      -5.2        0.0        0.3
+  8  8       0.9       3.9        0.2        0.2
+  9  0       4.6       0.0        0.0        0.0
+  9  1       7.8     -24.8       -0.1       -0.3
+  9  2       3.0      12.2        0.1        0.3
+  9  3      -0.2       8.3        0.3       -0.3
+  9  4      -2.5      -3.3       -0.3        0.3
+  9  5     -13.1      -5.2        0.0        0.2
+  9  6       2.4       7.2        0.3       -0.1
+  9  7       8.6      -0.6       -0.1       -0.2
+  9  8      -8.7       0.8        0.1        0.4
+  9  9     -12.9      10.0       -0.1        0.1
+ 10  0      -1.3       0.0        0.1        0.0
+ 10  1      -6.4       3.3        0.0        0.0
+ 10  2       0.2       0.0        0.1        0.0
+ 10  3       2.0       2.4        0.1       -0.2
+ 10  4      -1.0       5.3        0.0        0.1
+ 10  5      -0.6      -9.1       -0.3       -0.1
+ 10  6      -0.9       0.4        0.0        0.1
+ 10  7       1.5      -4.2       -0.1        0.0
+ 10  8       0.9      -3.8       -0.1       -0.1
+ 10  9      -2.7       0.9        0.0        0.2
+ 10 10      -3.9      -9.1        0.0        0.0
+ 11  0       2.9       0.0        0.0        0.0
+ 11  1      -1.5       0.0        0.0        0.0
+ 11  2      -2.5       2.9        0.0        0.1
+ 11  3       2.4      -0.6        0.0        0.0
+ 11  4      -0.6       0.2        0.0        0.1
+ 11  5      -0.1       0.5       -0.1        0.0
+ 11  6      -0.6      -0.3        0.0        0.0
+ 11  7      -0.1      -1.2        0.0        0.1
+ 11  8       1.1      -1.7       -0.1        0.0
+ 11  9      -1.0      -2.9       -0.1        0.0
+ 11 10      -0.2      -1.8       -0.1        0.0
+ 11 11       2.6      -2.3       -0.1        0.0
+ 12  0      -2.0       0.0        0.0        0.0
+ 12  1      -0.2      -1.3        0.0        0.0
+ 12  2       0.3       0.7        0.0        0.0
+ 12  3       1.2       1.0        0.0       -0.1
+ 12  4      -1.3      -1.4        0.0        0.1
+ 12  5       0.6       0.0        0.0        0.0
+ 12  6       0.6       0.6        0.1        0.0
+ 12  7       0.5      -0.1        0.0        0.0
+ 12  8      -0.1       0.8        0.0        0.0
+ 12  9      -0.4       0.1        0.0        0.0
+ 12 10      -0.2      -1.0       -0.1        0.0
+ 12 11      -1.3       0.1        0.0        0.0
+ 12 12      -0.7       0.2       -0.1       -0.1
+`;
+
+const WGS84_A = 6378.137; // Semi-major axis in km
+const WGS84_E2 = 0.0066943799901413165; // First eccentricity squared
+const REFERENCE_RADIUS = 6371.2; // WMM geomagnetic reference radius in km
+
+/**
+ * Parse a WMM.COF text into epoch and coefficient tables indexed [n][m]
+ */
+export function parseCoefficients(cofText) {
+    const lines = cofText.trim().split('\n');
+    const [epochText, modelName] = lines[0].trim().split(/\s+/);
+
+    const rows = lines.slice(1)
+        .map(line => line.trim().split(/\s+/).map(Number))
+        .filter(values => values.length >= 6 && !values.some(isNaN));
+    const maxDegree = Math.max(...rows.map(([n]) => n));
+
+    const table = () => Array.from({ length: maxDegree + 1 }, () => new Array(maxDegree + 1).fill(0));
+    const model = { epoch: Number(epochText), name: modelName, maxDegree, g: table(), h: table(), gDot: table(), hDot: table() };
+
+    for (const [n, m, g, h, gDot, hDot] of rows) {
+        model.g[n][m] = g;
+        model.h[n][m] = h;
+        model.gDot[n][m] = gDot;
+        model.hDot[n][m] = hDot;
+    }
+
+    return model;
+}
+
+const MODEL = parseCoefficients(WMM_COF);
+
+/**
+ * Convert a date to a decimal year (e.g. 2024.5)
+ */
+export function toDecimalYear(date) {
+    const year = date.getUTCFullYear();
+    const start = Date.UTC(year, 0, 1);
+    const end = Date.UTC(year + 1, 0, 1);
+    return year + (date.getTime() - start) / (end - start);
+}
+
+/**
+ * Compute the magnetic field at a location
+ * @param {number} latitude - Geodetic latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} altitudeKm - Height above the WGS84 ellipsoid in km
+ * @param {Date} date - Date of the calculation
+ * @returns {Object} {north, east, down} in nT, declination and inclination in degrees
+ */
+export function getMagneticField(latitude, longitude, altitudeKm = 0, date = new Date(), model = MODEL) {
+    // The field expansion is singular exactly at the poles
+    const lat = Math.max(-89.9999, Math.min(89.9999, latitude));
+    const φ = lat * Math.PI / 180;
+    const λ = longitude * Math.PI / 180;
+    const dt = toDecimalYear(date) - model.epoch;
+
+    // Geodetic to geocentric spherical coordinates
+    const sinφ = Math.sin(φ);
+    const cosφ = Math.cos(φ);
+    const N = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinφ * sinφ);
+    const p = (N + altitudeKm) * cosφ;
+    const z = (N * (1 - WGS84_E2) + altitudeKm) * sinφ;
+    const r = Math.sqrt(p * p + z * z);
+    const φc = Math.asin(z / r); // Geocentric latitude
+
+    const cosθ = Math.sin(φc); // θ = geocentric colatitude
+    const sinθ = Math.cos(φc);
+
+    // Schmidt semi-normalized associated Legendre functions and their θ derivatives
+    const n0 = model.maxDegree;
+    const P = Array.from({ length: n0 + 1 }, () => new Array(n0 + 1).fill(0));
+    const dP = Array.from({ length: n0 + 1 }, () => new Array(n0 + 1).fill(0));
+    P[0][0] = 1;
+
+    for (let n = 1; n <= n0; n++) {
+        for (let m = 0; m <= n; m++) {
+            if (n === m) {
+                const factor = n === 1 ? 1 : Math.sqrt((2 * n - 1) / (2 * n));
+                P[n][n] = factor * sinθ * P[n - 1][n - 1];
+                dP[n][n] = factor * (cosθ * P[n - 1][n - 1] + sinθ * dP[n - 1][n - 1]);
+            } else {
+                const previous = n >= 2 ? Math.sqrt((n - 1) * (n - 1) - m * m) : 0;
+                const P2 = n >= 2 && m <= n - 2 ? P[n - 2][m] : 0;
+                const dP2 = n >= 2 && m <= n - 2 ? dP[n - 2][m] : 0;
+                const norm = Math.sqrt(n * n - m * m);
+                P[n][m] = ((2 * n - 1) * cosθ * P[n - 1][m] - previous * P2) / norm;
+                dP[n][m] = ((2 * n - 1) * (cosθ * dP[n - 1][m] - sinθ * P[n - 1][m]) - previous * dP2) / norm;
+            }
+        }
+    }
+
+    // Sum the spherical harmonic expansion
+    let Br = 0;
+    let Bθ = 0;
+    let Bλ = 0;
+    for (let n = 1; n <= n0; n++) {
+        const radial = Math.pow(REFERENCE_RADIUS / r, n + 2);
+        for (let m = 0; m <= n; m++) {
+            const g = model.g[n][m] + dt * model.gDot[n][m];
+            const h = model.h[n][m] + dt * model.hDot[n][m];
+            const cosmλ = Math.cos(m * λ);
+            const sinmλ = Math.sin(m * λ);
+
+            Br += (n + 1) * radial * (g * cosmλ + h * sinmλ) * P[n][m];
+            Bθ -= radial * (g * cosmλ + h * sinmλ) * dP[n][m];
+            Bλ += radial * m * (g * sinmλ - h * cosmλ) * P[n][m];
+        }
+    }
+    Bλ /= sinθ;
+
+    // Geocentric north/east/down, then rotate into the geodetic frame
+    const northGeocentric = -Bθ;
+    const downGeocentric = -Br;
+    const ψ = φc - φ;
+    const north = northGeocentric * Math.cos(ψ) - downGeocentric * Math.sin(ψ);
+    const down = northGeocentric * Math.sin(ψ) + downGeocentric * Math.cos(ψ);
+    const east = Bλ;
+
+    const horizontal = Math.sqrt(north * north + east * east);
+    return {
+        north,
+        east,
+        down,
+        declination: Math.atan2(east, north) * 180 / Math.PI,
+        inclination: Math.atan2(down, horizontal) * 180 / Math.PI
+    };
+}
+
+/**
+ * Magnetic declination (variation) at a location, east positive
+ * @returns {number} Degrees - true heading = magnetic heading + declination
+ */
+export function getDeclination(latitude, longitude, altitudeKm = 0, date = new Date()) {
+    return getMagneticField(latitude, longitude, altitudeKm, date).declination;
+}
+
+/**
+ * Check whether a date lies inside the embedded model's five-year validity window
+ */
+export function isModelValid(date = new Date()) {
+    const year = toDecimalYear(date);
+    return year >= MODEL.epoch && year < MODEL.epoch + 5;
+}
+
+/**
+ * Name, epoch and validity years of the embedded model (e.g. for logging)
+ */
+export function getModelInfo() {
+    return { name: MODEL.name, epoch: MODEL.epoch, validFrom: MODEL.epoch, validUntil: MODEL.epoch + 5 };
+}
@@ -0,0 +1,159 @@
+/**
+ * MarkAverager - Averages a window of fixes into one mark so the target does not carry a single fix's noise
+ *
+ * Sampling runs for a time window or until a number of fixes is accepted. Fixes worse than
+ * maxAccuracy are rejected as they arrive; when sampling ends, fixes much worse than the median
+ * accuracy of the rest are dropped too. The result is an accuracy-weighted mean with an uncertainty.
+ * Times are in milliseconds and passed in, so the model can be driven without a browser.
+ */
+
+const EARTH_RADIUS = 6371000; // meters
+const MIN_ACCURACY = 0.1; // meters - reported accuracies below this (e.g. 0) would get unbounded weight
+
+/**
+ * Average fixes into one position
+ * @param {Array} fixes - Fixes with latitude, longitude and optionally altitude/accuracy/timestamp
+ * @param {number} outlierRatio - Fixes with accuracy above this multiple of the median are dropped
+ * @returns {Object|null} {latitude, longitude, altitude, accuracy, samples, rejected, timestamp}
+ *   where accuracy is the estimated uncertainty of the mean in meters
+ */
+export function averageFixes(fixes, outlierRatio = 2) {
+    if (fixes.length === 0) return null;
+
+    const accuracyOf = fix => Math.max(MIN_ACCURACY, fix.accuracy);
+    const accuracies = fixes.map(accuracyOf).sort((a, b) => a - b);
+    const median = accuracies[Math.floor(accuracies.length / 2)];
+    const kept = fixes.filter(fix => accuracyOf(fix) <= median * outlierRatio);
+
+    let weightSum = 0;
+    let latitude = 0;
+    let longitude = 0;
+    let altitudeWeight = 0;
+    let altitude = 0;
+    for (const fix of kept) {
+        const weight = 1 / (accuracyOf(fix) * accuracyOf(fix));
+        weightSum += weight;
+        latitude += fix.latitude * weight;
+        longitude += fix.longitude * weight;
+        if (typeof fix.altitude === 'number') {
+            altitudeWeight += weight;
+            altitude += fix.altitude * weight;
+        }
+    }
+    latitude /= weightSum;
+    longitude /= weightSum;
+
+    // Scatter about the mean, in meters on a local flat projection
+    const metersPerDegree = EARTH_RADIUS * Math.PI / 180;
+    const cosLatitude = Math.cos(latitude * Math.PI / 180);
+    const meanSquare = kept.reduce((sum, fix) => {
+        const east = (fix.longitude - longitude) * metersPerDegree * cosLatitude;
+        const north = (fix.latitude - latitude) * metersPerDegree;
+        return sum + east * east + north * north;
+    }, 0) / kept.length;
+
+    // GPS errors are correlated over seconds, so the spread of the fixes is a more honest
+    // bound than the formal error of the mean - use whichever is larger
+    const uncertainty = Math.max(Math.sqrt(meanSquare), Math.sqrt(1 / weightSum));
+
+    return {
+        latitude,
+        longitude,
+        altitude: altitudeWeight > 0 ? altitude / altitudeWeight : null,
+        accuracy: uncertainty,
+        samples: kept.length,
+        rejected: fixes.length - kept.length,
+        timestamp: kept[kept.length - 1].timestamp ?? Date.now()
+    };
+}
+
+export class MarkAverager {
+    constructor() {
+        this.options = {
+            mode: 'time', // 'time' (sample for a window) or 'count' (sample until enough fixes)
+            time: 10, // Seconds to sample in time mode
+            count: 10, // Fixes to accept in count mode
+            maxAccuracy: 10 // Meters - worse fixes are rejected
+        };
+
+        this.isActive = false;
+        this.fixes = [];
+        this.rejected = 0;
+        this.startTime = null;
+    }
+
+    /**
+     * Start sampling
+     * @param {number} time - Timestamp in ms
+     * @param {Object} options - {mode, time, count, maxAccuracy}
+     */
+    start(time, options = {}) {
+        this.options = { ...this.options, ...options };
+        this.isActive = true;
+        this.fixes = [];
+        this.rejected = 0;
+        this.startTime = time;
+    }
+
+    /**
+     * Offer a fix
+     * @returns {boolean} True if the fix was accepted
+     */
+    add(fix) {
+        if (!this.isActive) return false;
+
+        const accuracy = typeof fix.accuracy === 'number' ? fix.accuracy : this.options.maxAccuracy;
+        if (accuracy > this.options.maxAccuracy) {
+            this.rejected++;
+            return false;
+        }
+
+        this.fixes.push({ ...fix, accuracy });
+        return true;
+    }
+
+    /**
+     * Sampling progress for display
+     * @returns {Object} {fraction, label}
+     */
+    getProgress(time) {
+        const fraction = this.options.mode === 'count' ?
+            this.fixes.length / this.options.count :
+            (time - this.startTime) / (this.options.time * 1000);
+        const rejected = this.rejected > 0 ? `, ${this.rejected} rejected` : '';
+
+        return {
+            fraction: Math.min(1, Math.max(0, fraction)),
+            label: `${this.fixes.length} ${this.fixes.length === 1 ? 'fix' : 'fixes'}${rejected}`
+        };
+    }
+
+    /**
+     * Check whether enough time has passed or enough fixes were accepted
+     */
+    isComplete(time) {
+        return this.isActive && this.getProgress(time).fraction >= 1;
+    }
+
+    /**
+     * Stop sampling and average what was collected
+     * @returns {Object|null} Averaged position (see averageFixes), null if no fix was accepted
+     */
+    finish() {
+        this.isActive = false;
+        const result = averageFixes(this.fixes);
+        if (result) {
+            result.rejected += this.rejected;
+        }
+        return result;
+    }
+
+    /**
+     * Stop sampling and discard the fixes
+     */
+    cancel() {
+        this.isActive = false;
+        this.fixes = [];
+        this.rejected = 0;
+    }
+}
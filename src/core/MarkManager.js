@@ -0,0 +1,256 @@
+/**
+ * MarkManager - Named hover reference points (pickup, drop, alternate...) persisted in localStorage
+ *
+ * One mark is the active hover target; the others are shown as secondary symbols when in range.
+ * Marks added this session can be undone newest first (the undo history is not persisted).
+ * Marks are plain objects {id, name, latitude, longitude, altitude, accuracy, samples, timestamp};
+ * samples is the number of fixes averaged into the mark (null for a single fix or typed position).
+ */
+export class MarkManager {
+    constructor() {
+        this.marks = [];
+        this.activeId = null;
+        this.nextId = 1;
+        this.history = []; // [{id, previousActiveId, previousName}] of added marks, newest last
+        this.maxHistory = 20;
+        this.eventTarget = new EventTarget();
+        this.storageKey = 'helicopter-hover-assistant-marks';
+
+        this.loadMarks();
+    }
+
+    /**
+     * Load marks from localStorage
+     */
+    loadMarks() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                const { marks = [], activeId = null } = JSON.parse(stored);
+                this.marks = marks.filter(mark => this.isValidMark(mark));
+                this.activeId = this.marks.some(mark => mark.id === activeId) ? activeId : null;
+                this.nextId = this.marks.reduce((max, mark) => Math.max(max, mark.id), 0) + 1;
+                console.log(`Loaded ${this.marks.length} marks from storage`);
+            }
+        } catch (error) {
+            console.warn('Failed to load marks from storage:', error);
+            this.marks = [];
+            this.activeId = null;
+        }
+    }
+
+    /**
+     * Save marks to localStorage
+     */
+    saveMarks() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ marks: this.marks, activeId: this.activeId }));
+        } catch (error) {
+            console.warn('Failed to save marks to storage:', error);
+        }
+    }
+
+    /**
+     * Check that a stored or imported mark has usable coordinates
+     */
+    isValidMark(mark) {
+        return mark &&
+            Number.isFinite(mark.latitude) && Math.abs(mark.latitude) <= 90 &&
+            Number.isFinite(mark.longitude) && Math.abs(mark.longitude) <= 180;
+    }
+
+    /**
+     * Get all marks in creation order
+     */
+    getMarks() {
+        return [...this.marks];
+    }
+
+    /**
+     * Get a mark by id
+     */
+    getMark(id) {
+        return this.marks.find(mark => mark.id === id) || null;
+    }
+
+    /**
+     * Get the active hover target, if any
+     */
+    getActiveMark() {
+        return this.getMark(this.activeId);
+    }
+
+    /**
+     * Get every mark except the active one
+     */
+    getInactiveMarks() {
+        return this.marks.filter(mark => mark.id !== this.activeId);
+    }
+
+    /**
+     * Add a mark from a position and make it the active target
+     * @param {Object} position - Position with latitude, longitude and optionally altitude/accuracy
+     * @param {string} name - Name, defaults to "Mark N"
+     * @returns {Object} The new mark
+     */
+    addMark(position, name = null) {
+        const mark = this.createMark(position, name);
+        this.marks.push(mark);
+        this.pushHistory({ id: mark.id, previousActiveId: this.activeId, previousName: null });
+        this.activeId = mark.id;
+        this.commit();
+        return mark;
+    }
+
+    /**
+     * Move the active target to a new position, keeping the old one as "<name> (previous)"
+     * @returns {Object} The new active mark
+     */
+    remark(position) {
+        const previous = this.getActiveMark();
+        if (!previous) {
+            return this.addMark(position);
+        }
+
+        const mark = this.createMark(position, previous.name);
+        this.pushHistory({ id: mark.id, previousActiveId: previous.id, previousName: previous.name });
+        previous.name = `${previous.name} (previous)`;
+        this.marks.push(mark);
+        this.activeId = mark.id;
+        this.commit();
+        return mark;
+    }
+
+    /**
+     * Record an added mark for undo
+     */
+    pushHistory(entry) {
+        this.history.push(entry);
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+    }
+
+    /**
+     * Check if there is an added mark left to undo
+     */
+    canUndo() {
+        return this.history.some(entry => this.getMark(entry.id));
+    }
+
+    /**
+     * Remove the most recently added mark and restore the target that was active before it
+     * @returns {Object|null} The removed mark
+     */
+    undoLastMark() {
+        while (this.history.length > 0) {
+            const { id, previousActiveId, previousName } = this.history.pop();
+            const mark = this.getMark(id);
+            if (!mark) continue; // Deleted from the list since
+
+            const previous = this.getMark(previousActiveId);
+            if (previous && previousName !== null) {
+                previous.name = previousName;
+            }
+            this.marks = this.marks.filter(other => other.id !== id);
+            this.activeId = previous ? previous.id : null;
+            this.commit();
+            return mark;
+        }
+        return null;
+    }
+
+    /**
+     * Build a mark record with the next id
+     */
+    createMark(position, name) {
+        const id = this.nextId++;
+        return {
+            id,
+            name: name || `Mark ${id}`,
+            latitude: position.latitude,
+            longitude: position.longitude,
+            altitude: typeof position.altitude === 'number' ? position.altitude : null,
+            accuracy: typeof position.accuracy === 'number' ? position.accuracy : null,
+            samples: typeof position.samples === 'number' ? position.samples : null,
+            timestamp: position.timestamp ?? Date.now()
+        };
+    }
+
+    /**
+     * Rename a mark
+     */
+    renameMark(id, name) {
+        const mark = this.getMark(id);
+        const trimmed = String(name).trim();
+        if (!mark || !trimmed) return;
+
+        mark.name = trimmed;
+        this.commit();
+    }
+
+    /**
+     * Delete a mark - deleting the active target leaves no active target
+     */
+    deleteMark(id) {
+        this.marks = this.marks.filter(mark => mark.id !== id);
+        if (this.activeId === id) {
+            this.activeId = null;
+        }
+        this.commit();
+    }
+
+    /**
+     * Make a mark the active hover target (null for none)
+     */
+    setActive(id) {
+        if (id !== null && !this.getMark(id)) return;
+
+        this.activeId = id;
+        this.commit();
+    }
+
+    /**
+     * Append imported waypoints as inactive marks
+     * @param {Array} waypoints - [{name, latitude, longitude, altitude, timestamp}]
+     * @returns {number} Number of marks added
+     */
+    importMarks(waypoints) {
+        const valid = waypoints.filter(waypoint => this.isValidMark(waypoint));
+        valid.forEach(waypoint => this.marks.push(this.createMark(waypoint, waypoint.name)));
+
+        if (valid.length > 0) {
+            this.commit();
+        }
+        return valid.length;
+    }
+
+    /**
+     * Persist and announce a change to the list or the active target
+     */
+    commit() {
+        this.saveMarks();
+        this.emit('marks:changed', { marks: this.getMarks(), activeMark: this.getActiveMark() });
+    }
+
+    /**
+     * Add event listener
+     */
+    addEventListener(event, callback) {
+        this.eventTarget.addEventListener(event, callback);
+    }
+
+    /**
+     * Remove event listener
+     */
+    removeEventListener(event, callback) {
+        this.eventTarget.removeEventListener(event, callback);
+    }
+
+    /**
+     * Emit event
+     */
+    emit(event, data) {
+        this.eventTarget.dispatchEvent(new CustomEvent(event, { detail: data }));
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * PinchZoomController - Steps the display range with two-finger pinch or the mouse wheel
+ * Single-finger drags are left to CompassController for heading rotation
+ */
+export class PinchZoomController {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to listen on
+     * @param {Function} onZoomStep - Called with -1 (zoom in) or +1 (zoom out)
+     */
+    constructor(canvas, onZoomStep) {
+        this.canvas = canvas;
+        this.onZoomStep = onZoomStep;
+
+        this.pinchDistance = null; // Finger spread when the current step started
+        this.wheelDelta = 0;
+
+        // Spread ratio that triggers one zoom step, and wheel travel per step
+        this.pinchThreshold = 1.3;
+        this.wheelThreshold = 100;
+
+        // Bind event handlers
+        this.handleTouchStart = this.handleTouchStart.bind(this);
+        this.handleTouchMove = this.handleTouchMove.bind(this);
+        this.handleTouchEnd = this.handleTouchEnd.bind(this);
+        this.handleWheel = this.handleWheel.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Initialize event listeners
+     */
+    init() {
+        this.canvas.addEventListener('touchstart', this.handleTouchStart);
+        this.canvas.addEventListener('touchmove', this.handleTouchMove);
+        this.canvas.addEventListener('touchend', this.handleTouchEnd);
+        this.canvas.addEventListener('touchcancel', this.handleTouchEnd);
+        this.canvas.addEventListener('wheel', this.handleWheel, { passive: false });
+    }
+
+    /**
+     * Distance in pixels between the first two touches
+     */
+    getTouchDistance(touches) {
+        const dx = touches[0].clientX - touches[1].clientX;
+        const dy = touches[0].clientY - touches[1].clientY;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Handle touch start event
+     */
+    handleTouchStart(event) {
+        if (event.touches.length === 2) {
+            this.pinchDistance = this.getTouchDistance(event.touches);
+            event.preventDefault();
+        }
+    }
+
+    /**
+     * Handle touch move event
+     */
+    handleTouchMove(event) {
+        if (this.pinchDistance === null || event.touches.length !== 2) return;
+
+        const ratio = this.getTouchDistance(event.touches) / this.pinchDistance;
+
+        // Spreading the fingers zooms in (smaller range); each step restarts from the current spread
+        if (ratio >= this.pinchThreshold) {
+            this.onZoomStep(-1);
+            this.pinchDistance = this.getTouchDistance(event.touches);
+        } else if (ratio <= 1 / this.pinchThreshold) {
+            this.onZoomStep(1);
+            this.pinchDistance = this.getTouchDistance(event.touches);
+        }
+
+        event.preventDefault();
+    }
+
+    /**
+     * Handle touch end event
+     */
+    handleTouchEnd(event) {
+        if (event.touches.length < 2) {
+            this.pinchDistance = null;
+        }
+    }
+
+    /**
+     * Handle mouse wheel - accumulate so trackpads don't step on every small event
+     */
+    handleWheel(event) {
+        event.preventDefault();
+        this.wheelDelta += event.deltaY;
+
+        if (Math.abs(this.wheelDelta) >= this.wheelThreshold) {
+            this.onZoomStep(this.wheelDelta > 0 ? 1 : -1);
+            this.wheelDelta = 0;
+        }
+    }
+
+    /**
+     * Cleanup event listeners
+     */
+    destroy() {
+        this.canvas.removeEventListener('touchstart', this.handleTouchStart);
+        this.canvas.removeEventListener('touchmove', this.handleTouchMove);
+        this.canvas.removeEventListener('touchend', this.handleTouchEnd);
+        this.canvas.removeEventListener('touchcancel', this.handleTouchEnd);
+        this.canvas.removeEventListener('wheel', this.handleWheel);
+    }
+}
@@ -0,0 +1,208 @@
+/**
+ * PositionFilter - Smoothing filters applied to raw GPS fixes before they reach the display
+ *
+ * Filters work in a local East/North plane (meters) anchored at the first fix they see,
+ * and return positions in the same shape as GPSManager.parsePosition().
+ */
+
+const EARTH_RADIUS = 6378137.0; // WGS84 equatorial radius in meters
+
+/**
+ * Base class providing the local plane conversion shared by all filters
+ */
+class BasePositionFilter {
+    constructor() {
+        this.origin = null;
+    }
+
+    /**
+     * Convert a position to East/North meters relative to the filter origin
+     */
+    toLocal(position) {
+        if (!this.origin) {
+            this.origin = { latitude: position.latitude, longitude: position.longitude };
+        }
+
+        const lat0Rad = this.origin.latitude * Math.PI / 180;
+        return {
+            x: (position.longitude - this.origin.longitude) * Math.PI / 180 * EARTH_RADIUS * Math.cos(lat0Rad),
+            y: (position.latitude - this.origin.latitude) * Math.PI / 180 * EARTH_RADIUS
+        };
+    }
+
+    /**
+     * Convert East/North meters relative to the filter origin back to latitude/longitude
+     */
+    toGeographic(x, y) {
+        const lat0Rad = this.origin.latitude * Math.PI / 180;
+        return {
+            latitude: this.origin.latitude + (y / EARTH_RADIUS) * 180 / Math.PI,
+            longitude: this.origin.longitude + (x / (EARTH_RADIUS * Math.cos(lat0Rad))) * 180 / Math.PI
+        };
+    }
+
+    /**
+     * Forget all filter state
+     */
+    reset() {
+        this.origin = null;
+    }
+}
+
+/**
+ * Pass-through filter used when smoothing is disabled
+ */
+export class NoopFilter extends BasePositionFilter {
+    filter(position) {
+        return { ...position };
+    }
+}
+
+/**
+ * Exponential moving average on latitude/longitude
+ * smoothingFactor: 0 = no smoothing, values towards 1 = heavier smoothing
+ */
+export class ExponentialFilter extends BasePositionFilter {
+    constructor(smoothingFactor = 0.1) {
+        super();
+        this.smoothingFactor = smoothingFactor;
+        this.state = null;
+    }
+
+    filter(position) {
+        const local = this.toLocal(position);
+
+        if (!this.state) {
+            this.state = { x: local.x, y: local.y };
+        } else {
+            const alpha = 1 - this.smoothingFactor; // Weight of the newest fix
+            this.state.x += alpha * (local.x - this.state.x);
+            this.state.y += alpha * (local.y - this.state.y);
+        }
+
+        return {
+            ...position,
+            ...this.toGeographic(this.state.x, this.state.y)
+        };
+    }
+
+    reset() {
+        super.reset();
+        this.state = null;
+    }
+}
+
+/**
+ * Constant-velocity Kalman filter, run independently on the East and North axes.
+ * Each fix is weighted by its reported accuracy (used as the measurement standard deviation).
+ * The reported accuracy is passed through unchanged.
+ */
+export class KalmanFilter extends BasePositionFilter {
+    /**
+     * @param {number} processNoise - Acceleration noise standard deviation in m/s²
+     */
+    constructor(processNoise = 0.5) {
+        super();
+        this.processNoise = processNoise;
+        this.axes = null;
+        this.lastTimestamp = null;
+    }
+
+    filter(position) {
+        const local = this.toLocal(position);
+        const accuracy = position.accuracy > 0 ? position.accuracy : 10;
+        const measurementVariance = accuracy * accuracy;
+
+        if (!this.axes) {
+            this.axes = {
+                x: this.createAxis(local.x, measurementVariance),
+                y: this.createAxis(local.y, measurementVariance)
+            };
+            this.lastTimestamp = position.timestamp;
+        } else {
+            // Fall back to 1 s when timestamps are missing or out of order
+            const dt = position.timestamp > this.lastTimestamp ?
+                (position.timestamp - this.lastTimestamp) / 1000 : 1;
+            this.lastTimestamp = position.timestamp ?? this.lastTimestamp;
+
+            this.updateAxis(this.axes.x, local.x, measurementVariance, dt);
+            this.updateAxis(this.axes.y, local.y, measurementVariance, dt);
+        }
+
+        return {
+            ...position,
+            ...this.toGeographic(this.axes.x.position, this.axes.y.position),
+            velocityEast: this.axes.x.velocity,
+            velocityNorth: this.axes.y.velocity
+        };
+    }
+
+    /**
+     * Create the state for one axis from the first measurement
+     */
+    createAxis(measurement, measurementVariance) {
+        return {
+            position: measurement,
+            velocity: 0,
+            // Covariance matrix [[p00, p01], [p01, p11]]
+            p00: measurementVariance,
+            p01: 0,
+            p11: 4 // Initial velocity uncertainty: 2 m/s standard deviation
+        };
+    }
+
+    /**
+     * Predict and correct one axis
+     */
+    updateAxis(axis, measurement, measurementVariance, dt) {
+        // Predict: x = F x, P = F P Fᵀ + Q (white-noise acceleration model)
+        const q = this.processNoise * this.processNoise;
+        const dt2 = dt * dt;
+        const dt3 = dt2 * dt;
+        const dt4 = dt3 * dt;
+
+        axis.position += axis.velocity * dt;
+
+        const p00 = axis.p00 + 2 * dt * axis.p01 + dt2 * axis.p11 + q * dt4 / 4;
+        const p01 = axis.p01 + dt * axis.p11 + q * dt3 / 2;
+        const p11 = axis.p11 + q * dt2;
+
+        // Correct with the position measurement
+        const innovation = measurement - axis.position;
+        const s = p00 + measurementVariance;
+        const k0 = p00 / s;
+        const k1 = p01 / s;
+
+        axis.position += k0 * innovation;
+        axis.velocity += k1 * innovation;
+
+        axis.p00 = (1 - k0) * p00;
+        axis.p01 = (1 - k0) * p01;
+        axis.p11 = p11 - k1 * p01;
+    }
+
+    reset() {
+        super.reset();
+        this.axes = null;
+        this.lastTimestamp = null;
+    }
+}
+
+/**
+ * Create a position filter from advanced settings
+ * @param {Object} settings - Advanced settings (positionSmoothing, smoothingMethod, smoothingFactor, kalmanProcessNoise)
+ * @returns {BasePositionFilter}
+ */
+export function createPositionFilter(settings = {}) {
+    if (!settings.positionSmoothing) {
+        return new NoopFilter();
+    }
+
+    switch (settings.smoothingMethod) {
+        case 'exponential':
+            return new ExponentialFilter(settings.smoothingFactor);
+        case 'kalman':
+        default:
+            return new KalmanFilter(settings.kalmanProcessNoise);
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * PositionTrail - Ring buffer of recent local offsets from the marked position
+ *
+ * The buffer holds the whole duration at one point per MIN_POINT_SPACING; points arriving
+ * closer together than that (fast receivers, sped-up replay) are skipped.
+ */
+
+const MIN_POINT_SPACING = 100; // ms - the shortest updateInterval
+
+export class PositionTrail {
+    /**
+     * @param {number} duration - How long points are kept, in seconds
+     */
+    constructor(duration = 30) {
+        this.duration = duration;
+        this.capacity = PositionTrail.getCapacity(duration);
+        this.buffer = new Array(this.capacity);
+        this.head = 0; // Index of the next write
+        this.count = 0;
+    }
+
+    /**
+     * Number of points needed to cover a duration
+     */
+    static getCapacity(duration) {
+        return Math.max(1, Math.ceil(duration * 1000 / MIN_POINT_SPACING) + 1);
+    }
+
+    /**
+     * Add an East/North offset (meters) to the trail
+     * @param {number} timestamp - Fix time in ms, so a replay ages the trail in recorded time
+     */
+    push(x, y, timestamp = Date.now()) {
+        const newest = this.getNewestTimestamp();
+        if (newest !== null && timestamp >= newest && timestamp - newest < MIN_POINT_SPACING) return;
+
+        this.buffer[this.head] = { x, y, timestamp };
+        this.head = (this.head + 1) % this.capacity;
+        this.count = Math.min(this.count + 1, this.capacity);
+    }
+
+    /**
+     * Get points younger than the trail duration, oldest first
+     * @param {number} now - Reference time in ms, normally the newest fix time
+     * @returns {Array<{x: number, y: number, timestamp: number, ageRatio: number}>}
+     */
+    getPoints(now = Date.now()) {
+        const points = [];
+        const maxAge = this.duration * 1000;
+        const start = (this.head - this.count + this.capacity) % this.capacity;
+
+        for (let i = 0; i < this.count; i++) {
+            const point = this.buffer[(start + i) % this.capacity];
+            const age = now - point.timestamp;
+            if (age >= 0 && age <= maxAge) { // Newer than now only after a replay seeks back
+                points.push({ ...point, ageRatio: age / maxAge }); // 0 = newest, 1 = about to expire
+            }
+        }
+
+        return points;
+    }
+
+    /**
+     * Timestamp of the newest point, null when empty
+     */
+    getNewestTimestamp() {
+        if (this.count === 0) return null;
+        return this.buffer[(this.head - 1 + this.capacity) % this.capacity].timestamp;
+    }
+
+    /**
+     * Change how long points are kept, resizing the buffer (the newest points are kept)
+     */
+    setDuration(duration) {
+        this.duration = duration;
+
+        const capacity = PositionTrail.getCapacity(duration);
+        if (capacity === this.capacity) return;
+
+        const points = [];
+        const start = (this.head - this.count + this.capacity) % this.capacity;
+        for (let i = 0; i < this.count; i++) {
+            points.push(this.buffer[(start + i) % this.capacity]);
+        }
+
+        const kept = points.slice(-capacity);
+        this.capacity = capacity;
+        this.buffer = new Array(capacity);
+        kept.forEach((point, index) => {
+            this.buffer[index] = point;
+        });
+        this.count = kept.length;
+        this.head = kept.length % capacity;
+    }
+
+    /**
+     * Remove all points
+     */
+    clear() {
+        this.buffer = new Array(this.capacity);
+        this.head = 0;
+        this.count = 0;
+    }
+}
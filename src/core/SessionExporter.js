@@ -0,0 +1,273 @@
+/**
+ * SessionExporter - Converts recorded sessions to GPX, CSV and GeoJSON and saves them locally.
+ * Also reads and writes named marks as GPX waypoints.
+ */
+import { gpsToLocalCoordinates, haversineDistance } from './GeoUtils.js';
+
+export const EXPORT_FORMATS = {
+    gpx: { extension: 'gpx', mimeType: 'application/gpx+xml' },
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    geojson: { extension: 'geojson', mimeType: 'application/geo+json' }
+};
+
+/**
+ * Escape text for inclusion in XML
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Collect the distinct marked positions in recording order
+ */
+function getDistinctMarks(fixes) {
+    const marks = [];
+    let last = null;
+
+    for (const fix of fixes) {
+        const mark = fix.markedPosition;
+        if (mark && (!last || mark.latitude !== last.latitude || mark.longitude !== last.longitude)) {
+            marks.push({ ...mark, timestamp: fix.timestamp });
+            last = mark;
+        }
+    }
+
+    return marks;
+}
+
+/**
+ * Format a value for CSV output (empty for missing values)
+ */
+function csvValue(value, decimals = null) {
+    if (value === null || value === undefined || Number.isNaN(value)) {
+        return '';
+    }
+    return decimals !== null ? value.toFixed(decimals) : String(value);
+}
+
+/**
+ * Export session as a GPX 1.1 track, with marked positions as waypoints
+ */
+export function toGPX(session, fixes) {
+    const marks = getDistinctMarks(fixes);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="Helicopter Hover Assistant" xmlns="http://www.topografix.com/GPX/1/1">',
+        '  <metadata>',
+        `    <name>${escapeXml(session.name)}</name>`,
+        `    <time>${new Date(session.startTime).toISOString()}</time>`,
+        '  </metadata>'
+    ];
+
+    marks.forEach((mark, index) => {
+        lines.push(`  <wpt lat="${mark.latitude}" lon="${mark.longitude}">`);
+        lines.push(`    <time>${new Date(mark.timestamp).toISOString()}</time>`);
+        lines.push(`    <name>Mark ${index + 1}</name>`);
+        lines.push('  </wpt>');
+    });
+
+    lines.push('  <trk>');
+    lines.push(`    <name>${escapeXml(session.name)}</name>`);
+    lines.push('    <trkseg>');
+
+    for (const fix of fixes) {
+        lines.push(`      <trkpt lat="${fix.latitude}" lon="${fix.longitude}">`);
+        if (typeof fix.altitude === 'number') {
+            lines.push(`        <ele>${fix.altitude.toFixed(1)}</ele>`);
+        }
+        lines.push(`        <time>${new Date(fix.timestamp).toISOString()}</time>`);
+        lines.push('      </trkpt>');
+    }
+
+    lines.push('    </trkseg>');
+    lines.push('  </trk>');
+    lines.push('</gpx>');
+
+    return lines.join('\n');
+}
+
+/**
+ * Export session as CSV, including local East/North offsets and distance to the mark
+ */
+export function toCSV(session, fixes) {
+    const header = [
+        'time', 'latitude', 'longitude', 'accuracy_m', 'altitude_m', 'speed_mps', 'gps_heading_deg',
+        'marked_latitude', 'marked_longitude', 'selected_heading_deg', 'east_m', 'north_m', 'distance_m'
+    ];
+    const rows = [header.join(',')];
+
+    for (const fix of fixes) {
+        const mark = fix.markedPosition;
+        let offset = null;
+        let distance = null;
+
+        if (mark) {
+            offset = gpsToLocalCoordinates(mark, fix);
+            distance = haversineDistance(mark.latitude, mark.longitude, fix.latitude, fix.longitude);
+        }
+
+        rows.push([
+            new Date(fix.timestamp).toISOString(),
+            csvValue(fix.latitude),
+            csvValue(fix.longitude),
+            csvValue(fix.accuracy, 1),
+            csvValue(fix.altitude, 1),
+            csvValue(fix.speed, 2),
+            csvValue(fix.heading, 1),
+            csvValue(mark?.latitude),
+            csvValue(mark?.longitude),
+            csvValue(fix.selectedHeading, 1),
+            csvValue(offset?.x, 2),
+            csvValue(offset?.y, 2),
+            csvValue(distance, 2)
+        ].join(','));
+    }
+
+    return rows.join('\n');
+}
+
+/**
+ * Export session as a GeoJSON FeatureCollection (track LineString + mark Points)
+ */
+export function toGeoJSON(session, fixes) {
+    const features = [{
+        type: 'Feature',
+        geometry: {
+            type: 'LineString',
+            coordinates: fixes.map(fix => typeof fix.altitude === 'number' ?
+                [fix.longitude, fix.latitude, fix.altitude] :
+                [fix.longitude, fix.latitude])
+        },
+        properties: {
+            name: session.name,
+            startTime: new Date(session.startTime).toISOString(),
+            endTime: session.endTime ? new Date(session.endTime).toISOString() : null,
+            coordTimes: fixes.map(fix => new Date(fix.timestamp).toISOString()),
+            accuracies: fixes.map(fix => fix.accuracy),
+            selectedHeadings: fixes.map(fix => fix.selectedHeading)
+        }
+    }];
+
+    getDistinctMarks(fixes).forEach((mark, index) => {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [mark.longitude, mark.latitude] },
+            properties: {
+                name: `Mark ${index + 1}`,
+                time: new Date(mark.timestamp).toISOString()
+            }
+        });
+    });
+
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+/**
+ * Export named marks as GPX 1.1 waypoints
+ */
+export function toWaypointsGPX(marks) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="Helicopter Hover Assistant" xmlns="http://www.topografix.com/GPX/1/1">'
+    ];
+
+    for (const mark of marks) {
+        lines.push(`  <wpt lat="${mark.latitude}" lon="${mark.longitude}">`);
+        if (typeof mark.altitude === 'number') {
+            lines.push(`    <ele>${mark.altitude.toFixed(1)}</ele>`);
+        }
+        lines.push(`    <time>${new Date(mark.timestamp).toISOString()}</time>`);
+        lines.push(`    <name>${escapeXml(mark.name)}</name>`);
+        lines.push('  </wpt>');
+    }
+
+    lines.push('</gpx>');
+    return lines.join('\n');
+}
+
+/**
+ * Read waypoints from a GPX file
+ * Waypoints without a numeric lat/lon attribute are skipped rather than read as 0.
+ * @returns {Object} {waypoints: [{name, latitude, longitude, altitude, timestamp}], skipped}
+ */
+export function parseWaypointsGPX(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Not a valid GPX file');
+    }
+
+    const childText = (element, tag) => element.getElementsByTagName(tag)[0]?.textContent.trim() || null;
+    const coordinate = (element, name) => {
+        const value = element.getAttribute(name)?.trim();
+        return value ? Number(value) : NaN;
+    };
+
+    const elements = Array.from(doc.getElementsByTagName('wpt'));
+    const waypoints = [];
+    for (const wpt of elements) {
+        const latitude = coordinate(wpt, 'lat');
+        const longitude = coordinate(wpt, 'lon');
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) continue;
+
+        const elevation = childText(wpt, 'ele');
+        const time = childText(wpt, 'time');
+        waypoints.push({
+            name: childText(wpt, 'name'),
+            latitude,
+            longitude,
+            altitude: elevation !== null ? Number(elevation) : null,
+            timestamp: time !== null && !isNaN(Date.parse(time)) ? Date.parse(time) : Date.now()
+        });
+    }
+
+    return { waypoints, skipped: elements.length - waypoints.length };
+}
+
+/**
+ * Convert a session to the requested export format
+ * @param {string} format - 'gpx', 'csv' or 'geojson'
+ * @returns {string} File content
+ */
+export function exportSession(session, fixes, format) {
+    switch (format) {
+        case 'gpx':
+            return toGPX(session, fixes);
+        case 'csv':
+            return toCSV(session, fixes);
+        case 'geojson':
+            return toGeoJSON(session, fixes);
+        default:
+            throw new Error(`Unsupported export format: ${format}`);
+    }
+}
+
+/**
+ * Save content as a file via a Blob link (works offline, no network involved)
+ */
+export function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser time to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Build a filesystem-friendly file name for a session export
+ */
+export function getExportFilename(session, format) {
+    const stamp = new Date(session.startTime).toISOString().replace(/[:.]/g, '-');
+    return `hover-session-${stamp}.${EXPORT_FORMATS[format].extension}`;
+}
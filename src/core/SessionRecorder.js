@@ -0,0 +1,193 @@
+/**
+ * SessionRecorder - Records GPS fixes together with hover context into SessionStore
+ */
+export class SessionRecorder {
+    /**
+     * @param {SessionStore} store - Session persistence
+     * @param {Function} getContext - Returns {markedPosition, selectedHeading} at the time of each fix
+     */
+    constructor(store, getContext) {
+        this.store = store;
+        this.getContext = getContext;
+        this.source = null;
+        this.sessionId = null;
+        this.fixCount = 0;
+        this.isRecording = false;
+        this.eventTarget = new EventTarget();
+
+        this.onPosition = this.onPosition.bind(this);
+    }
+
+    /**
+     * Listen to 'fix' events from a GPS source - every fix, not only those forwarded for display
+     */
+    attach(source) {
+        this.detach();
+        this.source = source;
+        this.source.addEventListener('fix', this.onPosition);
+    }
+
+    /**
+     * Stop listening to the current GPS source
+     */
+    detach() {
+        if (this.source) {
+            this.source.removeEventListener('fix', this.onPosition);
+            this.source = null;
+        }
+    }
+
+    /**
+     * Start a new recording session
+     */
+    async start(name = null) {
+        if (this.isRecording) {
+            console.warn('Session recording is already active');
+            return this.sessionId;
+        }
+
+        const startTime = Date.now();
+        this.sessionId = await this.store.createSession({
+            name: name || `Hover ${new Date(startTime).toLocaleString()}`,
+            startTime,
+            endTime: null,
+            fixCount: 0
+        });
+        this.fixCount = 0;
+        this.isRecording = true;
+
+        this.emit('recording:started', { sessionId: this.sessionId });
+        console.log('Session recording started:', this.sessionId);
+        return this.sessionId;
+    }
+
+    /**
+     * Continue recording into an existing session (e.g. after the app was reloaded mid-session)
+     */
+    async resume(sessionId) {
+        if (this.isRecording) {
+            console.warn('Session recording is already active');
+            return this.sessionId;
+        }
+
+        const session = await this.store.getSession(sessionId);
+        if (!session) {
+            throw new Error(`Session not found: ${sessionId}`);
+        }
+
+        const fixes = await this.store.getFixes(sessionId);
+        await this.store.updateSession(sessionId, { endTime: null });
+        this.sessionId = sessionId;
+        this.fixCount = fixes.length;
+        this.isRecording = true;
+
+        this.emit('recording:started', { sessionId: this.sessionId });
+        console.log('Session recording resumed:', this.sessionId);
+        return this.sessionId;
+    }
+
+    /**
+     * Close a session left open by a reload or crash, taking the end time and count from its fixes
+     * (fixCount is otherwise only written when recording stops)
+     */
+    async finalize(sessionId) {
+        const session = await this.store.getSession(sessionId);
+        if (!session || session.endTime !== null) return;
+
+        const fixes = await this.store.getFixes(sessionId);
+        const last = fixes[fixes.length - 1];
+        await this.store.updateSession(sessionId, {
+            endTime: last ? last.recordedAt ?? last.timestamp : session.startTime,
+            fixCount: fixes.length
+        });
+        console.log('Interrupted session closed:', sessionId);
+    }
+
+    /**
+     * Stop the active recording session
+     */
+    async stop() {
+        if (!this.isRecording) return;
+
+        const sessionId = this.sessionId;
+        this.isRecording = false;
+        this.sessionId = null;
+
+        await this.store.updateSession(sessionId, {
+            endTime: Date.now(),
+            fixCount: this.fixCount
+        });
+
+        this.emit('recording:stopped', { sessionId, fixCount: this.fixCount });
+        console.log('Session recording stopped:', sessionId);
+    }
+
+    /**
+     * Handle position event from the GPS source
+     */
+    onPosition(event) {
+        if (!this.isRecording) return;
+
+        const position = event.detail;
+        const { markedPosition, selectedHeading } = this.getContext();
+
+        const fix = {
+            timestamp: position.timestamp,
+            recordedAt: Date.now(),
+            latitude: position.latitude,
+            longitude: position.longitude,
+            accuracy: position.accuracy,
+            altitude: position.altitude,
+            speed: position.speed,
+            heading: position.heading,
+            raw: position.raw ? {
+                latitude: position.raw.latitude,
+                longitude: position.raw.longitude,
+                accuracy: position.raw.accuracy
+            } : null,
+            markedPosition: markedPosition ? {
+                latitude: markedPosition.latitude,
+                longitude: markedPosition.longitude
+            } : null,
+            selectedHeading
+        };
+
+        this.fixCount++;
+        this.store.addFix(this.sessionId, fix).catch((error) => {
+            console.error('Failed to store fix:', error);
+            this.emit('recording:error', error);
+        });
+    }
+
+    /**
+     * Add event listener
+     */
+    addEventListener(event, callback) {
+        this.eventTarget.addEventListener(event, callback);
+    }
+
+    /**
+     * Remove event listener
+     */
+    removeEventListener(event, callback) {
+        this.eventTarget.removeEventListener(event, callback);
+    }
+
+    /**
+     * Emit event
+     */
+    emit(event, data) {
+        this.eventTarget.dispatchEvent(new CustomEvent(event, { detail: data }));
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        if (this.isRecording) {
+            this.stop().catch((error) => console.error('Failed to finish session:', error));
+        }
+        this.detach();
+        console.log('SessionRecorder destroyed');
+    }
+}
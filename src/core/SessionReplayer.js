@@ -0,0 +1,242 @@
+/**
+ * SessionReplayer - Plays recorded session fixes back as if they came from GPSManager
+ * Emits the same 'position' events, plus 'mark' / 'heading' when the recorded context changes
+ */
+export class SessionReplayer {
+    constructor() {
+        this.session = null;
+        this.fixes = [];
+        this.index = 0;
+        this.speed = 1;
+        this.isPlaying = false;
+        this.timerId = null;
+        this.lastMark = null;
+        this.lastHeading = null;
+        this.eventTarget = new EventTarget();
+
+        // Longest pause between two fixes, so gaps from paused tracking don't stall playback
+        this.maxGap = 5000;
+
+        this.playNext = this.playNext.bind(this);
+    }
+
+    /**
+     * Load a session for replay
+     * @param {Object} session - Session record
+     * @param {Array} fixes - Fixes ordered by timestamp
+     */
+    load(session, fixes) {
+        if (fixes.length === 0) {
+            throw new Error('Session contains no recorded fixes');
+        }
+
+        this.pause();
+        this.session = session;
+        this.fixes = fixes;
+        this.index = 0;
+        this.lastMark = null;
+        this.lastHeading = null;
+
+        this.emitFix(this.fixes[0]);
+    }
+
+    /**
+     * Check if a session is loaded
+     */
+    isLoaded() {
+        return this.fixes.length > 0;
+    }
+
+    /**
+     * Get session duration in ms
+     */
+    getDuration() {
+        if (!this.isLoaded()) return 0;
+        return this.fixes[this.fixes.length - 1].timestamp - this.fixes[0].timestamp;
+    }
+
+    /**
+     * Start or resume playback
+     */
+    play() {
+        if (!this.isLoaded() || this.isPlaying) return;
+
+        // Restart from the beginning when playback had finished
+        if (this.index >= this.fixes.length - 1) {
+            this.seek(0);
+        }
+
+        this.isPlaying = true;
+        this.scheduleNext();
+        this.emitProgress();
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        if (this.timerId !== null) {
+            clearTimeout(this.timerId);
+            this.timerId = null;
+        }
+
+        if (this.isPlaying) {
+            this.isPlaying = false;
+            this.emitProgress();
+        }
+    }
+
+    /**
+     * Jump to a point in the session
+     * @param {number} fraction - Position in the session, 0 (start) to 1 (end)
+     */
+    seek(fraction) {
+        if (!this.isLoaded()) return;
+
+        const clamped = Math.min(Math.max(fraction, 0), 1);
+        const targetTime = this.fixes[0].timestamp + clamped * this.getDuration();
+        const index = this.fixes.findIndex(fix => fix.timestamp >= targetTime);
+        this.index = index === -1 ? this.fixes.length - 1 : index;
+
+        this.emit('seeked', { index: this.index });
+        this.emitFix(this.fixes[this.index]);
+
+        if (this.isPlaying) {
+            clearTimeout(this.timerId);
+            this.scheduleNext();
+        }
+    }
+
+    /**
+     * Set playback speed multiplier (1, 2, 4...)
+     */
+    setSpeed(speed) {
+        if (typeof speed !== 'number' || speed <= 0) {
+            throw new Error(`Invalid replay speed: ${speed}`);
+        }
+
+        this.speed = speed;
+
+        if (this.isPlaying) {
+            clearTimeout(this.timerId);
+            this.scheduleNext();
+        }
+    }
+
+    /**
+     * Schedule the next fix using the recorded time gap
+     */
+    scheduleNext() {
+        if (this.index >= this.fixes.length - 1) {
+            this.isPlaying = false;
+            this.timerId = null;
+            this.emitProgress();
+            this.emit('ended', { session: this.session });
+            return;
+        }
+
+        const gap = this.fixes[this.index + 1].timestamp - this.fixes[this.index].timestamp;
+        const delay = Math.min(Math.max(gap, 0), this.maxGap) / this.speed;
+        this.timerId = setTimeout(this.playNext, delay);
+    }
+
+    /**
+     * Emit the next fix and schedule the one after
+     */
+    playNext() {
+        this.index++;
+        this.emitFix(this.fixes[this.index]);
+        this.scheduleNext();
+    }
+
+    /**
+     * Emit a recorded fix in GPSManager's position format
+     */
+    emitFix(fix) {
+        const mark = fix.markedPosition;
+        const markChanged = mark ?
+            (!this.lastMark || mark.latitude !== this.lastMark.latitude || mark.longitude !== this.lastMark.longitude) :
+            this.lastMark !== null;
+
+        if (markChanged) {
+            this.lastMark = mark;
+            this.emit('mark', mark ? { ...mark } : null);
+        }
+
+        if (typeof fix.selectedHeading === 'number' && fix.selectedHeading !== this.lastHeading) {
+            this.lastHeading = fix.selectedHeading;
+            this.emit('heading', fix.selectedHeading);
+        }
+
+        this.emit('position', {
+            latitude: fix.latitude,
+            longitude: fix.longitude,
+            accuracy: fix.accuracy,
+            altitude: fix.altitude,
+            altitudeAccuracy: null,
+            heading: fix.heading,
+            speed: fix.speed,
+            timestamp: fix.timestamp,
+            raw: fix.raw ? { ...fix.raw, timestamp: fix.timestamp } : null,
+            replay: true
+        });
+
+        this.emitProgress();
+    }
+
+    /**
+     * Emit playback progress
+     */
+    emitProgress() {
+        const elapsed = this.fixes[this.index].timestamp - this.fixes[0].timestamp;
+        this.emit('progress', {
+            index: this.index,
+            count: this.fixes.length,
+            elapsed,
+            duration: this.getDuration(),
+            isPlaying: this.isPlaying,
+            speed: this.speed
+        });
+    }
+
+    /**
+     * Stop playback and unload the session
+     */
+    unload() {
+        this.pause();
+        this.session = null;
+        this.fixes = [];
+        this.index = 0;
+    }
+
+    /**
+     * Add event listener
+     */
+    addEventListener(event, callback) {
+        this.eventTarget.addEventListener(event, callback);
+    }
+
+    /**
+     * Remove event listener
+     */
+    removeEventListener(event, callback) {
+        this.eventTarget.removeEventListener(event, callback);
+    }
+
+    /**
+     * Emit event
+     */
+    emit(event, data) {
+        this.eventTarget.dispatchEvent(new CustomEvent(event, { detail: data }));
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this.pause();
+        this.fixes = [];
+        this.eventTarget = null;
+        console.log('SessionReplayer destroyed');
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * SessionStore - IndexedDB persistence for recorded hover sessions
+ *
+ * Two object stores:
+ *  - sessions: one record per session {id, name, startTime, endTime, fixCount}
+ *  - fixes: one record per GPS fix, indexed by sessionId
+ */
+export class SessionStore {
+    constructor() {
+        this.dbName = 'helicopter-hover-assistant';
+        this.dbVersion = 1;
+        this.db = null;
+    }
+
+    /**
+     * Check if IndexedDB is available
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and upgrade if needed) the database
+     */
+    async open() {
+        if (this.db) {
+            return this.db;
+        }
+
+        if (!this.isSupported()) {
+            throw new Error('IndexedDB is not supported by this browser');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                if (!db.objectStoreNames.contains('sessions')) {
+                    db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+                }
+
+                if (!db.objectStoreNames.contains('fixes')) {
+                    const fixes = db.createObjectStore('fixes', { keyPath: 'id', autoIncrement: true });
+                    fixes.createIndex('sessionId', 'sessionId', { unique: false });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.db;
+    }
+
+    /**
+     * Run a request inside a transaction and resolve with its result
+     */
+    async request(storeNames, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            let result;
+
+            const request = operation(transaction);
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Create a new session record
+     * @returns {Promise<number>} New session id
+     */
+    createSession(session) {
+        return this.request('sessions', 'readwrite', (tx) => tx.objectStore('sessions').add(session));
+    }
+
+    /**
+     * Update fields of an existing session record
+     */
+    async updateSession(id, updates) {
+        const session = await this.getSession(id);
+        if (!session) {
+            throw new Error(`Session not found: ${id}`);
+        }
+
+        return this.request('sessions', 'readwrite', (tx) => tx.objectStore('sessions').put({ ...session, ...updates }));
+    }
+
+    /**
+     * Get a single session record
+     */
+    getSession(id) {
+        return this.request('sessions', 'readonly', (tx) => tx.objectStore('sessions').get(id));
+    }
+
+    /**
+     * Get all session records, newest first
+     */
+    async getSessions() {
+        const sessions = await this.request('sessions', 'readonly', (tx) => tx.objectStore('sessions').getAll());
+        return (sessions || []).sort((a, b) => b.startTime - a.startTime);
+    }
+
+    /**
+     * Store a fix for a session
+     */
+    addFix(sessionId, fix) {
+        return this.request('fixes', 'readwrite', (tx) => tx.objectStore('fixes').add({ ...fix, sessionId }));
+    }
+
+    /**
+     * Get all fixes for a session, in recording order
+     */
+    async getFixes(sessionId) {
+        const fixes = await this.request('fixes', 'readonly', (tx) =>
+            tx.objectStore('fixes').index('sessionId').getAll(sessionId)
+        );
+        return (fixes || []).sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Delete a session and all of its fixes
+     */
+    deleteSession(sessionId) {
+        return this.request(['sessions', 'fixes'], 'readwrite', (tx) => {
+            tx.objectStore('sessions').delete(sessionId);
+
+            const cursorRequest = tx.objectStore('fixes').index('sessionId').openKeyCursor(IDBKeyRange.only(sessionId));
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    tx.objectStore('fixes').delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        });
+    }
+
+    /**
+     * Close the database connection
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
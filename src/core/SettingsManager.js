@@ -1,6 +1,8 @@
 /**
  * SettingsManager - Handles application settings with persistence and validation
  */
+import { SETTINGS_SCHEMA, SETTINGS_VERSION, SETTINGS_MIGRATIONS } from './SettingsSchema.js';
+
 export class SettingsManager {
     constructor() {
         this.settings = this.getDefaultSettings();
@@ -11,43 +13,17 @@ export class SettingsManager {
     }
 
     /**
-     * Get default settings
+     * Get default settings (from the schema)
      */
     getDefaultSettings() {
-        return {
-            gps: {
-                enableHighAccuracy: true,
-                timeout: 10000,
-                maximumAge: 0,
-                updateInterval: 1000 // Minimum time between updates in ms
-            },
-            display: {
-                gridSize: 5, // meters
-                gridScale: 1, // meter per unit
-                circleCount: 5,
-                circleScale: 1, // meter diameter increments
-                dotSize: 8,
-                animationSpeed: 1.0,
-                showGrid: true,
-                showCircles: true,
-                showCoordinates: true
-            },
-            ui: {
-                theme: 'dark',
-                language: 'en',
-                vibrationEnabled: true,
-                soundEnabled: false,
-                keepScreenOn: true
-            },
-            advanced: {
-                debugMode: false,
-                logLevel: 'info', // 'debug', 'info', 'warn', 'error'
-                coordinateSystem: 'metric', // 'metric', 'imperial'
-                bearingFormat: 'degrees', // 'degrees', 'radians'
-                positionSmoothing: true,
-                smoothingFactor: 0.1
+        const defaults = {};
+        for (const [category, section] of Object.entries(SETTINGS_SCHEMA)) {
+            defaults[category] = {};
+            for (const [key, field] of Object.entries(section.fields)) {
+                defaults[category][key] = field.default;
             }
-        };
+        }
+        return defaults;
     }
 
     /**
@@ -57,9 +33,14 @@ export class SettingsManager {
         try {
             const stored = localStorage.getItem(this.storageKey);
             if (stored) {
-                const parsedSettings = JSON.parse(stored);
-                this.settings = this.mergeSettings(this.getDefaultSettings(), parsedSettings);
-                console.log('Settings loaded from storage');
+                const { version = 1, ...storedSettings } = JSON.parse(stored);
+                const migrated = this.migrateSettings(storedSettings, version);
+                this.settings = this.sanitizeSettings(this.mergeSettings(this.getDefaultSettings(), migrated));
+
+                if (version !== SETTINGS_VERSION) {
+                    this.saveSettings();
+                }
+                console.log(`Settings loaded from storage (version ${version})`);
             }
         } catch (error) {
             console.warn('Failed to load settings from storage:', error);
@@ -72,7 +53,7 @@ export class SettingsManager {
      */
     saveSettings() {
         try {
-            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: SETTINGS_VERSION, ...this.settings }));
             console.log('Settings saved to storage');
         } catch (error) {
             console.warn('Failed to save settings to storage:', error);
@@ -80,22 +61,83 @@ export class SettingsManager {
     }
 
     /**
-     * Merge default settings with user settings
+     * Upgrade stored settings from an older schema version
+     * @param {Object} settings - Stored settings without the version tag
+     * @param {number} version - Version the settings were stored with
+     */
+    migrateSettings(settings, version) {
+        if (version > SETTINGS_VERSION) {
+            console.warn(`Settings version ${version} is newer than supported version ${SETTINGS_VERSION}`);
+            return settings;
+        }
+
+        let migrated = settings;
+        for (let target = version + 1; target <= SETTINGS_VERSION; target++) {
+            if (SETTINGS_MIGRATIONS[target]) {
+                migrated = SETTINGS_MIGRATIONS[target](migrated);
+                console.log(`Settings migrated to version ${target}`);
+            }
+        }
+        return migrated;
+    }
+
+    /**
+     * Merge default settings with user settings, dropping keys the schema does not know
      */
     mergeSettings(defaults, userSettings) {
         const merged = { ...defaults };
         
         for (const [category, values] of Object.entries(userSettings)) {
-            if (merged[category] && typeof merged[category] === 'object') {
-                merged[category] = { ...merged[category], ...values };
-            } else {
-                merged[category] = values;
+            if (!merged[category] || !values || typeof values !== 'object') {
+                console.warn(`Ignoring unknown settings category: ${category}`);
+                continue;
+            }
+
+            const fields = SETTINGS_SCHEMA[category].fields;
+            merged[category] = { ...merged[category] };
+            for (const [key, value] of Object.entries(values)) {
+                if (key in fields) {
+                    merged[category][key] = value;
+                } else {
+                    console.warn(`Ignoring unknown setting: ${category}.${key}`);
+                }
             }
         }
         
         return merged;
     }
 
+    /**
+     * Replace invalid stored values with defaults, keeping every valid value
+     */
+    sanitizeSettings(settings) {
+        const defaults = this.getDefaultSettings();
+        const sanitized = {};
+
+        for (const [category, section] of Object.entries(SETTINGS_SCHEMA)) {
+            sanitized[category] = { ...settings[category] };
+
+            for (const [key, field] of Object.entries(section.fields)) {
+                const error = this.validateField(key, field, sanitized[category][key]);
+                if (error) {
+                    console.warn(`Invalid stored setting, using default: ${category}.${error}`);
+                    sanitized[category][key] = defaults[category][key];
+                }
+            }
+
+            for (const rule of section.rules || []) {
+                if (!rule.check(sanitized[category])) {
+                    console.warn(`Invalid stored settings, using defaults: ${category}: ${rule.message}`);
+                    rule.fields.forEach(key => {
+                        sanitized[category][key] = defaults[category][key];
+                    });
+                }
+            }
+        }
+
+        return sanitized;
+    }
+
     /**
      * Get all settings
      */
@@ -150,7 +192,8 @@ export class SettingsManager {
         this.settings[category] = { ...this.settings[category], ...newSettings };
         
         // Validate settings
-        if (this.validateSettings(category, this.settings[category])) {
+        const errors = this.getValidationErrors(category, this.settings[category]);
+        if (errors.length === 0) {
             this.saveSettings();
             this.emit('settings:changed', {
                 category,
@@ -162,7 +205,7 @@ export class SettingsManager {
         } else {
             // Revert on validation failure
             this.settings[category] = oldSettings;
-            throw new Error(`Invalid settings for category: ${category}`);
+            throw this.createValidationError(category, errors);
         }
     }
 
@@ -194,86 +237,87 @@ export class SettingsManager {
      * Validate settings
      */
     validateSettings(category, settings) {
-        switch (category) {
-            case 'gps':
-                return this.validateGPSSettings(settings);
-            case 'display':
-                return this.validateDisplaySettings(settings);
-            case 'ui':
-                return this.validateUISettings(settings);
-            case 'advanced':
-                return this.validateAdvancedSettings(settings);
-            default:
-                return true;
-        }
+        return this.getValidationErrors(category, settings).length === 0;
     }
 
     /**
-     * Validate GPS settings
+     * Check a category against the schema
+     * @returns {Array<Object>} Errors as {field, message}; empty when valid
      */
-    validateGPSSettings(settings) {
-        return (
-            typeof settings.enableHighAccuracy === 'boolean' &&
-            typeof settings.timeout === 'number' && settings.timeout > 0 &&
-            typeof settings.maximumAge === 'number' && settings.maximumAge >= 0 &&
-            typeof settings.updateInterval === 'number' && settings.updateInterval >= 100
-        );
-    }
+    getValidationErrors(category, settings) {
+        const section = SETTINGS_SCHEMA[category];
+        if (!section) {
+            return [{ field: null, message: `Unknown settings category: ${category}` }];
+        }
 
-    /**
-     * Validate display settings
-     */
-    validateDisplaySettings(settings) {
-        return (
-            typeof settings.gridSize === 'number' && settings.gridSize > 0 &&
-            typeof settings.gridScale === 'number' && settings.gridScale > 0 &&
-            typeof settings.circleCount === 'number' && settings.circleCount > 0 &&
-            typeof settings.circleScale === 'number' && settings.circleScale > 0 &&
-            typeof settings.dotSize === 'number' && settings.dotSize > 0 &&
-            typeof settings.animationSpeed === 'number' && settings.animationSpeed > 0
-        );
+        const errors = [];
+        for (const [key, field] of Object.entries(section.fields)) {
+            const message = this.validateField(key, field, settings[key]);
+            if (message) {
+                errors.push({ field: key, message });
+            }
+        }
+
+        // Constraints between fields only make sense once every field is valid on its own
+        if (errors.length === 0) {
+            for (const rule of section.rules || []) {
+                if (!rule.check(settings)) {
+                    rule.fields.forEach(key => errors.push({ field: key, message: rule.message }));
+                }
+            }
+        }
+
+        return errors;
     }
 
     /**
-     * Validate UI settings
+     * Validate a single value against its schema field
+     * @returns {string|null} Error message naming the field, or null when valid
      */
-    validateUISettings(settings) {
-        const validThemes = ['dark', 'light'];
-        const validLanguages = ['en', 'es', 'fr', 'de'];
-        
-        return (
-            validThemes.includes(settings.theme) &&
-            validLanguages.includes(settings.language) &&
-            typeof settings.vibrationEnabled === 'boolean' &&
-            typeof settings.soundEnabled === 'boolean' &&
-            typeof settings.keepScreenOn === 'boolean'
-        );
+    validateField(key, field, value) {
+        switch (field.type) {
+            case 'boolean':
+                return typeof value === 'boolean' ? null : `${key} must be true or false`;
+
+            case 'enum': {
+                const values = field.options.map(([optionValue]) => optionValue);
+                return values.includes(value) ? null : `${key} must be one of: ${values.join(', ')}`;
+            }
+
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    return `${key} must be a number`;
+                }
+                if (field.min !== undefined && (field.minExclusive ? value <= field.min : value < field.min)) {
+                    return `${key} must be ${field.minExclusive ? 'greater than' : 'at least'} ${field.min}`;
+                }
+                if (field.max !== undefined && (field.maxExclusive ? value >= field.max : value > field.max)) {
+                    return `${key} must be ${field.maxExclusive ? 'less than' : 'at most'} ${field.max}`;
+                }
+                return null;
+
+            default:
+                return null;
+        }
     }
 
     /**
-     * Validate advanced settings
+     * Build an error listing every invalid field
      */
-    validateAdvancedSettings(settings) {
-        const validLogLevels = ['debug', 'info', 'warn', 'error'];
-        const validCoordinateSystems = ['metric', 'imperial'];
-        const validBearingFormats = ['degrees', 'radians'];
-        
-        return (
-            typeof settings.debugMode === 'boolean' &&
-            validLogLevels.includes(settings.logLevel) &&
-            validCoordinateSystems.includes(settings.coordinateSystem) &&
-            validBearingFormats.includes(settings.bearingFormat) &&
-            typeof settings.positionSmoothing === 'boolean' &&
-            typeof settings.smoothingFactor === 'number' &&
-            settings.smoothingFactor >= 0 && settings.smoothingFactor <= 1
-        );
+    createValidationError(category, errors) {
+        // Rules spanning several fields report one entry per field - list each message once
+        const messages = [...new Set(errors.map(e => e.message))];
+        const error = new Error(`Invalid settings for ${category}: ${messages.join('; ')}`);
+        error.category = category;
+        error.fieldErrors = errors;
+        return error;
     }
 
     /**
      * Export settings to JSON
      */
     exportSettings() {
-        return JSON.stringify(this.settings, null, 2);
+        return JSON.stringify({ version: SETTINGS_VERSION, ...this.settings }, null, 2);
     }
 
     /**
@@ -281,13 +325,15 @@ export class SettingsManager {
      */
     importSettings(jsonString) {
         try {
-            const importedSettings = JSON.parse(jsonString);
-            const merged = this.mergeSettings(this.getDefaultSettings(), importedSettings);
+            const { version = 1, ...importedSettings } = JSON.parse(jsonString);
+            const migrated = this.migrateSettings(importedSettings, version);
+            const merged = this.mergeSettings(this.getDefaultSettings(), migrated);
             
             // Validate all categories
             for (const category of Object.keys(merged)) {
-                if (!this.validateSettings(category, merged[category])) {
-                    throw new Error(`Invalid settings for category: ${category}`);
+                const errors = this.getValidationErrors(category, merged[category]);
+                if (errors.length > 0) {
+                    throw this.createValidationError(category, errors);
                 }
             }
             
@@ -301,6 +347,13 @@ export class SettingsManager {
         }
     }
 
+    /**
+     * Get the settings schema (type, default, range and description for each field)
+     */
+    getSchema() {
+        return SETTINGS_SCHEMA;
+    }
+
     /**
      * Get setting value with fallback
      */
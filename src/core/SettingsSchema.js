@@ -0,0 +1,546 @@
+/**
+ * SettingsSchema - Declarative description of every setting: type, default, range/options and description
+ *
+ * Field types: 'boolean' (checkbox), 'number' (numeric input, or slider with control: 'range')
+ * and 'enum' (select from options). Number ranges are inclusive unless minExclusive/maxExclusive is set.
+ * Category rules cover constraints between fields.
+ */
+
+/**
+ * Version of the stored settings layout - bump and add a migration when a change needs one
+ */
+export const SETTINGS_VERSION = 3;
+
+/**
+ * Selectable display ranges - meters from the mark to the compass ring
+ */
+export const DISPLAY_RANGES = [2, 5, 10, 25, 50];
+
+export const SETTINGS_SCHEMA = {
+    gps: {
+        label: 'GPS',
+        fields: {
+            enableHighAccuracy: {
+                label: 'High accuracy',
+                type: 'boolean',
+                default: true,
+                description: 'Ask the device for its most accurate position source'
+            },
+            timeout: {
+                label: 'Fix timeout',
+                type: 'number',
+                default: 10000,
+                min: 0,
+                minExclusive: true,
+                step: 1000,
+                unit: 'ms',
+                description: 'Time allowed for each position request before reporting a timeout'
+            },
+            maximumAge: {
+                label: 'Maximum fix age',
+                type: 'number',
+                default: 0,
+                min: 0,
+                step: 1000,
+                unit: 'ms',
+                description: 'Oldest cached position accepted (0 = always request a fresh fix)'
+            },
+            updateInterval: {
+                label: 'Update interval',
+                type: 'number',
+                default: 1000,
+                min: 100,
+                step: 100,
+                unit: 'ms',
+                description: 'Minimum time between position updates'
+            },
+            provider: {
+                label: 'Position source',
+                type: 'enum',
+                default: 'geolocation',
+                options: [['geolocation', 'Device GPS'], ['simulated', 'Simulated']],
+                description: 'Real device location or simulated fixes for ground testing'
+            },
+            simulationPattern: {
+                label: 'Simulation pattern',
+                type: 'enum',
+                default: 'random-walk',
+                options: [['random-walk', 'Random walk'], ['circular', 'Circular'], ['step', 'Step']],
+                description: 'Movement of the simulated aircraft around the start point'
+            },
+            simulationNoise: {
+                label: 'Simulation noise',
+                type: 'number',
+                default: 0.5,
+                min: 0,
+                step: 0.1,
+                unit: 'm',
+                description: 'Simulated measurement noise (1 sigma)'
+            },
+            simulationAccuracy: {
+                label: 'Simulated accuracy',
+                type: 'number',
+                default: 3,
+                min: 0,
+                minExclusive: true,
+                step: 0.5,
+                unit: 'm',
+                description: 'Accuracy reported with each simulated fix'
+            },
+            staleTimeout: {
+                label: 'Stale fix after',
+                type: 'number',
+                default: 5000,
+                min: 1000,
+                step: 1000,
+                unit: 'ms',
+                description: 'Flag the fix as stale when no newer fix has arrived for this long'
+            },
+            degradedAccuracy: {
+                label: 'Degraded accuracy',
+                type: 'number',
+                default: 15,
+                min: 0,
+                minExclusive: true,
+                step: 1,
+                unit: 'm',
+                description: 'Flag the fix as degraded above this accuracy, or when it gets 3x worse than the recent best'
+            },
+            jumpSpeed: {
+                label: 'Jump detection speed',
+                type: 'number',
+                default: 40,
+                min: 0,
+                minExclusive: true,
+                step: 5,
+                unit: 'm/s',
+                description: 'Flag a jump when consecutive fixes imply a faster move than this, beyond their accuracy'
+            },
+            markAveraging: {
+                label: 'Mark averaging',
+                type: 'enum',
+                default: 'off',
+                options: [['off', 'Single fix'], ['time', 'Time window'], ['count', 'Fix count']],
+                description: 'Average several fixes into the mark instead of taking the current one'
+            },
+            markAverageTime: {
+                label: 'Averaging window',
+                type: 'number',
+                default: 10,
+                min: 1,
+                step: 1,
+                unit: 's',
+                description: 'How long to sample fixes when averaging by time window'
+            },
+            markAverageCount: {
+                label: 'Averaging fixes',
+                type: 'number',
+                default: 10,
+                min: 2,
+                step: 1,
+                description: 'How many accepted fixes to average when averaging by fix count'
+            },
+            markMaxAccuracy: {
+                label: 'Averaging accuracy limit',
+                type: 'number',
+                default: 10,
+                min: 0,
+                minExclusive: true,
+                step: 1,
+                unit: 'm',
+                description: 'Fixes reporting a worse accuracy are left out of an averaged mark'
+            },
+            targetCheckDistance: {
+                label: 'Restored target check',
+                type: 'number',
+                default: 200,
+                min: 0,
+                minExclusive: true,
+                step: 50,
+                unit: 'm',
+                description: 'Ask before keeping a restored target farther than this from the first fix'
+            }
+        }
+    },
+    display: {
+        label: 'Display',
+        fields: {
+            displayRange: {
+                label: 'Display range',
+                type: 'enum',
+                default: 5,
+                options: DISPLAY_RANGES.map(range => [range, `±${range} m`]),
+                description: 'Distance from the mark to the compass ring; grid and ring spacing adapt to it'
+            },
+            autoZoom: {
+                label: 'Auto zoom',
+                type: 'boolean',
+                default: false,
+                description: 'Zoom out when the aircraft leaves the compass ring and back in once it settles'
+            },
+            circleCount: {
+                label: 'Circle count',
+                type: 'number',
+                default: 5,
+                min: 0,
+                minExclusive: true,
+                step: 1,
+                description: 'Number of distance rings (the outer one is the compass ring)'
+            },
+            dotSize: {
+                label: 'Position dot size',
+                type: 'number',
+                default: 8,
+                min: 0,
+                minExclusive: true,
+                step: 1,
+                unit: 'px',
+                description: 'Radius of the current position dot'
+            },
+            animationSpeed: {
+                label: 'Animation speed',
+                type: 'number',
+                default: 1.0,
+                min: 0,
+                minExclusive: true,
+                step: 0.1,
+                description: 'Display animation speed multiplier'
+            },
+            showGrid: {
+                label: 'Show grid',
+                type: 'boolean',
+                default: true,
+                description: 'Draw the reference grid'
+            },
+            showCircles: {
+                label: 'Show circles',
+                type: 'boolean',
+                default: true,
+                description: 'Draw the distance rings'
+            },
+            showCoordinates: {
+                label: 'Show coordinates',
+                type: 'boolean',
+                default: true,
+                description: 'Show distance, heading and bearing readouts'
+            },
+            showRawPosition: {
+                label: 'Show raw GPS fix',
+                type: 'boolean',
+                default: false,
+                description: 'Draw the unfiltered GPS fix instead of the smoothed position'
+            },
+            interpolatePosition: {
+                label: 'Glide between fixes',
+                type: 'boolean',
+                default: false,
+                description: 'Move the dot smoothly from fix to fix at the frame rate (lags up to one fix interval)'
+            },
+            showVelocityVector: {
+                label: 'Show velocity vector',
+                type: 'boolean',
+                default: true,
+                description: 'Draw the drift vector and predicted position'
+            },
+            predictionTime: {
+                label: 'Prediction time',
+                type: 'number',
+                default: 3,
+                min: 0,
+                minExclusive: true,
+                step: 0.5,
+                unit: 's',
+                description: 'How far ahead the predicted position marker looks'
+            },
+            trailLength: {
+                label: 'Trail length',
+                type: 'number',
+                default: 30,
+                min: 0,
+                max: 300,
+                step: 5,
+                unit: 's',
+                description: 'Seconds of position history shown as a trail (0 disables)'
+            },
+            headingMode: {
+                label: 'Heading source',
+                type: 'enum',
+                default: 'manual',
+                options: [['manual', 'Manual (drag)'], ['device', 'Device compass'], ['course', 'GPS course']],
+                description: 'What sets the selected heading; device and GPS modes can be locked from the toolbar'
+            },
+            headingSmoothing: {
+                label: 'Heading smoothing',
+                type: 'number',
+                default: 0.8,
+                min: 0,
+                max: 1,
+                maxExclusive: true,
+                step: 0.05,
+                description: 'Smoothing of compass / course heading: 0 = none, towards 1 = heavier'
+            },
+            compassGain: {
+                label: 'Drag gain',
+                type: 'number',
+                default: 1,
+                min: 0,
+                minExclusive: true,
+                step: 0.1,
+                description: 'Heading change per degree swept around the compass (below 1 for finer control)'
+            },
+            compassDetents: {
+                label: 'Cardinal detents',
+                type: 'boolean',
+                default: true,
+                description: 'Make N, E, S and W sticky while dragging the compass'
+            },
+            headingSnap: {
+                label: 'Snap heading to 5°',
+                type: 'boolean',
+                default: false,
+                description: 'Round typed and preset headings to the nearest 5°'
+            },
+            windDirection: {
+                label: 'Wind direction',
+                type: 'number',
+                default: 0,
+                min: 0,
+                max: 360,
+                maxExclusive: true,
+                step: 10,
+                unit: '°',
+                description: 'Direction the wind blows from (true) - used by the "Into wind" heading preset'
+            },
+            northReference: {
+                label: 'Heading / bearing reference',
+                type: 'enum',
+                default: 'true',
+                options: [['true', 'True (T)'], ['magnetic', 'Magnetic (M)']],
+                description: 'Show heading and bearing relative to true or magnetic north'
+            },
+            declinationSource: {
+                label: 'Declination source',
+                type: 'enum',
+                default: 'model',
+                options: [['model', 'World Magnetic Model'], ['manual', 'Manual']],
+                description: 'Compute magnetic variation at the mark from the built-in model, or use the manual value'
+            },
+            magneticDeclination: {
+                label: 'Manual declination',
+                type: 'number',
+                default: 0,
+                min: -180,
+                max: 180,
+                step: 0.5,
+                unit: '°',
+                description: 'Magnetic variation, east positive - used when the declination source is manual'
+            },
+            courseMinSpeed: {
+                label: 'Course min speed',
+                type: 'number',
+                default: 2,
+                min: 0,
+                minExclusive: true,
+                step: 0.5,
+                unit: 'm/s',
+                description: 'GPS course is only used above this ground speed'
+            }
+        }
+    },
+    ui: {
+        label: 'Interface',
+        fields: {
+            theme: {
+                label: 'Theme',
+                type: 'enum',
+                default: 'dark',
+                options: [['dark', 'Night'], ['light', 'Day']],
+                description: 'Night (dark) or day (light) colour scheme'
+            },
+            language: {
+                label: 'Language',
+                type: 'enum',
+                default: 'en',
+                options: [['en', 'English'], ['es', 'Español'], ['fr', 'Français'], ['de', 'Deutsch']],
+                description: 'Language for voice callouts'
+            },
+            vibrationEnabled: {
+                label: 'Vibration',
+                type: 'boolean',
+                default: true,
+                description: 'Vibrate on ring crossings, accuracy degradation and GPS loss'
+            },
+            vibrationAccuracyThreshold: {
+                label: 'Accuracy alert above',
+                type: 'number',
+                default: 10,
+                min: 0,
+                minExclusive: true,
+                step: 1,
+                unit: 'm',
+                description: 'Vibrate when GPS accuracy degrades past this'
+            },
+            soundEnabled: {
+                label: 'Guidance tones',
+                type: 'boolean',
+                default: false,
+                description: 'Play audio guidance tones while hovering'
+            },
+            audioAlertRadius: {
+                label: 'Alert tone radius',
+                type: 'number',
+                default: 4,
+                min: 0,
+                minExclusive: true,
+                step: 0.5,
+                unit: 'm',
+                description: 'Alert tone plays outside this distance'
+            },
+            audioDeadband: {
+                label: 'Silent radius',
+                type: 'number',
+                default: 0.5,
+                min: 0,
+                step: 0.1,
+                unit: 'm',
+                description: 'No guidance tones inside this distance'
+            },
+            audioVolume: {
+                label: 'Volume',
+                type: 'number',
+                control: 'range',
+                default: 0.5,
+                min: 0,
+                max: 1,
+                step: 0.05,
+                description: 'Guidance tone volume'
+            },
+            voiceEnabled: {
+                label: 'Voice callouts',
+                type: 'boolean',
+                default: false,
+                description: 'Speak drift direction and distance'
+            },
+            voiceInterval: {
+                label: 'Callout interval',
+                type: 'number',
+                default: 3,
+                min: 1,
+                step: 1,
+                unit: 's',
+                description: 'Minimum seconds between spoken callouts'
+            },
+            markHold: {
+                label: 'Hold to mark',
+                type: 'boolean',
+                default: false,
+                description: 'Mark Position only fires after a one-second press, so a bump cannot move the target'
+            },
+            keepScreenOn: {
+                label: 'Keep screen on',
+                type: 'boolean',
+                default: true,
+                description: 'Hold a screen wake lock while the app is open'
+            }
+        },
+        rules: [
+            {
+                fields: ['audioDeadband', 'audioAlertRadius'],
+                check: settings => settings.audioDeadband < settings.audioAlertRadius,
+                message: 'audioDeadband must be smaller than audioAlertRadius'
+            }
+        ]
+    },
+    advanced: {
+        label: 'Advanced',
+        fields: {
+            debugMode: {
+                label: 'Debug mode',
+                type: 'boolean',
+                default: false,
+                description: 'Enable debug output'
+            },
+            logLevel: {
+                label: 'Log level',
+                type: 'enum',
+                default: 'info',
+                options: [['debug', 'Debug'], ['info', 'Info'], ['warn', 'Warning'], ['error', 'Error']],
+                description: 'Minimum level of console logging'
+            },
+            coordinateSystem: {
+                label: 'Units',
+                type: 'enum',
+                default: 'metric',
+                options: [['metric', 'Metric'], ['imperial', 'Imperial']],
+                description: 'Unit system for distances'
+            },
+            bearingFormat: {
+                label: 'Bearing format',
+                type: 'enum',
+                default: 'degrees',
+                options: [['degrees', 'Degrees'], ['radians', 'Radians']],
+                description: 'Unit for bearings'
+            },
+            positionSmoothing: {
+                label: 'Position smoothing',
+                type: 'boolean',
+                default: true,
+                description: 'Filter GPS noise before display'
+            },
+            smoothingMethod: {
+                label: 'Smoothing method',
+                type: 'enum',
+                default: 'kalman',
+                options: [['kalman', 'Kalman'], ['exponential', 'Exponential']],
+                description: 'Kalman (weighted by reported accuracy) or exponential smoothing'
+            },
+            smoothingFactor: {
+                label: 'Exponential smoothing',
+                type: 'number',
+                default: 0.1,
+                min: 0,
+                max: 1,
+                maxExclusive: true,
+                step: 0.05,
+                description: 'Exponential smoothing strength: 0 = none, towards 1 = heavier'
+            },
+            kalmanProcessNoise: {
+                label: 'Kalman process noise',
+                type: 'number',
+                default: 0.5,
+                min: 0,
+                minExclusive: true,
+                step: 0.05,
+                unit: 'm/s²',
+                description: 'Kalman acceleration noise (higher = more responsive)'
+            }
+        }
+    }
+};
+
+/**
+ * Migrations keyed by the version they upgrade to. Each receives the stored settings
+ * of the previous version and returns them in the new layout.
+ */
+export const SETTINGS_MIGRATIONS = {
+    // Version 1 had no version tag and accepted a smoothing factor of 1, which freezes the position
+    2: (settings) => {
+        const advanced = settings.advanced;
+        if (advanced && typeof advanced.smoothingFactor === 'number' && advanced.smoothingFactor >= 1) {
+            return { ...settings, advanced: { ...advanced, smoothingFactor: 0.95 } };
+        }
+        return settings;
+    },
+
+    // Version 3 replaced the fixed grid extent (gridSize, gridScale) with selectable display ranges
+    3: (settings) => {
+        if (!settings.display) return settings;
+
+        const { gridSize, gridScale, ...display } = settings.display;
+        if (typeof gridSize === 'number') {
+            display.displayRange = DISPLAY_RANGES.reduce((closest, range) =>
+                Math.abs(range - gridSize) < Math.abs(closest - gridSize) ? range : closest);
+        }
+        return { ...settings, display };
+    }
+};
@@ -6,6 +6,21 @@ export class UIManager {
         this.elements = {};
         this.eventTarget = new EventTarget();
         this.isInitialized = false;
+
+        // Heading entry keypad state
+        this.headingEntry = ''; // Digits typed so far
+        this.headingCurrent = 0; // Heading shown until a digit is typed
+        this.headingReference = 'T';
+
+        this.confirmCallbacks = null; // {onConfirm, onCancel} of the open confirm modal
+
+        // Hold-to-mark
+        this.markHold = false;
+        this.markHoldTime = 1000; // ms
+        this.markHoldTimer = null;
+        this.markSampling = false; // An averaged mark is sampling; the mark button cancels it
+
+        this.gpsQuality = null; // Last GPSQualityMonitor status
     }
 
     /**
@@ -32,9 +47,40 @@ export class UIManager {
         this.elements = {
             // Buttons
             markButton: document.getElementById('mark-button'),
+            resetButton: document.getElementById('reset-button'),
+            remarkButton: document.getElementById('remark-button'),
+            undoMarkButton: document.getElementById('undo-mark-button'),
+            clearTargetButton: document.getElementById('clear-target-button'),
+            closeTargetButton: document.getElementById('close-target'),
+            recordButton: document.getElementById('record-button'),
+            sessionsButton: document.getElementById('sessions-button'),
+            marksButton: document.getElementById('marks-button'),
+            closeMarksButton: document.getElementById('close-marks'),
+            exportMarksButton: document.getElementById('export-marks'),
+            importMarksButton: document.getElementById('import-marks'),
+            closeSessionsButton: document.getElementById('close-sessions'),
+            settingsButton: document.getElementById('settings-button'),
+            headingLockButton: document.getElementById('heading-lock-button'),
+            closeSettingsButton: document.getElementById('close-settings'),
+            exportSettingsButton: document.getElementById('export-settings'),
+            importSettingsButton: document.getElementById('import-settings'),
             grantPermissionButton: document.getElementById('grant-permission'),
             denyPermissionButton: document.getElementById('deny-permission'),
             closeErrorButton: document.getElementById('close-error'),
+            confirmOkButton: document.getElementById('confirm-ok'),
+            confirmCancelButton: document.getElementById('confirm-cancel'),
+            applyHeadingButton: document.getElementById('apply-heading'),
+            cancelHeadingButton: document.getElementById('cancel-heading'),
+            headingPresetWindButton: document.getElementById('heading-preset-wind'),
+            headingPresetTrackButton: document.getElementById('heading-preset-track'),
+
+            // Replay controls
+            replayControls: document.getElementById('replay-controls'),
+            replayPlayButton: document.getElementById('replay-play'),
+            replaySeek: document.getElementById('replay-seek'),
+            replayTime: document.getElementById('replay-time'),
+            replaySpeed: document.getElementById('replay-speed'),
+            replayExitButton: document.getElementById('replay-exit'),
 
             // Status indicators
             gpsStatus: document.getElementById('gps-status'),
@@ -42,10 +88,40 @@ export class UIManager {
 
             // Coordinate displays
             distanceValue: document.getElementById('distance-value'),
+            headingValue: document.getElementById('heading-value'),
             bearingValue: document.getElementById('bearing-value'),
 
+            // Statistics panel
+            statsBody: document.getElementById('stats-body'),
+            statsWindowLabel: document.getElementById('stats-window-label'),
+            timingBody: document.getElementById('timing-body'),
+
             // Modals
             permissionModal: document.getElementById('permission-modal'),
+            targetModal: document.getElementById('target-modal'),
+            targetSummary: document.getElementById('target-summary'),
+            sessionsModal: document.getElementById('sessions-modal'),
+            sessionsList: document.getElementById('sessions-list'),
+            marksModal: document.getElementById('marks-modal'),
+            marksList: document.getElementById('marks-list'),
+            marksMessage: document.getElementById('marks-message'),
+            marksFile: document.getElementById('marks-file'),
+            coordinateForm: document.getElementById('coordinate-form'),
+            coordinateInput: document.getElementById('coordinate-input'),
+            coordinateName: document.getElementById('coordinate-name'),
+            settingsModal: document.getElementById('settings-modal'),
+            settingsForm: document.getElementById('settings-form'),
+            settingsMessage: document.getElementById('settings-message'),
+            settingsFile: document.getElementById('settings-file'),
+            headingModal: document.getElementById('heading-modal'),
+            headingEntry: document.getElementById('heading-entry'),
+            headingMessage: document.getElementById('heading-message'),
+            headingKeypad: document.getElementById('heading-keypad'),
+            headingNudges: document.getElementById('heading-nudges'),
+            headingSnap: document.getElementById('heading-snap'),
+            confirmModal: document.getElementById('confirm-modal'),
+            confirmTitle: document.getElementById('confirm-title'),
+            confirmMessage: document.getElementById('confirm-message'),
             errorModal: document.getElementById('error-modal'),
             errorMessage: document.getElementById('error-message')
         };
@@ -62,9 +138,270 @@ export class UIManager {
      * Setup event listeners
      */
     setupEventListeners() {
-        // Mark button
+        // Mark button - with hold-to-mark a tap does nothing, only a full press marks
         this.elements.markButton.addEventListener('click', () => {
-            this.emit('ui:mark');
+            if (!this.markHold || this.markSampling) {
+                this.emit('ui:mark');
+            }
+        });
+
+        this.elements.markButton.addEventListener('pointerdown', () => {
+            this.startMarkHold();
+        });
+
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+            this.elements.markButton.addEventListener(type, () => {
+                this.cancelMarkHold();
+            });
+        });
+
+        this.elements.markButton.addEventListener('contextmenu', (e) => {
+            e.preventDefault(); // Long-press menu on mobile
+        });
+
+        // Target actions
+        this.elements.resetButton.addEventListener('click', () => {
+            this.emit('ui:target-open');
+        });
+
+        this.elements.remarkButton.addEventListener('click', () => {
+            this.hideTargetModal();
+            this.emit('ui:remark');
+        });
+
+        this.elements.undoMarkButton.addEventListener('click', () => {
+            this.hideTargetModal();
+            this.emit('ui:mark-undo');
+        });
+
+        this.elements.clearTargetButton.addEventListener('click', () => {
+            this.hideTargetModal();
+            this.emit('ui:target-clear');
+        });
+
+        this.elements.closeTargetButton.addEventListener('click', () => {
+            this.hideTargetModal();
+        });
+
+        // Session recording buttons
+        this.elements.recordButton.addEventListener('click', () => {
+            this.emit('ui:record-toggle');
+        });
+
+        this.elements.sessionsButton.addEventListener('click', () => {
+            this.emit('ui:sessions-open');
+        });
+
+        this.elements.closeSessionsButton.addEventListener('click', () => {
+            this.hideSessionsModal();
+        });
+
+        // Session list actions (delegated, list is re-rendered on every open)
+        this.elements.sessionsList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const sessionId = Number(button.dataset.sessionId);
+            if (button.dataset.action === 'export') {
+                this.emit('ui:session-export', { sessionId, format: button.dataset.format });
+            } else if (button.dataset.action === 'replay') {
+                this.hideSessionsModal();
+                this.emit('ui:replay-start', { sessionId });
+            } else if (button.dataset.action === 'delete') {
+                this.emit('ui:session-delete', { sessionId });
+            }
+        });
+
+        // Marks list
+        this.elements.marksButton.addEventListener('click', () => {
+            this.emit('ui:marks-open');
+        });
+
+        this.elements.closeMarksButton.addEventListener('click', () => {
+            this.hideMarksModal();
+        });
+
+        this.elements.marksList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const markId = Number(button.dataset.markId);
+            if (button.dataset.action === 'activate') {
+                this.emit('ui:mark-activate', { markId });
+            } else if (button.dataset.action === 'delete') {
+                this.emit('ui:mark-delete', { markId });
+            }
+        });
+
+        this.elements.marksList.addEventListener('change', (e) => {
+            const input = e.target.closest('input[data-mark-id]');
+            if (input) {
+                this.emit('ui:mark-rename', { markId: Number(input.dataset.markId), name: input.value });
+            }
+        });
+
+        this.elements.coordinateForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.emit('ui:coordinate-entry', {
+                text: this.elements.coordinateInput.value,
+                name: this.elements.coordinateName.value.trim() || null
+            });
+        });
+
+        this.elements.coordinateInput.addEventListener('input', () => {
+            this.elements.coordinateInput.classList.remove('invalid');
+        });
+
+        this.elements.exportMarksButton.addEventListener('click', () => {
+            this.emit('ui:marks-export');
+        });
+
+        this.elements.importMarksButton.addEventListener('click', () => {
+            this.elements.marksFile.click();
+        });
+
+        this.elements.marksFile.addEventListener('change', async () => {
+            const file = this.elements.marksFile.files[0];
+            this.elements.marksFile.value = '';
+            if (!file) return;
+
+            try {
+                this.emit('ui:marks-import', { text: await file.text() });
+            } catch (error) {
+                this.showMarksMessage(`Could not read ${file.name}`, true);
+            }
+        });
+
+        // Heading lock (device compass / GPS course modes)
+        this.elements.headingLockButton.addEventListener('click', () => {
+            this.emit('ui:heading-lock-toggle');
+        });
+
+        // Heading entry - tap the HDG readout
+        this.elements.headingValue.addEventListener('click', () => {
+            this.emit('ui:heading-entry-open');
+        });
+
+        this.elements.headingValue.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.emit('ui:heading-entry-open');
+            }
+        });
+
+        this.elements.headingKeypad.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-key]');
+            if (button) {
+                this.pressHeadingKey(button.dataset.key);
+            }
+        });
+
+        this.elements.headingNudges.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-nudge]');
+            if (button) {
+                this.emit('ui:heading-nudge', { delta: Number(button.dataset.nudge) });
+            }
+        });
+
+        this.elements.headingPresetWindButton.addEventListener('click', () => {
+            this.emit('ui:heading-preset', { preset: 'wind' });
+        });
+
+        this.elements.headingPresetTrackButton.addEventListener('click', () => {
+            this.emit('ui:heading-preset', { preset: 'track' });
+        });
+
+        this.elements.headingSnap.addEventListener('change', () => {
+            this.emit('ui:setting-change', { category: 'display', key: 'headingSnap', value: this.elements.headingSnap.checked });
+        });
+
+        this.elements.applyHeadingButton.addEventListener('click', () => {
+            this.submitHeadingEntry();
+        });
+
+        this.elements.cancelHeadingButton.addEventListener('click', () => {
+            this.hideHeadingModal();
+        });
+
+        // Physical keyboard on the heading keypad
+        document.addEventListener('keydown', (e) => {
+            if (this.elements.headingModal.classList.contains('hidden')) return;
+
+            if (/^[0-9]$/.test(e.key)) {
+                this.pressHeadingKey(e.key);
+            } else if (e.key === 'Backspace') {
+                this.pressHeadingKey('back');
+            } else if (e.key === 'Enter') {
+                this.submitHeadingEntry();
+            } else if (e.key === 'Escape') {
+                this.hideHeadingModal();
+            } else {
+                return;
+            }
+            e.preventDefault();
+        });
+
+        // Settings panel
+        this.elements.settingsButton.addEventListener('click', () => {
+            this.emit('ui:settings-open');
+        });
+
+        this.elements.closeSettingsButton.addEventListener('click', () => {
+            this.hideSettingsModal();
+        });
+
+        this.elements.settingsForm.addEventListener('change', (e) => {
+            const input = e.target.closest('[data-setting]');
+            if (!input) return;
+
+            const { category, setting } = input.dataset;
+            this.clearSettingError(category, setting);
+            this.emit('ui:setting-change', { category, key: setting, value: this.readSettingControl(input) });
+        });
+
+        this.elements.settingsForm.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-reset-category]');
+            if (!button) return;
+
+            e.preventDefault();
+            this.emit('ui:settings-reset', { category: button.dataset.resetCategory });
+        });
+
+        this.elements.exportSettingsButton.addEventListener('click', () => {
+            this.emit('ui:settings-export');
+        });
+
+        this.elements.importSettingsButton.addEventListener('click', () => {
+            this.elements.settingsFile.click();
+        });
+
+        this.elements.settingsFile.addEventListener('change', async () => {
+            const file = this.elements.settingsFile.files[0];
+            this.elements.settingsFile.value = '';
+            if (!file) return;
+
+            try {
+                this.emit('ui:settings-import', { json: await file.text() });
+            } catch (error) {
+                this.showSettingsMessage(`Could not read ${file.name}`, true);
+            }
+        });
+
+        // Replay controls
+        this.elements.replayPlayButton.addEventListener('click', () => {
+            this.emit('ui:replay-toggle');
+        });
+
+        this.elements.replaySeek.addEventListener('input', () => {
+            this.emit('ui:replay-seek', { fraction: Number(this.elements.replaySeek.value) / 1000 });
+        });
+
+        this.elements.replaySpeed.addEventListener('change', () => {
+            this.emit('ui:replay-speed', { speed: Number(this.elements.replaySpeed.value) });
+        });
+
+        this.elements.replayExitButton.addEventListener('click', () => {
+            this.emit('ui:replay-exit');
         });
 
         // Permission modal buttons
@@ -78,6 +415,15 @@ export class UIManager {
             this.emit('ui:permission-denied');
         });
 
+        // Confirm modal buttons - callbacks run inside the tap so they may request permissions
+        this.elements.confirmOkButton.addEventListener('click', () => {
+            this.closeConfirm(true);
+        });
+
+        this.elements.confirmCancelButton.addEventListener('click', () => {
+            this.closeConfirm(false);
+        });
+
         // Error modal button
         this.elements.closeErrorButton.addEventListener('click', () => {
             this.hideErrorModal();
@@ -118,15 +464,15 @@ export class UIManager {
         const accuracyElement = this.elements.accuracyStatus;
 
         // Remove existing status classes
-        statusElement.classList.remove('connected', 'error');
+        statusElement.classList.remove('connected', 'error', 'replay', 'stale', 'degraded', 'jump');
         accuracyElement.classList.remove('connected', 'error', 'accuracy-excellent', 'accuracy-good', 'accuracy-poor');
 
         switch (status) {
             case 'connected':
-                statusElement.textContent = 'GPS: Connected';
                 statusElement.classList.add('connected');
+                this.renderGPSQuality();
                 if (accuracy !== null) {
-                    accuracyElement.textContent = `Accuracy: ${Math.round(accuracy)}m`;
+                    accuracyElement.textContent = `Accuracy: ${Math.round(accuracy)}m${this.getAccuracyTrendArrow()}`;
                     accuracyElement.classList.remove('error');
                     accuracyElement.classList.add('connected');
                     // Add accuracy-based color class
@@ -134,6 +480,15 @@ export class UIManager {
                 }
                 break;
 
+            case 'replay':
+                statusElement.textContent = 'GPS: Replay';
+                statusElement.classList.add('replay');
+                if (accuracy !== null) {
+                    accuracyElement.textContent = `Accuracy: ${Math.round(accuracy)}m`;
+                    accuracyElement.classList.add(this.getAccuracyColorClass(accuracy));
+                }
+                break;
+
             case 'disconnected':
                 statusElement.textContent = 'GPS: Disconnected';
                 accuracyElement.textContent = 'Accuracy: --';
@@ -148,12 +503,62 @@ export class UIManager {
         }
     }
 
+    /**
+     * Show the live fix quality in the status bar
+     * @param {Object} quality - Status from GPSQualityMonitor {state, updateRate, fixAge, accuracyTrend, jumpDistance}
+     */
+    setGPSQuality(quality) {
+        this.gpsQuality = quality;
+
+        // Stale fixes stop position updates, so refresh the status here rather than waiting for one
+        if (this.elements.gpsStatus.classList.contains('connected')) {
+            this.renderGPSQuality();
+        }
+    }
+
+    /**
+     * Render the GPS status text and warning class for the current quality
+     */
+    renderGPSQuality() {
+        const statusElement = this.elements.gpsStatus;
+        const quality = this.gpsQuality;
+        const labels = { stale: 'Stale', degraded: 'Degraded', jump: 'Jump' };
+
+        statusElement.classList.remove('stale', 'degraded', 'jump');
+        statusElement.title = quality?.updateRate ? `${quality.updateRate.toFixed(1)} fixes/s` : '';
+
+        const state = quality?.state;
+        if (!labels[state]) {
+            statusElement.textContent = 'GPS: Connected';
+            return;
+        }
+
+        let text = `GPS: ${labels[state]}`;
+        if (state === 'stale' && quality.fixAge !== null) {
+            text += ` ${Math.round(quality.fixAge / 1000)}s`;
+        } else if (state === 'jump' && quality.jumpDistance !== null) {
+            text += ` ${Math.round(quality.jumpDistance)}m`;
+        }
+        statusElement.textContent = text;
+        statusElement.classList.add(state);
+    }
+
+    /**
+     * Arrow after the accuracy when it is trending (up = getting worse)
+     */
+    getAccuracyTrendArrow() {
+        const trend = this.gpsQuality?.accuracyTrend;
+        if (trend === 'worsening') return ' ↑';
+        if (trend === 'improving') return ' ↓';
+        return '';
+    }
+
     /**
      * Update coordinate display
      */
-    updateCoordinates(distance, bearing) {
+    updateCoordinates(distance, bearing, reference = 'T') {
         this.elements.distanceValue.textContent = `${distance.toFixed(2)}m`;
-        this.elements.bearingValue.textContent = `${Math.round(bearing)}°`;
+        this.elements.bearingValue.textContent = `${Math.round(bearing) % 360}°${reference}`;
     }
 
     /**
@@ -164,6 +569,75 @@ export class UIManager {
         this.elements.bearingValue.textContent = '--';
     }
 
+    /**
+     * Update hover statistics panel
+     * @param {Object} rolling - Rolling window stats from HoverStatistics
+     * @param {Object} session - Whole-session stats from HoverStatistics
+     * @param {number} windowSeconds - Rolling window length for the column label
+     */
+    updateStatistics(rolling, session, windowSeconds) {
+        const meters = (value) => value === null ? '--' : `${value.toFixed(2)}m`;
+        const percent = (value) => value === null ? '--' : `${Math.round(value)}%`;
+
+        const rows = [
+            ['CEP50', meters(rolling.cep50), meters(session.cep50)],
+            ['CEP95', meters(rolling.cep95), meters(session.cep95)],
+            ['RMS', meters(rolling.rms), meters(session.rms)],
+            ['Max', meters(rolling.maxExcursion), meters(session.maxExcursion)],
+            ...rolling.rings.map((ring, index) => [
+                `In ${ring.radius}m`,
+                percent(ring.percent),
+                percent(session.rings[index]?.percent ?? null)
+            ]),
+            ['Long mean', meters(rolling.longitudinal.mean), meters(session.longitudinal.mean)],
+            ['Long RMS', meters(rolling.longitudinal.rms), meters(session.longitudinal.rms)],
+            ['Lat mean', meters(rolling.lateral.mean), meters(session.lateral.mean)],
+            ['Lat RMS', meters(rolling.lateral.rms), meters(session.lateral.rms)]
+        ];
+
+        this.elements.statsWindowLabel.textContent = `Last ${windowSeconds}s`;
+        this.elements.statsBody.innerHTML = '';
+        rows.forEach(cells => {
+            const row = document.createElement('tr');
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            this.elements.statsBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Update the GPS timing panel
+     * @param {Object} timing - Timing statistics from GPSManager.getTimingStats()
+     */
+    updateTimingStats(timing) {
+        const milliseconds = (value) => `${Math.round(value)} ms`;
+        const range = (summary) => summary === null ? '--' :
+            `${milliseconds(summary.mean)} (${Math.round(summary.min)}–${Math.round(summary.max)})`;
+        const total = timing.forwarded + timing.dropped;
+
+        const rows = [
+            ['Update interval', milliseconds(timing.targetInterval)],
+            ['Fix interval', range(timing.interval)],
+            ['Jitter', timing.interval === null ? '--' : milliseconds(timing.interval.jitter)],
+            ['Latency', range(timing.latency)],
+            ['Fixes used', total === 0 ? '--' : `${timing.forwarded} of ${total}`]
+        ];
+
+        this.elements.timingBody.innerHTML = '';
+        rows.forEach(cells => {
+            const row = document.createElement('tr');
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            this.elements.timingBody.appendChild(row);
+        });
+    }
+
     /**
      * Enable mark button
      */
@@ -178,6 +652,583 @@ export class UIManager {
         this.elements.markButton.disabled = true;
     }
 
+    /**
+     * Require a long press on the mark button
+     */
+    setMarkHold(enabled) {
+        this.markHold = enabled;
+        this.cancelMarkHold();
+        this.updateMarkButtonText();
+    }
+
+    /**
+     * Turn the mark button into a cancel button while an averaged mark is sampling
+     */
+    setMarkSampling(isSampling) {
+        this.markSampling = isSampling;
+        this.cancelMarkHold();
+        this.updateMarkButtonText();
+    }
+
+    /**
+     * Label the mark button for its current behaviour
+     */
+    updateMarkButtonText() {
+        let text = this.markHold ? 'Hold to Mark' : 'Mark Position';
+        if (this.markSampling) {
+            text = 'Cancel Averaging';
+        }
+        this.updateButtonText('markButton', text);
+    }
+
+    /**
+     * Start timing a press on the mark button
+     */
+    startMarkHold() {
+        if (!this.markHold || this.markSampling || this.elements.markButton.disabled) return;
+
+        this.cancelMarkHold();
+        this.elements.markButton.classList.add('holding');
+        this.markHoldTimer = setTimeout(() => {
+            this.markHoldTimer = null;
+            this.elements.markButton.classList.remove('holding');
+            this.emit('ui:mark');
+        }, this.markHoldTime);
+    }
+
+    /**
+     * Abandon a press released too early
+     */
+    cancelMarkHold() {
+        if (this.markHoldTimer) {
+            clearTimeout(this.markHoldTimer);
+            this.markHoldTimer = null;
+        }
+        this.elements.markButton.classList.remove('holding');
+    }
+
+    /**
+     * Show the target actions (re-mark, undo, clear)
+     * @param {Object} options - {targetName, canRemark, canUndo, canClear}
+     */
+    showTargetActions({ targetName, canRemark, canUndo, canClear }) {
+        this.elements.targetSummary.textContent = targetName ? `Hovering on ${targetName}` : 'No target set';
+        this.elements.remarkButton.disabled = !canRemark;
+        this.elements.undoMarkButton.disabled = !canUndo;
+        this.elements.clearTargetButton.disabled = !canClear;
+        this.elements.targetModal.classList.remove('hidden');
+    }
+
+    /**
+     * Hide target actions modal
+     */
+    hideTargetModal() {
+        this.elements.targetModal.classList.add('hidden');
+    }
+
+    /**
+     * Update record button for recording state
+     */
+    setRecordingState(isRecording) {
+        this.elements.recordButton.classList.toggle('recording', isRecording);
+        this.updateButtonText('recordButton', isRecording ? 'Stop' : 'Record');
+    }
+
+    /**
+     * Show the heading lock button while the heading follows a source
+     * @param {boolean} isActive - Heading follows the device compass or GPS course
+     * @param {boolean} isLocked - Heading is held at its current value
+     */
+    setHeadingLockState(isActive, isLocked) {
+        const button = this.elements.headingLockButton;
+        button.classList.toggle('hidden', !isActive);
+        button.classList.toggle('locked', isLocked);
+        button.title = isLocked ? 'Unlock heading' : 'Lock heading';
+        button.querySelector('.button-icon').textContent = isLocked ? '🔒' : '🔓';
+    }
+
+    /**
+     * Show sessions modal with the given session list
+     * @param {Array} sessions - Session records from SessionStore
+     */
+    showSessions(sessions) {
+        this.renderSessionList(sessions);
+        this.elements.sessionsModal.classList.remove('hidden');
+    }
+
+    /**
+     * Render session list entries
+     */
+    renderSessionList(sessions) {
+        const list = this.elements.sessionsList;
+        list.innerHTML = '';
+
+        if (sessions.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'sessions-empty';
+            empty.textContent = 'No recorded sessions';
+            list.appendChild(empty);
+            return;
+        }
+
+        sessions.forEach(session => {
+            const item = document.createElement('li');
+            item.className = 'session-item';
+
+            const name = document.createElement('span');
+            name.className = 'session-name';
+            name.textContent = session.name;
+
+            const meta = document.createElement('span');
+            meta.className = 'session-meta';
+            const duration = session.endTime ? Math.round((session.endTime - session.startTime) / 1000) : null;
+            meta.textContent = duration !== null ?
+                `${session.fixCount} fixes · ${duration}s` :
+                'In progress or interrupted';
+
+            const actions = document.createElement('div');
+            actions.className = 'session-actions';
+            actions.appendChild(this.createSessionButton('Replay', session.id, 'replay'));
+            [['gpx', 'GPX'], ['csv', 'CSV'], ['geojson', 'GeoJSON']].forEach(([format, label]) => {
+                actions.appendChild(this.createSessionButton(label, session.id, 'export', format));
+            });
+            const deleteButton = this.createSessionButton('Delete', session.id, 'delete');
+            deleteButton.classList.add('session-delete');
+            actions.appendChild(deleteButton);
+
+            item.append(name, meta, actions);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Create an action button for a session list entry
+     */
+    createSessionButton(label, sessionId, action, format = null) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.dataset.action = action;
+        button.dataset.sessionId = sessionId;
+        if (format) {
+            button.dataset.format = format;
+        }
+        return button;
+    }
+
+    /**
+     * Hide sessions modal
+     */
+    hideSessionsModal() {
+        this.elements.sessionsModal.classList.add('hidden');
+    }
+
+    /**
+     * Show marks modal with the given mark list
+     * @param {Array} marks - Marks, each with a distance (meters from the current fix, or null)
+     * @param {number|null} activeId - Id of the active hover target
+     */
+    showMarks(marks, activeId) {
+        this.renderMarkList(marks, activeId);
+        this.showMarksMessage('');
+        this.elements.marksModal.classList.remove('hidden');
+    }
+
+    /**
+     * Check if the marks modal is open
+     */
+    isMarksModalOpen() {
+        return !this.elements.marksModal.classList.contains('hidden');
+    }
+
+    /**
+     * Render mark list entries
+     */
+    renderMarkList(marks, activeId) {
+        const list = this.elements.marksList;
+        list.innerHTML = '';
+
+        if (marks.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'sessions-empty';
+            empty.textContent = 'No marks - press Mark Position or import a GPX file';
+            list.appendChild(empty);
+            return;
+        }
+
+        marks.forEach(mark => {
+            const isActive = mark.id === activeId;
+            const item = document.createElement('li');
+            item.className = 'session-item mark-item';
+            item.classList.toggle('active', isActive);
+
+            const name = document.createElement('input');
+            name.className = 'mark-name';
+            name.type = 'text';
+            name.value = mark.name;
+            name.dataset.markId = mark.id;
+
+            const meta = document.createElement('span');
+            meta.className = 'session-meta';
+            const parts = [`${mark.latitude.toFixed(6)}, ${mark.longitude.toFixed(6)}`];
+            if (mark.samples) {
+                parts.push(`±${mark.accuracy.toFixed(1)} m from ${mark.samples} fixes`);
+            }
+            if (mark.distance !== null) {
+                parts.push(this.formatMarkDistance(mark.distance));
+            }
+            meta.textContent = parts.join(' · ');
+
+            const actions = document.createElement('div');
+            actions.className = 'session-actions';
+            const activateButton = this.createMarkButton(isActive ? 'Active' : 'Hover here', mark.id, 'activate');
+            activateButton.disabled = isActive;
+            actions.appendChild(activateButton);
+            const deleteButton = this.createMarkButton('Delete', mark.id, 'delete');
+            deleteButton.classList.add('session-delete');
+            actions.appendChild(deleteButton);
+
+            item.append(name, meta, actions);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Format a distance for the mark list
+     */
+    formatMarkDistance(distance) {
+        return distance < 1000 ? `${Math.round(distance)} m away` : `${(distance / 1000).toFixed(1)} km away`;
+    }
+
+    /**
+     * Create an action button for a mark list entry
+     */
+    createMarkButton(label, markId, action) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.dataset.action = action;
+        button.dataset.markId = markId;
+        return button;
+    }
+
+    /**
+     * Mark the typed coordinate as rejected, or clear the form once it was accepted
+     */
+    setCoordinateEntryResult(isValid) {
+        this.elements.coordinateInput.classList.toggle('invalid', !isValid);
+        if (isValid) {
+            this.elements.coordinateInput.value = '';
+            this.elements.coordinateName.value = '';
+        }
+    }
+
+    /**
+     * Show a status line under the mark list (import/export results)
+     */
+    showMarksMessage(message, isError = false) {
+        this.elements.marksMessage.textContent = message;
+        this.elements.marksMessage.classList.toggle('error', isError);
+    }
+
+    /**
+     * Hide marks modal
+     */
+    hideMarksModal() {
+        this.elements.marksModal.classList.add('hidden');
+    }
+
+    /**
+     * Show settings modal with a form generated from the settings schema
+     * @param {Object} schema - Settings schema from SettingsManager
+     * @param {Object} settings - Current settings for every category
+     */
+    showSettings(schema, settings) {
+        this.renderSettingsForm(schema, settings);
+        this.showSettingsMessage('');
+        this.elements.settingsModal.classList.remove('hidden');
+    }
+
+    /**
+     * Render one fieldset per settings category
+     */
+    renderSettingsForm(schema, settings) {
+        const form = this.elements.settingsForm;
+        form.innerHTML = '';
+
+        for (const [category, section] of Object.entries(schema)) {
+            const fieldset = document.createElement('fieldset');
+            fieldset.className = 'settings-category';
+
+            const legend = document.createElement('legend');
+            legend.textContent = section.label;
+
+            const resetButton = document.createElement('button');
+            resetButton.type = 'button';
+            resetButton.className = 'settings-reset';
+            resetButton.textContent = 'Reset';
+            resetButton.dataset.resetCategory = category;
+            legend.appendChild(resetButton);
+            fieldset.appendChild(legend);
+
+            for (const [key, field] of Object.entries(section.fields)) {
+                fieldset.appendChild(this.createSettingRow(category, key, field, settings[category]?.[key]));
+            }
+
+            form.appendChild(fieldset);
+        }
+    }
+
+    /**
+     * Create a labelled control for a single setting
+     */
+    createSettingRow(category, key, field, value) {
+        const row = document.createElement('label');
+        row.className = 'setting-row';
+        if (field.description) {
+            row.title = field.description;
+        }
+
+        const label = document.createElement('span');
+        label.className = 'setting-label';
+        label.textContent = field.unit ? `${field.label} (${field.unit})` : field.label;
+
+        let control;
+        if (field.type === 'boolean') {
+            control = document.createElement('input');
+            control.type = 'checkbox';
+        } else if (field.type === 'enum') {
+            control = document.createElement('select');
+            // Option values are strings in the DOM - remember to convert numeric enums back
+            if (typeof field.options[0][0] === 'number') {
+                control.dataset.numeric = 'true';
+            }
+            field.options.forEach(([optionValue, optionLabel]) => {
+                const option = document.createElement('option');
+                option.value = optionValue;
+                option.textContent = optionLabel;
+                control.appendChild(option);
+            });
+        } else {
+            control = document.createElement('input');
+            control.type = field.control === 'range' ? 'range' : 'number';
+            ['min', 'max', 'step'].forEach(attribute => {
+                if (field[attribute] !== undefined) {
+                    control[attribute] = field[attribute];
+                }
+            });
+        }
+
+        control.className = 'setting-control';
+        control.dataset.category = category;
+        control.dataset.setting = key;
+        control.dataset.type = field.type;
+        this.writeSettingControl(control, value);
+
+        const error = document.createElement('span');
+        error.className = 'setting-error';
+
+        row.append(label, control, error);
+        return row;
+    }
+
+    /**
+     * Read a typed value from a settings control
+     */
+    readSettingControl(control) {
+        if (control.dataset.type === 'boolean') {
+            return control.checked;
+        }
+        if (control.dataset.type === 'number') {
+            // Empty input becomes NaN and is rejected by validation
+            return control.value === '' ? NaN : Number(control.value);
+        }
+        return control.dataset.numeric ? Number(control.value) : control.value;
+    }
+
+    /**
+     * Write a value into a settings control
+     */
+    writeSettingControl(control, value) {
+        if (control.dataset.type === 'boolean') {
+            control.checked = Boolean(value);
+        } else {
+            control.value = value ?? '';
+        }
+    }
+
+    /**
+     * Refresh control values (e.g. after a reset, import or rejected change)
+     * @param {Object} settings - Settings for every category
+     */
+    updateSettingsForm(settings) {
+        this.elements.settingsForm.querySelectorAll('[data-setting]').forEach(control => {
+            const { category, setting } = control.dataset;
+            this.writeSettingControl(control, settings[category]?.[setting]);
+            this.clearSettingError(category, setting);
+        });
+    }
+
+    /**
+     * Get the control for a setting
+     */
+    getSettingControl(category, key) {
+        return this.elements.settingsForm.querySelector(`[data-category="${category}"][data-setting="${key}"]`);
+    }
+
+    /**
+     * Show a validation error next to a setting
+     */
+    showSettingError(category, key, message) {
+        const control = this.getSettingControl(category, key);
+        if (!control) return;
+
+        control.classList.add('invalid');
+        control.parentNode.querySelector('.setting-error').textContent = message;
+    }
+
+    /**
+     * Clear a setting's validation error
+     */
+    clearSettingError(category, key) {
+        const control = this.getSettingControl(category, key);
+        if (!control) return;
+
+        control.classList.remove('invalid');
+        control.parentNode.querySelector('.setting-error').textContent = '';
+    }
+
+    /**
+     * Show a status line under the settings form (import/export results)
+     */
+    showSettingsMessage(message, isError = false) {
+        this.elements.settingsMessage.textContent = message;
+        this.elements.settingsMessage.classList.toggle('error', isError);
+    }
+
+    /**
+     * Hide settings modal
+     */
+    hideSettingsModal() {
+        this.elements.settingsModal.classList.add('hidden');
+    }
+
+    /**
+     * Show the heading entry keypad
+     * @param {number} heading - Current heading in the displayed reference
+     * @param {string} reference - 'T' or 'M'
+     * @param {boolean} snap - Snap to nearest 5° is enabled
+     */
+    showHeadingEntry(heading, reference, snap) {
+        this.headingReference = reference;
+        this.elements.headingSnap.checked = snap;
+        this.setHeadingEntryValue(heading);
+        this.elements.headingModal.classList.remove('hidden');
+    }
+
+    /**
+     * Show a heading in the entry readout, discarding typed digits
+     */
+    setHeadingEntryValue(heading) {
+        this.headingCurrent = heading;
+        this.headingEntry = '';
+        this.showHeadingMessage('');
+        this.renderHeadingEntry();
+    }
+
+    /**
+     * Render typed digits, or the current heading while nothing is typed
+     */
+    renderHeadingEntry() {
+        const text = this.headingEntry || String(Math.round(this.headingCurrent) % 360).padStart(3, '0');
+        this.elements.headingEntry.textContent = `${text}°${this.headingReference}`;
+        this.elements.headingEntry.classList.toggle('pending', this.headingEntry !== '');
+    }
+
+    /**
+     * Handle a keypad key: a digit, 'back' or 'clear'
+     */
+    pressHeadingKey(key) {
+        if (key === 'back') {
+            this.headingEntry = this.headingEntry.slice(0, -1);
+        } else if (key === 'clear') {
+            this.headingEntry = '';
+        } else if (this.headingEntry.length < 3) {
+            this.headingEntry += key;
+        }
+
+        this.showHeadingMessage('');
+        this.renderHeadingEntry();
+    }
+
+    /**
+     * Emit the typed heading, or just close when nothing was typed
+     */
+    submitHeadingEntry() {
+        if (this.headingEntry === '') {
+            this.hideHeadingModal();
+            return;
+        }
+
+        const heading = Number(this.headingEntry);
+        if (heading > 360) {
+            this.showHeadingMessage('Enter a heading from 0 to 360', true);
+            return;
+        }
+
+        this.emit('ui:heading-set', { heading: heading % 360 });
+    }
+
+    /**
+     * Show a status line under the heading readout
+     */
+    showHeadingMessage(message, isError = false) {
+        this.elements.headingMessage.textContent = message;
+        this.elements.headingMessage.classList.toggle('error', isError);
+    }
+
+    /**
+     * Hide heading entry modal
+     */
+    hideHeadingModal() {
+        this.elements.headingModal.classList.add('hidden');
+    }
+
+    /**
+     * Show replay control bar
+     */
+    showReplayControls() {
+        this.elements.replaySeek.value = 0;
+        this.elements.replaySpeed.value = '1';
+        this.elements.replayControls.classList.remove('hidden');
+    }
+
+    /**
+     * Hide replay control bar
+     */
+    hideReplayControls() {
+        this.elements.replayControls.classList.add('hidden');
+    }
+
+    /**
+     * Update replay progress display
+     * @param {Object} progress - {elapsed, duration, isPlaying} with times in ms
+     */
+    updateReplayProgress(progress) {
+        const { elapsed, duration, isPlaying } = progress;
+        this.elements.replayPlayButton.textContent = isPlaying ? '⏸' : '▶';
+        this.elements.replaySeek.value = duration > 0 ? Math.round(elapsed / duration * 1000) : 0;
+        this.elements.replayTime.textContent = `${this.formatDuration(elapsed)} / ${this.formatDuration(duration)}`;
+    }
+
+    /**
+     * Format milliseconds as m:ss
+     */
+    formatDuration(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
+    }
+
     /**
      * Show permission modal
      */
@@ -192,6 +1243,33 @@ export class UIManager {
         this.elements.permissionModal.classList.add('hidden');
     }
 
+    /**
+     * Ask the user to confirm or cancel
+     * @param {Object} options - {title, message, confirmLabel, cancelLabel, onConfirm, onCancel}
+     */
+    showConfirm({ title, message, confirmLabel = 'OK', cancelLabel = 'Cancel', onConfirm = null, onCancel = null }) {
+        this.elements.confirmTitle.textContent = title;
+        this.elements.confirmMessage.textContent = message;
+        this.elements.confirmOkButton.textContent = confirmLabel;
+        this.elements.confirmCancelButton.textContent = cancelLabel;
+        this.confirmCallbacks = { onConfirm, onCancel };
+        this.elements.confirmModal.classList.remove('hidden');
+    }
+
+    /**
+     * Close the confirm modal and run the chosen callback
+     */
+    closeConfirm(confirmed) {
+        const callbacks = this.confirmCallbacks;
+        this.confirmCallbacks = null;
+        this.elements.confirmModal.classList.add('hidden');
+
+        const callback = confirmed ? callbacks?.onConfirm : callbacks?.onCancel;
+        if (callback) {
+            callback();
+        }
+    }
+
     /**
      * Show error modal
      */
@@ -313,6 +1391,8 @@ export class UIManager {
      * Cleanup resources
      */
     destroy() {
+        this.cancelMarkHold();
+
         // Remove all event listeners
         Object.values(this.elements).forEach(element => {
             if (element && element.removeEventListener) {
@@ -0,0 +1,206 @@
+/**
+ * VoiceCallouts - Spoken drift direction and distance via the browser's speech synthesis
+ * Callouts are relative to the selected heading and spoken only when the rounded state changes.
+ */
+import { gpsToLocalCoordinates, toHeadingFrame } from './GeoUtils.js';
+
+/**
+ * Callout vocabulary per ui.language
+ */
+const PHRASES = {
+    en: {
+        locale: 'en-US',
+        forward: 'forward', back: 'back', left: 'left', right: 'right',
+        onTarget: 'on target',
+        format: (direction, meters) => `drifting ${direction}, ${meters} ${meters === 1 ? 'metre' : 'metres'}`
+    },
+    es: {
+        locale: 'es-ES',
+        forward: 'adelante', back: 'atrás', left: 'izquierda', right: 'derecha',
+        onTarget: 'en posición',
+        format: (direction, meters) => `${direction}, ${meters} ${meters === 1 ? 'metro' : 'metros'}`
+    },
+    fr: {
+        locale: 'fr-FR',
+        forward: 'avant', back: 'arrière', left: 'gauche', right: 'droite',
+        onTarget: 'en position',
+        format: (direction, meters) => `${direction}, ${meters} ${meters === 1 ? 'mètre' : 'mètres'}`
+    },
+    de: {
+        locale: 'de-DE',
+        forward: 'vorne', back: 'hinten', left: 'links', right: 'rechts',
+        onTarget: 'auf Position',
+        format: (direction, meters) => `${direction}, ${meters} Meter`
+    }
+};
+
+export class VoiceCallouts {
+    constructor(settings = {}) {
+        this.settings = {
+            voiceEnabled: false,
+            voiceInterval: 3, // Minimum seconds between callouts
+            language: 'en',
+            ...settings
+        };
+
+        // Inside this radius the aircraft is called "on target"
+        this.onTargetRadius = 0.5;
+        // A secondary axis smaller than this share of the main axis is not mentioned
+        this.secondaryAxisRatio = 0.5;
+
+        this.lastCallout = null; // Key of the last spoken state
+        this.lastSpokenAt = 0;
+        this.voice = null;
+
+        this.selectVoice = this.selectVoice.bind(this);
+    }
+
+    /**
+     * Check if speech synthesis is available
+     */
+    isSupported() {
+        return typeof window !== 'undefined' && 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+    }
+
+    /**
+     * Pick a voice once the browser has loaded its voice list
+     */
+    init() {
+        if (!this.isSupported()) {
+            console.warn('Speech synthesis not supported - voice callouts disabled');
+            return;
+        }
+
+        this.selectVoice();
+        window.speechSynthesis.addEventListener('voiceschanged', this.selectVoice);
+    }
+
+    /**
+     * Choose a voice for the configured language, preferring on-device (offline) voices
+     */
+    selectVoice() {
+        const locale = this.getPhrases().locale;
+        const language = locale.split('-')[0];
+        const candidates = window.speechSynthesis.getVoices().filter(voice => voice.lang.startsWith(language));
+
+        this.voice = candidates.find(voice => voice.localService && voice.lang === locale) ||
+            candidates.find(voice => voice.localService) ||
+            candidates[0] ||
+            null;
+    }
+
+    /**
+     * Phrase table for the configured language (English fallback)
+     */
+    getPhrases() {
+        return PHRASES[this.settings.language] || PHRASES.en;
+    }
+
+    /**
+     * Update callouts from the latest fix
+     * @param {Object} markedPosition - Hover target
+     * @param {Object} position - Current fix
+     * @param {number} selectedHeading - Selected heading in degrees
+     */
+    update(markedPosition, position, selectedHeading) {
+        if (!this.settings.voiceEnabled || !this.isSupported() || !markedPosition || !position) return;
+
+        const offset = gpsToLocalCoordinates(markedPosition, position);
+        const { longitudinal, lateral } = toHeadingFrame(offset.x, offset.y, selectedHeading);
+        const callout = this.buildCallout(longitudinal, lateral);
+
+        // Speak only on meaningful changes, and never more often than the configured interval
+        const now = Date.now();
+        if (callout.key === this.lastCallout || now - this.lastSpokenAt < this.settings.voiceInterval * 1000) {
+            return;
+        }
+
+        this.lastCallout = callout.key;
+        this.lastSpokenAt = now;
+        this.speak(callout.text);
+    }
+
+    /**
+     * Build callout text and a change-detection key from heading-relative offsets
+     * @returns {Object} {key, text}
+     */
+    buildCallout(longitudinal, lateral) {
+        const phrases = this.getPhrases();
+        const distance = Math.sqrt(longitudinal * longitudinal + lateral * lateral);
+
+        if (distance < this.onTargetRadius) {
+            return { key: 'on-target', text: phrases.onTarget };
+        }
+
+        const longitudinalWord = longitudinal >= 0 ? phrases.forward : phrases.back;
+        const lateralWord = lateral >= 0 ? phrases.right : phrases.left;
+        const absLongitudinal = Math.abs(longitudinal);
+        const absLateral = Math.abs(lateral);
+
+        let direction;
+        if (absLateral < absLongitudinal * this.secondaryAxisRatio) {
+            direction = longitudinalWord;
+        } else if (absLongitudinal < absLateral * this.secondaryAxisRatio) {
+            direction = lateralWord;
+        } else {
+            direction = `${longitudinalWord} ${lateralWord}`;
+        }
+
+        const meters = Math.max(1, Math.round(distance));
+        return {
+            key: `${direction}:${meters}`,
+            text: phrases.format(direction, meters)
+        };
+    }
+
+    /**
+     * Speak text, replacing anything still queued
+     */
+    speak(text) {
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = this.getPhrases().locale;
+        if (this.voice) {
+            utterance.voice = this.voice;
+        }
+
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(utterance);
+    }
+
+    /**
+     * Forget the last callout so the next update is spoken (e.g. new mark)
+     */
+    reset() {
+        this.lastCallout = null;
+    }
+
+    /**
+     * Update voice settings
+     */
+    updateSettings(newSettings) {
+        const previousLanguage = this.settings.language;
+        this.settings = { ...this.settings, ...newSettings };
+
+        if (this.isSupported()) {
+            if (this.settings.language !== previousLanguage) {
+                this.selectVoice();
+            }
+            if (!this.settings.voiceEnabled) {
+                window.speechSynthesis.cancel();
+            }
+        }
+
+        console.log('Voice callout settings updated:', this.settings);
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        if (this.isSupported()) {
+            window.speechSynthesis.cancel();
+            window.speechSynthesis.removeEventListener('voiceschanged', this.selectVoice);
+        }
+        console.log('VoiceCallouts destroyed');
+    }
+}
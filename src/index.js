@@ -1,5 +1,7 @@
 import './styles.css';
 import { HoverAssistant } from './core/HoverAssistant.js';
+import { SettingsManager } from './core/SettingsManager.js';
+import { getProviderOverridesFromURL } from './core/LocationProvider.js';
 
 /**
  * Main application entry point
@@ -45,8 +47,12 @@ class App {
      * Check browser support for required features
      */
     checkBrowserSupport() {
+        // The simulated provider (?provider=simulated or picked in settings) does not need the Geolocation API
+        const provider = getProviderOverridesFromURL().provider ?? new SettingsManager().getSetting('gps', 'provider');
+        const isSimulated = provider === 'simulated';
+
         const requiredFeatures = [
-            { name: 'Geolocation', check: () => 'geolocation' in navigator },
+            { name: 'Geolocation', check: () => isSimulated || 'geolocation' in navigator },
             { name: 'Canvas', check: () => !!document.createElement('canvas').getContext },
             { name: 'Local Storage', check: () => typeof Storage !== 'undefined' },
             { name: 'ES6 Modules', check: () => typeof Symbol !== 'undefined' }
@@ -347,12 +353,12 @@ document.addEventListener('visibilitychange', () => {
     if (document.hidden) {
         console.log('App hidden - pausing GPS tracking');
         if (app?.hoverAssistant) {
-            app.hoverAssistant.stopTracking();
+            app.hoverAssistant.pause();
         }
     } else {
         console.log('App visible - resuming GPS tracking');
-        if (app?.hoverAssistant && app.hoverAssistant.markedPosition) {
-            app.hoverAssistant.startTracking();
+        if (app?.hoverAssistant) {
+            app.hoverAssistant.resume();
         }
     }
 });
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { angleDifference, applyDetents, CompassRotation } from '../src/core/CompassRotation.js';
+
+test('angleDifference takes the short way round', () => {
+    assert.equal(angleDifference(10, 350), 20);
+    assert.equal(angleDifference(350, 10), -20);
+    assert.equal(angleDifference(90, 90), 0);
+    assert.equal(angleDifference(180, 0), 180);
+    assert.equal(angleDifference(0, 180), 180);
+    assert.equal(angleDifference(725, 0), 5);
+});
+
+test('applyDetents snaps near cardinals and normalizes', () => {
+    assert.equal(applyDetents(2, 3), 0);
+    assert.equal(applyDetents(358, 3), 0);
+    assert.equal(applyDetents(92.5, 3), 90);
+    assert.equal(applyDetents(10, 3), 10);
+    assert.equal(applyDetents(-90, 3), 270);
+    assert.equal(applyDetents(361, 0), 1);
+});
+
+test('a turn smaller than the engage threshold does not rotate', () => {
+    const rotation = new CompassRotation({ detentWidth: 0 });
+    rotation.begin(100, 0, 0, 0, 10);
+
+    // Sweep 5° - below the threshold
+    assert.equal(rotation.move(100 * Math.cos(5 * Math.PI / 180), 100 * Math.sin(5 * Math.PI / 180), 16), 0);
+
+    // Sweep on past the threshold - rotation starts
+    rotation.move(100 * Math.cos(15 * Math.PI / 180), 100 * Math.sin(15 * Math.PI / 180), 32);
+    const delta = rotation.move(100 * Math.cos(25 * Math.PI / 180), 100 * Math.sin(25 * Math.PI / 180), 48);
+    assert.ok(Math.abs(delta + 10) < 1e-9, `expected -10°, got ${delta}`);
+});
+
+test('a fling decays and stops', () => {
+    const rotation = new CompassRotation({ detentWidth: 0 });
+    rotation.begin(100, 0, 0, 0);
+    for (let step = 1; step <= 5; step++) {
+        const angle = step * 5 * Math.PI / 180;
+        rotation.move(100 * Math.cos(angle), 100 * Math.sin(angle), step * 16);
+    }
+    assert.equal(rotation.end(5 * 16 + 10), true);
+
+    const first = rotation.stepFling(16);
+    const second = rotation.stepFling(16);
+    assert.ok(first < 0, 'fling continues in the direction of the gesture');
+    assert.ok(Math.abs(second) < Math.abs(first), 'fling slows down');
+
+    for (let step = 0; step < 1000 && rotation.isFlinging; step++) {
+        rotation.stepFling(16);
+    }
+    assert.equal(rotation.isFlinging, false);
+    assert.equal(rotation.stepFling(16), 0);
+});
+
+test('a pause before release cancels the fling', () => {
+    const rotation = new CompassRotation({ detentWidth: 0 });
+    rotation.begin(100, 0, 0, 0);
+    rotation.move(100 * Math.cos(0.2), 100 * Math.sin(0.2), 16);
+    assert.equal(rotation.end(500), false);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCoordinate, latLonToUtm, utmToLatLon } from '../src/core/CoordinateParser.js';
+
+const near = (actual, expected, tolerance, label) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} is not within ${tolerance} of ${expected}`);
+
+test('decimal degrees', () => {
+    const position = parseCoordinate('50.0755 14.4378');
+    assert.deepEqual(position, { latitude: 50.0755, longitude: 14.4378, format: 'dd' });
+});
+
+test('degrees, minutes and seconds in several notations', () => {
+    for (const text of ['50°04\'31.8"N 14°26\'16.1"E', 'N50 04.530 E014 26.268']) {
+        const position = parseCoordinate(text);
+        assert.equal(position.format, 'dms');
+        near(position.latitude, 50.0755, 1e-4, text);
+        near(position.longitude, 14.4378, 1e-4, text);
+    }
+});
+
+test('southern and western hemispheres are negative', () => {
+    const position = parseCoordinate('S33 52.000 W151 12.000');
+    near(position.latitude, -33.866667, 1e-6, 'latitude');
+    near(position.longitude, -151.2, 1e-6, 'longitude');
+});
+
+test('UTM round trip', () => {
+    const utm = latLonToUtm(50.0755, 14.4378, 33);
+    const back = utmToLatLon(33, true, utm.easting, utm.northing);
+    near(back.latitude, 50.0755, 1e-7, 'latitude');
+    near(back.longitude, 14.4378, 1e-7, 'longitude');
+});
+
+test('UTM and MGRS for the same point agree', () => {
+    const utm = parseCoordinate('33U 458560 5547128');
+    const mgrs = parseCoordinate('33UVR5856047128');
+    assert.equal(utm.format, 'utm');
+    assert.equal(mgrs.format, 'mgrs');
+    near(mgrs.latitude, utm.latitude, 1e-9, 'latitude');
+    near(mgrs.longitude, utm.longitude, 1e-9, 'longitude');
+    near(utm.latitude, 50.07498, 1e-4, 'latitude');
+    near(utm.longitude, 14.42087, 1e-4, 'longitude');
+});
+
+test('unreadable or out-of-range input is rejected with a message', () => {
+    assert.throws(() => parseCoordinate(''), /Enter a position/);
+    assert.throws(() => parseCoordinate('95 14'), /out of range/);
+    assert.throws(() => parseCoordinate('50 04 60 14 26 16'), /below 60|Too many/);
+    assert.throws(() => parseCoordinate('33U 458560 1000'), /outside band/);
+    assert.throws(() => parseCoordinate('61UVR5856047128'), /zone 61 is out of range/);
+    assert.throws(() => parseCoordinate('0UVR5856047128'), /zone 0 is out of range/);
+});
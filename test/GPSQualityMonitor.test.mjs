@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GPSQualityMonitor } from '../src/core/GPSQualityMonitor.js';
+
+const METERS_PER_DEGREE = 6371000 * Math.PI / 180;
+
+// One fix per second, north of the start by `north` meters
+const fix = (time, north = 0, accuracy = 3) => ({
+    latitude: 50 + north / METERS_PER_DEGREE,
+    longitude: 14,
+    accuracy,
+    timestamp: time
+});
+
+test('no fixes is none, fresh fixes are good', () => {
+    const monitor = new GPSQualityMonitor();
+    assert.equal(monitor.check(0), 'none');
+    assert.equal(monitor.addFix(fix(0), 0), 'good');
+    assert.equal(monitor.addFix(fix(1000), 1000), 'good');
+});
+
+test('a stream that stops goes stale', () => {
+    const monitor = new GPSQualityMonitor({ staleTimeout: 5000 });
+    monitor.addFix(fix(0), 0);
+    assert.equal(monitor.check(4000), 'good');
+    assert.equal(monitor.check(6000), 'stale');
+});
+
+test('fixes that keep arriving with the same timestamp are stale', () => {
+    const monitor = new GPSQualityMonitor({ staleTimeout: 5000 });
+    for (let time = 0; time <= 6000; time += 1000) {
+        monitor.addFix(fix(0), time);
+    }
+    assert.equal(monitor.state, 'stale');
+});
+
+test('a constant device clock offset is not fix age', () => {
+    const monitor = new GPSQualityMonitor({ staleTimeout: 5000 });
+    for (let time = 0; time <= 3000; time += 1000) {
+        monitor.addFix(fix(time - 60000), time);
+    }
+    assert.equal(monitor.state, 'good');
+    assert.equal(monitor.getFixAge(3000), 0);
+});
+
+test('poor accuracy is degraded until it recovers', () => {
+    const monitor = new GPSQualityMonitor({ degradedAccuracy: 15 });
+    let time = 0;
+    for (; time < 3000; time += 1000) monitor.addFix(fix(time, 0, 20), time);
+    assert.equal(monitor.state, 'degraded');
+
+    for (; time < 6000; time += 1000) monitor.addFix(fix(time, 0, 13), time);
+    assert.equal(monitor.state, 'degraded', 'hysteresis holds until under 80% of the limit');
+
+    for (; time < 9000; time += 1000) monitor.addFix(fix(time, 0, 3), time);
+    assert.equal(monitor.state, 'good');
+});
+
+test('a step faster than jumpSpeed is a jump, held for a while', () => {
+    const monitor = new GPSQualityMonitor({ jumpSpeed: 40, jumpHoldTime: 3000 });
+    monitor.addFix(fix(0), 0);
+    assert.equal(monitor.addFix(fix(1000, 100), 1000), 'jump');
+    assert.ok(Math.abs(monitor.getStatus(1000).jumpDistance - 100) < 0.5);
+
+    assert.equal(monitor.addFix(fix(2000, 100), 2000), 'jump');
+    assert.equal(monitor.addFix(fix(5000, 100), 5000), 'good');
+});
+
+test('a step within speed and accuracy is not a jump', () => {
+    const monitor = new GPSQualityMonitor({ jumpSpeed: 40 });
+    monitor.addFix(fix(0), 0);
+    assert.equal(monitor.addFix(fix(1000, 30), 1000), 'good');
+});
+
+test('status reports rate and accuracy trend', () => {
+    const monitor = new GPSQualityMonitor();
+    const accuracies = [2, 2, 2, 6, 6, 6];
+    accuracies.forEach((accuracy, index) => monitor.addFix(fix(index * 1000, 0, accuracy), index * 1000));
+
+    const status = monitor.getStatus(5000);
+    assert.equal(status.updateRate, 1);
+    assert.equal(status.accuracy, 6);
+    assert.equal(status.accuracyTrend, 'worsening');
+});
@@ -0,0 +1,79 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { HapticFeedback } from '../src/core/HapticFeedback.js';
+
+let vibrations;
+beforeEach(() => {
+    vibrations = [];
+    Object.defineProperty(globalThis, 'navigator', {
+        value: { vibrate: pattern => vibrations.push(pattern) },
+        configurable: true,
+        writable: true
+    });
+});
+
+const createFeedback = () => {
+    const feedback = new HapticFeedback({ vibrationEnabled: true, vibrationAccuracyThreshold: 10 });
+    feedback.setRingRadii([1, 2, 3, 4]);
+    return feedback;
+};
+
+test('crossing outward through ring n gives n pulses', () => {
+    const feedback = createFeedback();
+    feedback.update(0.5, 3);
+    feedback.update(1.5, 3);
+    feedback.update(2.5, 3);
+    assert.deepEqual(vibrations, [[100], [100, 80, 100]]);
+});
+
+test('moving back inward and hovering on a ring does not buzz', () => {
+    const feedback = createFeedback();
+    feedback.update(0.5, 3);
+    feedback.update(1.1, 3);
+    feedback.update(0.9, 3);
+    feedback.update(1.1, 3);
+    assert.equal(vibrations.length, 1);
+});
+
+test('poor accuracy buzzes once until it recovers', () => {
+    const feedback = createFeedback();
+    feedback.update(null, 12);
+    feedback.update(null, 12);
+    feedback.update(null, 9);
+    assert.equal(vibrations.length, 1);
+    feedback.update(null, 7);
+    feedback.update(null, 12);
+    assert.equal(vibrations.length, 2);
+});
+
+test('fixes resuming after a loss take the ring position without a crossing buzz', () => {
+    const feedback = createFeedback();
+    feedback.update(0.5, 12);
+    feedback.update(2.5, 12);
+    vibrations = [];
+
+    feedback.onDisconnect();
+    assert.deepEqual(vibrations, [[1000, 200, 1000]]);
+
+    vibrations = [];
+    feedback.update(3.5, 12);
+    assert.deepEqual(vibrations, [], 'no ring or accuracy buzz for the first fix back');
+
+    feedback.update(4.5, 12);
+    assert.deepEqual(vibrations, [[100, 80, 100, 80, 100, 80, 100]], 'later crossings still buzz');
+});
+
+test('the first fix after a reset sets the ring position silently', () => {
+    const feedback = createFeedback();
+    feedback.reset();
+    feedback.update(3.5, 3);
+    assert.deepEqual(vibrations, []);
+});
+
+test('nothing vibrates when disabled', () => {
+    const feedback = new HapticFeedback({ vibrationEnabled: false });
+    feedback.update(0.5, 3);
+    feedback.update(5, 30);
+    feedback.onDisconnect();
+    assert.deepEqual(vibrations, []);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HoverStatistics } from '../src/core/HoverStatistics.js';
+
+const near = (actual, expected, label) =>
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${label}: ${actual} is not ${expected}`);
+
+test('no samples give empty statistics', () => {
+    const stats = new HoverStatistics({ ringRadii: [1, 2] }).getSessionStats();
+    assert.equal(stats.count, 0);
+    assert.equal(stats.cep50, null);
+    assert.deepEqual(stats.rings, [{ radius: 1, percent: null }, { radius: 2, percent: null }]);
+});
+
+test('CEP, RMS and max excursion', () => {
+    const statistics = new HoverStatistics();
+    [1, 2, 3, 4].forEach((east, index) => statistics.addSample(east, 0, 0, index * 1000));
+
+    const stats = statistics.getSessionStats();
+    assert.equal(stats.count, 4);
+    near(stats.cep50, 2.5, 'cep50');
+    near(stats.cep95, 3.85, 'cep95');
+    near(stats.rms, Math.sqrt(7.5), 'rms');
+    assert.equal(stats.maxExcursion, 4);
+});
+
+test('time in circle is weighted by how long each sample held', () => {
+    const statistics = new HoverStatistics({ ringRadii: [1] });
+    statistics.addSample(0.5, 0, 0, 0); // Inside for 3 s
+    statistics.addSample(2, 0, 0, 3000); // Outside for 1 s
+    statistics.addSample(0.5, 0, 0, 4000);
+
+    const stats = statistics.getSessionStats();
+    assert.equal(stats.duration, 4000);
+    near(stats.rings[0].percent, 75, 'percent inside');
+});
+
+test('a long gap credits a sample with at most maxSampleGap', () => {
+    const statistics = new HoverStatistics({ ringRadii: [1], maxSampleGap: 5000 });
+    statistics.addSample(0.5, 0, 0, 0);
+    statistics.addSample(2, 0, 0, 60000);
+    statistics.addSample(2, 0, 0, 65000);
+    assert.equal(statistics.getSessionStats().duration, 10000);
+});
+
+test('offsets are split along and across the selected heading', () => {
+    const statistics = new HoverStatistics();
+    statistics.addSample(3, 0, 90, 0); // 3 m east with heading 090 is 3 m ahead
+
+    const stats = statistics.getSessionStats();
+    near(stats.longitudinal.mean, 3, 'longitudinal');
+    near(stats.lateral.mean, 0, 'lateral');
+});
+
+test('the rolling window only covers recent samples; reset clears', () => {
+    const statistics = new HoverStatistics({ windowSeconds: 10 });
+    statistics.addSample(5, 0, 0, 0);
+    statistics.addSample(1, 0, 0, 20000);
+    statistics.addSample(1, 0, 0, 25000);
+
+    assert.equal(statistics.getRollingStats().count, 2);
+    assert.equal(statistics.getRollingStats().maxExcursion, 1);
+    assert.equal(statistics.getSessionStats().maxExcursion, 5);
+
+    statistics.reset();
+    assert.equal(statistics.getSessionStats().count, 0);
+});
+
+test('addPosition measures from the mark', () => {
+    const statistics = new HoverStatistics();
+    statistics.addPosition({ latitude: 50, longitude: 14 }, { latitude: 50.00001, longitude: 14, timestamp: 0 }, 0);
+
+    const stats = statistics.getSessionStats();
+    assert.ok(Math.abs(stats.maxExcursion - 1.11) < 0.01);
+    assert.ok(stats.longitudinal.mean > 1.1, 'north of the mark is ahead with heading 000');
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createLocationProvider,
+    GeolocationProvider,
+    getProviderOverridesFromURL,
+    SimulatedProvider
+} from '../src/core/LocationProvider.js';
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+// Offset of a generated fix from the provider origin, in meters
+const offsetOf = (provider, position) => ({
+    east: (position.coords.longitude - provider.options.longitude) * METERS_PER_DEGREE_LAT *
+        Math.cos(provider.options.latitude * Math.PI / 180),
+    north: (position.coords.latitude - provider.options.latitude) * METERS_PER_DEGREE_LAT
+});
+
+// Deterministic pseudo-random source
+const seeded = (seed = 1) => () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+};
+
+test('fixes come in Geolocation API shape', () => {
+    const provider = new SimulatedProvider({ accuracy: 4, random: seeded() });
+    const position = provider.generatePosition(1000);
+
+    assert.equal(position.timestamp, 1000);
+    assert.equal(position.coords.accuracy, 4);
+    assert.equal(position.coords.speed, null);
+    assert.ok(Number.isFinite(position.coords.latitude) && Number.isFinite(position.coords.longitude));
+});
+
+test('circular pattern follows the circle without noise', () => {
+    const provider = new SimulatedProvider({ pattern: 'circular', radius: 2, period: 40, noise: 0 });
+
+    const start = offsetOf(provider, provider.generatePosition(0));
+    assert.ok(Math.abs(start.east) < 1e-6 && Math.abs(start.north - 2) < 1e-6);
+
+    const quarter = provider.generatePosition(10000);
+    const offset = offsetOf(provider, quarter);
+    assert.ok(Math.abs(offset.east - 2) < 1e-6 && Math.abs(offset.north) < 1e-6);
+
+    // Moving a quarter of the circumference in 10 s
+    assert.ok(Math.abs(quarter.coords.speed - Math.sqrt(8) / 10) < 1e-6);
+    assert.ok(Math.abs(quarter.coords.heading - 135) < 1e-6);
+});
+
+test('step pattern jumps to the offset after the delay', () => {
+    const provider = new SimulatedProvider({ pattern: 'step', stepOffset: { east: 3, north: -1 }, stepAfter: 10, noise: 0 });
+
+    const before = offsetOf(provider, provider.generatePosition(0));
+    assert.ok(Math.abs(before.east) < 1e-6 && Math.abs(before.north) < 1e-6);
+
+    const held = offsetOf(provider, provider.generatePosition(9999));
+    assert.ok(Math.abs(held.east) < 1e-6);
+
+    const after = offsetOf(provider, provider.generatePosition(10000));
+    assert.ok(Math.abs(after.east - 3) < 1e-6 && Math.abs(after.north + 1) < 1e-6);
+});
+
+test('random walk wanders near the origin and is repeatable with a seeded source', () => {
+    const run = () => {
+        const provider = new SimulatedProvider({ pattern: 'random-walk', radius: 2, noise: 0.5, random: seeded(42) });
+        const offsets = [];
+        for (let second = 0; second < 300; second++) {
+            offsets.push(offsetOf(provider, provider.generatePosition(second * 1000)));
+        }
+        return offsets;
+    };
+
+    const offsets = run();
+    const farthest = Math.max(...offsets.map(({ east, north }) => Math.sqrt(east * east + north * north)));
+    assert.ok(farthest > 0.5, 'it moves');
+    assert.ok(farthest < 10, `stays near the origin (farthest ${farthest.toFixed(1)} m)`);
+    assert.deepEqual(run(), offsets);
+});
+
+test('watchPosition delivers fixes until cleared, and errors reach the watch', async () => {
+    const provider = new SimulatedProvider({ interval: 10, random: seeded() });
+    const fixes = [];
+    const errors = [];
+    const watchId = provider.watchPosition(position => fixes.push(position), error => errors.push(error));
+
+    await new Promise(resolve => setTimeout(resolve, 55));
+    provider.simulateError(3);
+    provider.clearWatch(watchId);
+    const count = fixes.length;
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    assert.ok(count >= 2);
+    assert.equal(fixes.length, count);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].code, errors[0].TIMEOUT);
+});
+
+test('createLocationProvider picks the source from settings', () => {
+    assert.ok(createLocationProvider({}) instanceof GeolocationProvider);
+
+    const provider = createLocationProvider({ provider: 'simulated', simulationPattern: 'circular', simulationNoise: undefined });
+    assert.ok(provider instanceof SimulatedProvider);
+    assert.equal(provider.options.pattern, 'circular');
+    assert.equal(provider.options.noise, 0.5, 'unset options keep the provider default');
+});
+
+test('URL parameters map to GPS settings overrides', () => {
+    assert.deepEqual(getProviderOverridesFromURL(''), {});
+    assert.deepEqual(
+        getProviderOverridesFromURL('?provider=simulated&pattern=circular&noise=0.8&accuracy=4&lat=50.1&lon=14.4'),
+        {
+            provider: 'simulated',
+            simulationPattern: 'circular',
+            simulationNoise: 0.8,
+            simulationAccuracy: 4,
+            simulationLatitude: 50.1,
+            simulationLongitude: 14.4
+        }
+    );
+    assert.deepEqual(getProviderOverridesFromURL('?noise=abc&lat='), {}, 'unreadable numbers are ignored');
+});
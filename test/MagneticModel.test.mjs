@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDeclination, getModelInfo, isModelValid, parseCoefficients, toDecimalYear, WMM_COF } from '../src/core/MagneticModel.js';
+
+const epoch = new Date(Date.UTC(2025, 0, 1));
+
+test('the embedded model is WMM-2025', () => {
+    assert.deepEqual(getModelInfo(), { name: 'WMM-2025', epoch: 2025, validFrom: 2025, validUntil: 2030 });
+
+    const model = parseCoefficients(WMM_COF);
+    assert.equal(model.maxDegree, 12);
+    assert.equal(model.g[1][0], -29351.8);
+    assert.equal(model.hDot[1][1], -21.5);
+});
+
+test('declination matches the NOAA WMM-2025 test values at the epoch', () => {
+    // WMM2025_TEST_VALUES.txt, 2025.0 at sea level
+    assert.ok(Math.abs(getDeclination(80, 0, 0, epoch) - 1.28) < 0.01);
+    assert.ok(Math.abs(getDeclination(0, 120, 0, epoch) - -0.16) < 0.01);
+    assert.ok(Math.abs(getDeclination(-80, 240, 0, epoch) - 68.78) < 0.01);
+});
+
+test('decimal year', () => {
+    assert.equal(toDecimalYear(epoch), 2025);
+    assert.ok(Math.abs(toDecimalYear(new Date(Date.UTC(2027, 6, 2, 12))) - 2027.5) < 0.001);
+});
+
+test('validity window is 2025.0 to 2030.0', () => {
+    assert.equal(isModelValid(new Date(Date.UTC(2024, 11, 31))), false);
+    assert.equal(isModelValid(epoch), true);
+    assert.equal(isModelValid(new Date(Date.UTC(2029, 11, 31))), true);
+    assert.equal(isModelValid(new Date(Date.UTC(2030, 0, 1))), false);
+});
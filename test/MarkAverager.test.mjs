@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { averageFixes, MarkAverager } from '../src/core/MarkAverager.js';
+
+const fix = (latitude, longitude, accuracy, timestamp = 0) => ({ latitude, longitude, accuracy, timestamp });
+
+test('no fixes give no average', () => {
+    assert.equal(averageFixes([]), null);
+});
+
+test('fixes are weighted by accuracy', () => {
+    const result = averageFixes([fix(50, 14, 2), fix(50.0001, 14, 4)]);
+    // Weights 1/4 and 1/16 - the mean sits 1/5 of the way towards the worse fix
+    assert.ok(Math.abs(result.latitude - 50.00002) < 1e-9);
+    assert.equal(result.samples, 2);
+    assert.equal(result.rejected, 0);
+});
+
+test('fixes much worse than the median are dropped', () => {
+    const result = averageFixes([fix(50, 14, 3), fix(50, 14, 3), fix(50, 14, 3), fix(51, 14, 20)]);
+    assert.equal(result.samples, 3);
+    assert.equal(result.rejected, 1);
+    assert.ok(Math.abs(result.latitude - 50) < 1e-9);
+});
+
+test('uncertainty is at least the spread of the fixes', () => {
+    const result = averageFixes([fix(50, 14, 1), fix(50.0001, 14, 1)]);
+    // The fixes are ~11 m apart, each ~5.6 m from the mean
+    assert.ok(result.accuracy > 5 && result.accuracy < 6);
+});
+
+test('count mode completes after enough accepted fixes', () => {
+    const averager = new MarkAverager();
+    averager.start(0, { mode: 'count', count: 3, maxAccuracy: 5 });
+
+    assert.equal(averager.add(fix(50, 14, 2)), true);
+    assert.equal(averager.add(fix(50, 14, 8)), false);
+    averager.add(fix(50, 14, 2));
+    assert.equal(averager.isComplete(0), false);
+    averager.add(fix(50, 14, 2));
+    assert.equal(averager.isComplete(0), true);
+
+    const result = averager.finish();
+    assert.equal(result.samples, 3);
+    assert.equal(result.rejected, 1);
+    assert.equal(averager.isActive, false);
+});
+
+test('time mode reports progress and completes after the window', () => {
+    const averager = new MarkAverager();
+    averager.start(1000, { mode: 'time', time: 10 });
+    averager.add(fix(50, 14, 2));
+
+    assert.deepEqual(averager.getProgress(6000), { fraction: 0.5, label: '1 fix' });
+    assert.equal(averager.isComplete(10999), false);
+    assert.equal(averager.isComplete(11000), true);
+});
+
+test('cancel discards the fixes and inactive averagers ignore fixes', () => {
+    const averager = new MarkAverager();
+    assert.equal(averager.add(fix(50, 14, 2)), false);
+
+    averager.start(0);
+    averager.add(fix(50, 14, 2));
+    averager.cancel();
+    assert.equal(averager.isActive, false);
+    assert.equal(averager.finish(), null);
+});
+
+test('a fix reporting zero accuracy does not take all the weight', () => {
+    const result = averageFixes([fix(50, 14, 0), fix(50.00001, 14, 0.1)]);
+    assert.ok(Number.isFinite(result.latitude));
+    assert.ok(Math.abs(result.latitude - 50.000005) < 1e-9, 'both fixes count as 0.1 m');
+    assert.ok(Number.isFinite(result.accuracy));
+});
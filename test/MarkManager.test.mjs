@@ -0,0 +1,132 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MarkManager } from '../src/core/MarkManager.js';
+import { toWaypointsGPX, parseWaypointsGPX } from '../src/core/SessionExporter.js';
+
+// Node has no localStorage or DOMParser; give the modules just enough of both
+const storage = new Map();
+globalThis.localStorage = {
+    getItem: key => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, String(value))
+};
+
+const ENTITIES = { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' };
+
+/**
+ * Regex-based stand-in for the browser DOMParser, enough for flat GPX waypoint files
+ */
+function parseElement(source) {
+    return {
+        getAttribute: name => source.attributes.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1] ?? null,
+        getElementsByTagName: tag => findElements(source.inner, tag),
+        textContent: source.inner.replace(/<[^>]*>/g, '').replace(/&(lt|gt|quot|apos|amp);/g, (match, name) => ENTITIES[name])
+    };
+}
+
+function findElements(xml, tag) {
+    const pattern = new RegExp(`<${tag}(\\s[^>]*)?(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g');
+    return Array.from(xml.matchAll(pattern), ([, attributes = '', inner = '']) => parseElement({ attributes, inner }));
+}
+
+globalThis.DOMParser = class {
+    parseFromString(text) {
+        const valid = /<gpx[\s>][\s\S]*<\/gpx>\s*$/.test(text);
+        return { getElementsByTagName: tag => findElements(valid ? text : '<parsererror></parsererror>', tag) };
+    }
+};
+
+beforeEach(() => storage.clear());
+
+test('waypoints survive a GPX round trip', () => {
+    const marks = [
+        { name: 'Pickup & drop', latitude: 50.1, longitude: 14.2, altitude: 310, timestamp: Date.UTC(2026, 0, 2) },
+        { name: 'Alternate', latitude: -33.5, longitude: -70.25, altitude: null, timestamp: Date.UTC(2026, 0, 3) }
+    ];
+
+    const { waypoints, skipped } = parseWaypointsGPX(toWaypointsGPX(marks));
+
+    assert.equal(skipped, 0);
+    assert.deepEqual(waypoints, marks);
+});
+
+test('waypoints without coordinates are skipped and counted', () => {
+    const gpx = `<?xml version="1.0"?>
+<gpx version="1.1">
+  <wpt lat="" lon="14"><name>Empty lat</name></wpt>
+  <wpt lon="14"><name>No lat</name></wpt>
+  <wpt lat="50" lon="14"/>
+</gpx>`;
+
+    const { waypoints, skipped } = parseWaypointsGPX(gpx);
+
+    assert.equal(skipped, 2);
+    assert.equal(waypoints.length, 1);
+    assert.equal(waypoints[0].name, null);
+    assert.equal(waypoints[0].altitude, null);
+});
+
+test('a file that is not XML is rejected', () => {
+    assert.throws(() => parseWaypointsGPX('lat,lon\n50,14'), /Not a valid GPX file/);
+});
+
+test('imported waypoints are added as inactive marks and persisted', () => {
+    const manager = new MarkManager();
+    const active = manager.addMark({ latitude: 50, longitude: 14 });
+
+    const count = manager.importMarks([
+        { name: 'Pickup', latitude: 50.1, longitude: 14.1, altitude: null, timestamp: 1 },
+        { name: 'Off the map', latitude: 91, longitude: 14, altitude: null, timestamp: 2 }
+    ]);
+
+    assert.equal(count, 1);
+    assert.equal(manager.getActiveMark().id, active.id);
+    assert.deepEqual(manager.getInactiveMarks().map(mark => mark.name), ['Pickup']);
+
+    const reloaded = new MarkManager();
+    assert.equal(reloaded.getMarks().length, 2);
+    assert.equal(reloaded.getActiveMark().id, active.id);
+});
+
+test('undo removes added marks newest first and restores the previous target', () => {
+    const manager = new MarkManager();
+    const first = manager.addMark({ latitude: 50, longitude: 14 });
+    const second = manager.addMark({ latitude: 50.1, longitude: 14 });
+
+    assert.equal(manager.undoLastMark().id, second.id);
+    assert.equal(manager.getActiveMark().id, first.id);
+    assert.equal(manager.undoLastMark().id, first.id);
+    assert.equal(manager.getActiveMark(), null);
+    assert.equal(manager.canUndo(), false);
+    assert.equal(manager.undoLastMark(), null);
+});
+
+test('undoing a re-mark restores the old mark and its name', () => {
+    const manager = new MarkManager();
+    const original = manager.addMark({ latitude: 50, longitude: 14 }, 'Pad');
+    manager.remark({ latitude: 50.0001, longitude: 14 });
+
+    assert.deepEqual(manager.getMarks().map(mark => mark.name), ['Pad (previous)', 'Pad']);
+
+    manager.undoLastMark();
+    assert.deepEqual(manager.getMarks().map(mark => mark.name), ['Pad']);
+    assert.equal(manager.getActiveMark().id, original.id);
+});
+
+test('undo skips marks that were deleted from the list', () => {
+    const manager = new MarkManager();
+    const first = manager.addMark({ latitude: 50, longitude: 14 });
+    const second = manager.addMark({ latitude: 50.1, longitude: 14 });
+    manager.deleteMark(second.id);
+
+    assert.equal(manager.undoLastMark().id, first.id);
+    assert.equal(manager.getMarks().length, 0);
+});
+
+test('undo history is capped and not persisted', () => {
+    const manager = new MarkManager();
+    for (let i = 0; i < manager.maxHistory + 5; i++) {
+        manager.addMark({ latitude: 50, longitude: 14 + i / 1000 });
+    }
+    assert.equal(manager.history.length, manager.maxHistory);
+    assert.equal(new MarkManager().canUndo(), false);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPositionFilter, ExponentialFilter, KalmanFilter, NoopFilter } from '../src/core/PositionFilter.js';
+
+const METERS_PER_DEGREE = 6378137 * Math.PI / 180;
+
+// A fix `north` meters north of 50°N 14°E
+const fix = (timestamp, north = 0, accuracy = 5) => ({
+    latitude: 50 + north / METERS_PER_DEGREE,
+    longitude: 14,
+    accuracy,
+    timestamp
+});
+const northOf = position => (position.latitude - 50) * METERS_PER_DEGREE;
+
+test('createPositionFilter picks the configured filter', () => {
+    assert.ok(createPositionFilter({ positionSmoothing: false }) instanceof NoopFilter);
+    assert.ok(createPositionFilter({ positionSmoothing: true, smoothingMethod: 'exponential' }) instanceof ExponentialFilter);
+    assert.ok(createPositionFilter({ positionSmoothing: true, smoothingMethod: 'kalman' }) instanceof KalmanFilter);
+    assert.ok(createPositionFilter({ positionSmoothing: true }) instanceof KalmanFilter);
+});
+
+test('the no-op filter passes fixes through', () => {
+    const position = fix(0, 3);
+    assert.deepEqual(new NoopFilter().filter(position), position);
+});
+
+test('the exponential filter moves part of the way to each fix', () => {
+    const filter = new ExponentialFilter(0.75);
+    filter.filter(fix(0, 0));
+    const smoothed = filter.filter(fix(1000, 8));
+    assert.ok(Math.abs(northOf(smoothed) - 2) < 1e-6);
+
+    filter.reset();
+    assert.ok(Math.abs(northOf(filter.filter(fix(2000, 8))) - 8) < 1e-6, 'reset starts from the next fix');
+});
+
+test('the Kalman filter smooths noise around a fixed point', () => {
+    const filter = new KalmanFilter(0.5);
+    let result;
+    for (let second = 0; second < 30; second++) {
+        result = filter.filter(fix(second * 1000, second % 2 === 0 ? 4 : -4));
+    }
+    assert.ok(Math.abs(northOf(result)) < 2, `settled ${northOf(result)} m from the point`);
+    assert.ok(Math.abs(result.velocityNorth) < 2);
+});
+
+test('the Kalman filter follows steady motion', () => {
+    const filter = new KalmanFilter(0.5);
+    let result;
+    for (let second = 0; second < 30; second++) {
+        result = filter.filter(fix(second * 1000, second * 2));
+    }
+    assert.ok(Math.abs(northOf(result) - 58) < 1);
+    assert.ok(Math.abs(result.velocityNorth - 2) < 0.2);
+});
+
+test('the Kalman filter keeps the reported accuracy', () => {
+    const filter = new KalmanFilter(0.5);
+    let result;
+    for (let second = 0; second < 10; second++) {
+        result = filter.filter(fix(second * 1000, 0, 5));
+    }
+    assert.equal(result.accuracy, 5);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PositionTrail } from '../src/core/PositionTrail.js';
+
+test('points come back oldest first with their age ratio', () => {
+    const trail = new PositionTrail(10);
+    trail.push(0, 0, 1000);
+    trail.push(1, 0, 6000);
+    trail.push(2, 0, 11000);
+
+    const points = trail.getPoints(11000);
+    assert.deepEqual(points.map(point => point.x), [0, 1, 2]);
+    assert.deepEqual(points.map(point => point.ageRatio), [1, 0.5, 0]);
+});
+
+test('points are aged against the given time, not the wall clock', () => {
+    const trail = new PositionTrail(10);
+    for (let second = 0; second <= 40; second++) {
+        trail.push(second, 0, second * 1000);
+    }
+    assert.equal(trail.getNewestTimestamp(), 40000);
+
+    const points = trail.getPoints(trail.getNewestTimestamp());
+    assert.equal(points.length, 11);
+    assert.equal(points[0].x, 30);
+});
+
+test('points newer than the reference time are left out', () => {
+    const trail = new PositionTrail(10);
+    trail.push(0, 0, 5000);
+    trail.push(1, 0, 9000);
+    assert.deepEqual(trail.getPoints(6000).map(point => point.x), [0]);
+});
+
+test('clear and setDuration', () => {
+    const trail = new PositionTrail(10);
+    trail.push(0, 0, 0);
+    trail.push(1, 0, 5000);
+    trail.setDuration(2);
+    assert.equal(trail.getPoints(5000).length, 1);
+
+    trail.clear();
+    assert.equal(trail.getNewestTimestamp(), null);
+    assert.deepEqual(trail.getPoints(5000), []);
+});
+
+test('a long trail at the fastest update interval is not truncated', () => {
+    const trail = new PositionTrail(120);
+    for (let time = 0; time <= 120000; time += 100) {
+        trail.push(time, 0, time);
+    }
+    const points = trail.getPoints(120000);
+    assert.equal(points.length, 1201);
+    assert.equal(points[0].timestamp, 0);
+});
+
+test('points closer than 100 ms are skipped', () => {
+    const trail = new PositionTrail(10);
+    trail.push(0, 0, 0);
+    trail.push(1, 0, 40);
+    trail.push(2, 0, 100);
+    assert.deepEqual(trail.getPoints(100).map(point => point.x), [0, 2]);
+});
+
+test('resizing keeps the newest points', () => {
+    const trail = new PositionTrail(10);
+    for (let second = 0; second <= 10; second++) {
+        trail.push(second, 0, second * 1000);
+    }
+
+    trail.setDuration(0.2);
+    assert.equal(trail.capacity, 3);
+    assert.deepEqual(trail.getPoints(10000).map(point => point.x), [10]);
+
+    trail.setDuration(60);
+    trail.push(11, 0, 11000);
+    assert.deepEqual(trail.getPoints(11000).map(point => point.x), [8, 9, 10, 11]);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportSession, getExportFilename } from '../src/core/SessionExporter.js';
+
+const START = Date.UTC(2026, 0, 2, 10, 0, 0);
+const MARK = { latitude: 50, longitude: 14 };
+
+const session = { id: 1, name: 'Pad <A> & B', startTime: START, endTime: START + 2000 };
+const fixes = [
+    { timestamp: START, latitude: 50.00001, longitude: 14, accuracy: 4, altitude: 300, speed: 0.5, heading: null, markedPosition: MARK, selectedHeading: 90 },
+    { timestamp: START + 1000, latitude: 50, longitude: 14.00001, accuracy: 3.25, altitude: null, speed: null, heading: null, markedPosition: MARK, selectedHeading: 90 },
+    { timestamp: START + 2000, latitude: 50.1, longitude: 14.1, accuracy: 5, markedPosition: null }
+];
+
+test('GPX has one waypoint per distinct mark and one trackpoint per fix', () => {
+    const gpx = exportSession(session, fixes, 'gpx');
+
+    assert.equal(gpx.match(/<wpt /g).length, 1);
+    assert.equal(gpx.match(/<trkpt /g).length, 3);
+    assert.match(gpx, /<wpt lat="50" lon="14">/);
+    assert.match(gpx, /<ele>300\.0<\/ele>/);
+    assert.equal(gpx.match(/<ele>/g).length, 1, 'fixes without altitude have no <ele>');
+    assert.match(gpx, /<name>Pad &lt;A&gt; &amp; B<\/name>/);
+    assert.match(gpx, /<time>2026-01-02T10:00:01\.000Z<\/time>/);
+});
+
+test('CSV has a header, local offsets and empty cells for missing values', () => {
+    const rows = exportSession(session, fixes, 'csv').split('\n').map(row => row.split(','));
+
+    assert.equal(rows.length, 4);
+    assert.equal(rows[0][0], 'time');
+    assert.equal(rows[0].length, 13);
+
+    const [, north, east, unmarked] = rows;
+    assert.equal(north[10], '0.00');
+    assert.equal(Math.round(Number(north[11]) * 100), 111, '1.11 m north of the mark');
+    assert.equal(north[12], north[11], 'distance equals the north offset');
+    assert.equal(east[3], '3.3');
+    assert.equal(east[4], '', 'missing altitude');
+    assert.ok(Number(east[10]) > 0.7 && Number(east[10]) < 0.75, 'east offset shrinks with latitude');
+    assert.deepEqual(unmarked.slice(7), ['', '', '', '', '', '']);
+});
+
+test('GeoJSON has the track as a LineString and marks as Points', () => {
+    const { type, features } = JSON.parse(exportSession(session, fixes, 'geojson'));
+
+    assert.equal(type, 'FeatureCollection');
+    assert.equal(features.length, 2);
+
+    const [track, mark] = features;
+    assert.equal(track.geometry.type, 'LineString');
+    assert.deepEqual(track.geometry.coordinates[0], [14, 50.00001, 300]);
+    assert.deepEqual(track.geometry.coordinates[1], [14.00001, 50], 'no altitude, no third coordinate');
+    assert.equal(track.properties.coordTimes.length, 3);
+    assert.equal(track.properties.endTime, '2026-01-02T10:00:02.000Z');
+    assert.deepEqual(mark.geometry, { type: 'Point', coordinates: [14, 50] });
+});
+
+test('unknown formats are rejected and file names are filesystem-friendly', () => {
+    assert.throws(() => exportSession(session, fixes, 'kml'), /Unsupported export format/);
+    assert.equal(getExportFilename(session, 'geojson'), 'hover-session-2026-01-02T10-00-00-000Z.geojson');
+});
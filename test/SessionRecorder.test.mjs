@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionRecorder } from '../src/core/SessionRecorder.js';
+
+// In-memory stand-in for SessionStore
+const createStore = (session, fixes) => ({
+    session,
+    getSession: async () => session,
+    getFixes: async () => fixes,
+    updateSession: async (id, updates) => Object.assign(session, updates)
+});
+
+test('finalize closes an interrupted session at its last fix', async () => {
+    const store = createStore({ id: 1, startTime: 1000, endTime: null, fixCount: 0 }, [
+        { timestamp: 2000, recordedAt: 2100 },
+        { timestamp: 3000, recordedAt: 3100 }
+    ]);
+    await new SessionRecorder(store, () => ({})).finalize(1);
+
+    assert.equal(store.session.endTime, 3100);
+    assert.equal(store.session.fixCount, 2);
+});
+
+test('finalize leaves a closed session alone', async () => {
+    const store = createStore({ id: 1, startTime: 1000, endTime: 5000, fixCount: 4 }, []);
+    await new SessionRecorder(store, () => ({})).finalize(1);
+
+    assert.equal(store.session.endTime, 5000);
+    assert.equal(store.session.fixCount, 4);
+});
+
+test('finalize ends an empty session at its start', async () => {
+    const store = createStore({ id: 1, startTime: 1000, endTime: null, fixCount: 0 }, []);
+    await new SessionRecorder(store, () => ({})).finalize(1);
+
+    assert.equal(store.session.endTime, 1000);
+    assert.equal(store.session.fixCount, 0);
+});
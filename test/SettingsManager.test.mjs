@@ -0,0 +1,63 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SettingsManager } from '../src/core/SettingsManager.js';
+import { SETTINGS_VERSION } from '../src/core/SettingsSchema.js';
+
+const STORAGE_KEY = 'helicopter-hover-assistant-settings';
+const storage = new Map();
+globalThis.localStorage = {
+    getItem: key => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, String(value))
+};
+
+const store = settings => storage.set(STORAGE_KEY, JSON.stringify(settings));
+const stored = () => JSON.parse(storage.get(STORAGE_KEY));
+
+beforeEach(() => storage.clear());
+
+test('untagged version 1 settings with a frozen smoothing factor are migrated', () => {
+    store({ advanced: { smoothingFactor: 1 } });
+
+    const manager = new SettingsManager();
+
+    assert.equal(manager.getSetting('advanced', 'smoothingFactor'), 0.95);
+    assert.equal(stored().version, SETTINGS_VERSION, 'the upgrade is written back');
+    assert.equal(stored().advanced.smoothingFactor, 0.95);
+});
+
+test('a usable version 1 smoothing factor is kept', () => {
+    store({ advanced: { smoothingFactor: 0.5 } });
+    assert.equal(new SettingsManager().getSetting('advanced', 'smoothingFactor'), 0.5);
+});
+
+test('imported settings are migrated from their own version', () => {
+    const manager = new SettingsManager();
+    manager.importSettings(JSON.stringify({ version: 1, advanced: { smoothingFactor: 1 } }));
+    assert.equal(manager.getSetting('advanced', 'smoothingFactor'), 0.95);
+});
+
+test('settings from a newer version are loaded without migrating', () => {
+    store({ version: SETTINGS_VERSION + 1, advanced: { smoothingFactor: 0.4 } });
+    assert.equal(new SettingsManager().getSetting('advanced', 'smoothingFactor'), 0.4);
+});
+
+test('version 2 grid size becomes the closest display range', () => {
+    store({ version: 2, display: { gridSize: 8, gridScale: 1, showGrid: false } });
+
+    const manager = new SettingsManager();
+    const display = manager.getSettings('display');
+
+    assert.equal(display.displayRange, 10);
+    assert.equal(display.showGrid, false, 'other display settings are kept');
+    assert.ok(!('gridSize' in display) && !('gridScale' in display));
+    assert.ok(!('gridSize' in stored().display));
+});
+
+test('both migrations run in order for version 1 settings', () => {
+    store({ advanced: { smoothingFactor: 1 }, display: { gridSize: 3 } });
+
+    const manager = new SettingsManager();
+
+    assert.equal(manager.getSetting('advanced', 'smoothingFactor'), 0.95);
+    assert.equal(manager.getSetting('display', 'displayRange'), 2);
+});